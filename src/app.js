@@ -24,6 +24,9 @@ import storageService from "./services/storage.service.js";
 import databaseService from "./services/database.service.js";
 import redisService from "./services/redis.service.js";
 import workerRegistryService from "./services/worker-registry.service.js";
+import webhookOutboxService from "./services/webhook-outbox.service.js";
+import messageQueueService from "./services/message-queue.service.js";
+import broadcastService from "./services/broadcast.service.js";
 
 // Import routes
 import apiRoutes from "./routes/index.js";
@@ -38,6 +41,9 @@ const appState = {
     database: databaseService,
     redis: redisService,
     workerRegistry: workerRegistryService,
+    webhookOutbox: webhookOutboxService,
+    messageQueue: messageQueueService,
+    broadcast: broadcastService,
   },
   isShuttingDown: false,
 };
@@ -122,6 +128,9 @@ const initializeAllServices = async () => {
 
     // Set service dependencies
     appState.services.workerRegistry.setServices(appState.services);
+    appState.services.webhookOutbox.setServices(appState.services);
+    appState.services.messageQueue.setServices(appState.services);
+    appState.services.broadcast.setServices(appState.services);
     appState.services.baileys.setServices(appState.services);
 
     logger.info("All services initialized successfully");
@@ -29,6 +29,26 @@ const config = {
     maxRegistrationRetries: parseInt(process.env.MAX_REGISTRATION_RETRIES) || 5,
   },
 
+  // Webhook Delivery Configuration
+  webhook: {
+    outboxEnabled: process.env.WEBHOOK_OUTBOX_ENABLED !== "false",
+    pollInterval: parseInt(process.env.WEBHOOK_POLL_INTERVAL) || 2000, // 2 seconds
+    timeout: parseInt(process.env.WEBHOOK_TIMEOUT) || 5000, // 5 seconds
+    batchSize: parseInt(process.env.WEBHOOK_BATCH_SIZE) || 50,
+  },
+
+  // Outbound Message Queue Configuration
+  messageQueue: {
+    pollInterval: parseInt(process.env.MESSAGE_QUEUE_POLL_INTERVAL) || 1000, // 1 second
+  },
+
+  // Broadcast Pacing Configuration (delay between recipients, randomized)
+  broadcast: {
+    minDelay: parseInt(process.env.BROADCAST_MIN_DELAY) || 3000, // 3 seconds
+    maxDelay: parseInt(process.env.BROADCAST_MAX_DELAY) || 8000, // 8 seconds
+    pollInterval: parseInt(process.env.BROADCAST_POLL_INTERVAL) || 2000, // 2 seconds
+  },
+
   // Database Configuration
   database: {
     url:
@@ -135,6 +155,13 @@ const config = {
   whatsapp: {
     sessionPath: process.env.WHATSAPP_SESSION_PATH || "./storage/sessions",
     mediaPath: process.env.WHATSAPP_MEDIA_PATH || "./storage/media",
+    // Download inbound media as it arrives instead of on first request
+    autoDownloadMedia: process.env.WHATSAPP_AUTO_DOWNLOAD_MEDIA === "true",
+    // ffmpeg for voice notes (defaults to the bundled ffmpeg-static binary)
+    ffmpegPath: process.env.FFMPEG_PATH || null,
+    // Sticker pack details used when a sticker send does not set them
+    stickerPack: process.env.WHATSAPP_STICKER_PACK || "WhatsApp Gateway",
+    stickerAuthor: process.env.WHATSAPP_STICKER_AUTHOR || "",
     qrTimeout: parseInt(process.env.WHATSAPP_QR_TIMEOUT) || 60000, // 1 minute
     connectionTimeout:
       parseInt(process.env.WHATSAPP_CONNECTION_TIMEOUT) || 30000, // 30 seconds
@@ -146,6 +173,10 @@ const config = {
     printQRInTerminal: process.env.WHATSAPP_PRINT_QR === "true",
     generateHighQualityLinkPreview:
       process.env.WHATSAPP_HIGH_QUALITY_PREVIEW !== "false",
+    // ISO 3166-1 alpha-2 country for phone numbers given without a country code
+    defaultCountry: (
+      process.env.WHATSAPP_DEFAULT_COUNTRY || "ID"
+    ).toUpperCase(),
   },
 
   // Session Recovery Configuration
@@ -0,0 +1,246 @@
+import logger from "../utils/logger.js";
+import { ApiResponse } from "../utils/helpers.js";
+import { applyTemplate } from "../utils/template-renderer.js";
+import { HTTP_STATUS, ERROR_CODES } from "../utils/constants.js";
+
+const broadcastUnavailable = (res) => {
+  return res
+    .status(HTTP_STATUS.SERVICE_UNAVAILABLE)
+    .json(
+      ApiResponse.createErrorResponse(
+        ERROR_CODES.SERVICE_UNAVAILABLE,
+        "Broadcast service not available"
+      )
+    );
+};
+
+const createBroadcast = async (req, res) => {
+  try {
+    const {
+      baileys: baileysService,
+      broadcast: broadcastService,
+      database: databaseService,
+    } = req.services;
+    const { sessionId } = req.params;
+
+    // Templates are rendered once; every recipient gets the same content
+    let body = req.body;
+    if (body.templateId) {
+      const template = await databaseService.getTemplate(body.templateId);
+      if (!template) {
+        return res
+          .status(HTTP_STATUS.NOT_FOUND)
+          .json(ApiResponse.createNotFoundResponse("Template"));
+      }
+      body = applyTemplate(template, body);
+    }
+
+    const {
+      recipients,
+      humanSimulation = true,
+      minDelay,
+      maxDelay,
+      ...payload
+    } = body;
+
+    const sessionStatus = baileysService.getSessionStatus(sessionId);
+    if (sessionStatus.status === "not_found") {
+      return res
+        .status(HTTP_STATUS.NOT_FOUND)
+        .json(
+          ApiResponse.createErrorResponse(
+            ERROR_CODES.SESSION_NOT_FOUND,
+            `Session ${sessionId} not found`
+          )
+        );
+    }
+
+    if (!broadcastService.isAvailable()) {
+      return broadcastUnavailable(res);
+    }
+
+    const broadcast = await broadcastService.create(
+      sessionId,
+      recipients,
+      payload,
+      { humanSimulation, minDelay, maxDelay }
+    );
+
+    res
+      .status(HTTP_STATUS.ACCEPTED)
+      .json(ApiResponse.createSuccessResponse(broadcast));
+  } catch (error) {
+    if (error.code === "TEMPLATE_VARIABLES_MISSING") {
+      return res
+        .status(HTTP_STATUS.BAD_REQUEST)
+        .json(
+          ApiResponse.createErrorResponse(
+            ERROR_CODES.VALIDATION_FAILED,
+            error.message,
+            { missingVariables: error.missingVariables }
+          )
+        );
+    }
+
+    logger.error("Error creating broadcast:", error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        ApiResponse.createInternalErrorResponse("Failed to create broadcast")
+      );
+  }
+};
+
+const listBroadcasts = async (req, res) => {
+  try {
+    const { broadcast: broadcastService } = req.services;
+    const { sessionId } = req.params;
+    const { page, limit } = req.query;
+
+    if (!broadcastService.isAvailable()) {
+      return broadcastUnavailable(res);
+    }
+
+    const { broadcasts, total } = await broadcastService.list(
+      sessionId,
+      limit,
+      (page - 1) * limit
+    );
+
+    res
+      .status(HTTP_STATUS.OK)
+      .json(
+        ApiResponse.createPaginatedResponse(broadcasts, total, page, limit)
+      );
+  } catch (error) {
+    logger.error("Error listing broadcasts:", error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        ApiResponse.createInternalErrorResponse("Failed to list broadcasts")
+      );
+  }
+};
+
+const getBroadcast = async (req, res) => {
+  try {
+    const { broadcast: broadcastService } = req.services;
+    const { sessionId, broadcastId } = req.params;
+
+    if (!broadcastService.isAvailable()) {
+      return broadcastUnavailable(res);
+    }
+
+    const broadcast = await broadcastService.get(sessionId, broadcastId);
+    if (!broadcast) {
+      return res
+        .status(HTTP_STATUS.NOT_FOUND)
+        .json(ApiResponse.createNotFoundResponse("Broadcast"));
+    }
+
+    res
+      .status(HTTP_STATUS.OK)
+      .json(ApiResponse.createSuccessResponse(broadcast));
+  } catch (error) {
+    logger.error("Error getting broadcast:", error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(ApiResponse.createInternalErrorResponse("Failed to get broadcast"));
+  }
+};
+
+const getBroadcastRecipients = async (req, res) => {
+  try {
+    const { broadcast: broadcastService } = req.services;
+    const { sessionId, broadcastId } = req.params;
+    const { page, limit, status } = req.query;
+
+    if (!broadcastService.isAvailable()) {
+      return broadcastUnavailable(res);
+    }
+
+    const broadcast = await broadcastService.get(sessionId, broadcastId);
+    if (!broadcast) {
+      return res
+        .status(HTTP_STATUS.NOT_FOUND)
+        .json(ApiResponse.createNotFoundResponse("Broadcast"));
+    }
+
+    const { recipients, total } = await broadcastService.getRecipients(
+      broadcastId,
+      status,
+      limit,
+      (page - 1) * limit
+    );
+
+    res
+      .status(HTTP_STATUS.OK)
+      .json(
+        ApiResponse.createPaginatedResponse(recipients, total, page, limit)
+      );
+  } catch (error) {
+    logger.error("Error getting broadcast recipients:", error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        ApiResponse.createInternalErrorResponse(
+          "Failed to get broadcast recipients"
+        )
+      );
+  }
+};
+
+// pause / resume / cancel share the same lookup and state-conflict handling
+const changeBroadcastStatus = (action) => async (req, res) => {
+  try {
+    const { broadcast: broadcastService } = req.services;
+    const { sessionId, broadcastId } = req.params;
+
+    if (!broadcastService.isAvailable()) {
+      return broadcastUnavailable(res);
+    }
+
+    const broadcast = await broadcastService[action](sessionId, broadcastId);
+    if (!broadcast) {
+      return res
+        .status(HTTP_STATUS.NOT_FOUND)
+        .json(ApiResponse.createNotFoundResponse("Broadcast"));
+    }
+
+    res
+      .status(HTTP_STATUS.OK)
+      .json(ApiResponse.createSuccessResponse(broadcast));
+  } catch (error) {
+    if (error.code === "INVALID_BROADCAST_STATE") {
+      return res
+        .status(HTTP_STATUS.CONFLICT)
+        .json(
+          ApiResponse.createErrorResponse(
+            ERROR_CODES.INVALID_REQUEST,
+            error.message
+          )
+        );
+    }
+
+    logger.error(`Error trying to ${action} broadcast:`, error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        ApiResponse.createInternalErrorResponse(`Failed to ${action} broadcast`)
+      );
+  }
+};
+
+const pauseBroadcast = changeBroadcastStatus("pause");
+const resumeBroadcast = changeBroadcastStatus("resume");
+const cancelBroadcast = changeBroadcastStatus("cancel");
+
+export default {
+  createBroadcast,
+  listBroadcasts,
+  getBroadcast,
+  getBroadcastRecipients,
+  pauseBroadcast,
+  resumeBroadcast,
+  cancelBroadcast,
+};
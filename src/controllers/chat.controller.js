@@ -0,0 +1,97 @@
+import logger from "../utils/logger.js";
+import { ApiResponse, Utils } from "../utils/helpers.js";
+import {
+  HTTP_STATUS,
+  ERROR_CODES,
+  SESSION_STATUS,
+} from "../utils/constants.js";
+
+const listChats = async (req, res) => {
+  try {
+    const { baileys: baileysService } = req.services;
+    const { sessionId } = req.params;
+    const { page, limit, ...filters } = req.query;
+
+    const { chats, total } = await baileysService.listChats(
+      sessionId,
+      filters,
+      limit,
+      (page - 1) * limit
+    );
+
+    res
+      .status(HTTP_STATUS.OK)
+      .json(ApiResponse.createPaginatedResponse(chats, total, page, limit));
+  } catch (error) {
+    logger.error("Error listing chats:", error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(ApiResponse.createInternalErrorResponse("Failed to list chats"));
+  }
+};
+
+const getChat = async (req, res) => {
+  try {
+    const { baileys: baileysService } = req.services;
+    const { sessionId, jid } = req.params;
+
+    const chat = await baileysService.getChat(
+      sessionId,
+      Utils.formatWhatsAppId(jid)
+    );
+    if (!chat) {
+      return res
+        .status(HTTP_STATUS.NOT_FOUND)
+        .json(ApiResponse.createNotFoundResponse("Chat"));
+    }
+
+    res.status(HTTP_STATUS.OK).json(ApiResponse.createSuccessResponse(chat));
+  } catch (error) {
+    logger.error("Error getting chat:", error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(ApiResponse.createInternalErrorResponse("Failed to get chat"));
+  }
+};
+
+const manageChat = async (req, res) => {
+  try {
+    const { baileys: baileysService } = req.services;
+    const { sessionId, jid } = req.params;
+    const { action, duration } = req.body;
+
+    const sessionStatus = baileysService.getSessionStatus(sessionId);
+    if (sessionStatus.status !== SESSION_STATUS.CONNECTED) {
+      return res
+        .status(HTTP_STATUS.BAD_REQUEST)
+        .json(
+          ApiResponse.createErrorResponse(
+            ERROR_CODES.SESSION_NOT_CONNECTED,
+            `Session not connected. Status: ${sessionStatus.status}`
+          )
+        );
+    }
+
+    const chat = await baileysService.modifyChat(
+      sessionId,
+      Utils.formatWhatsAppId(jid),
+      action,
+      { duration }
+    );
+
+    res
+      .status(HTTP_STATUS.OK)
+      .json(ApiResponse.createSuccessResponse({ action, chat }));
+  } catch (error) {
+    logger.error("Error managing chat:", error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(ApiResponse.createInternalErrorResponse("Failed to manage chat"));
+  }
+};
+
+export default {
+  listChats,
+  getChat,
+  manageChat,
+};
@@ -0,0 +1,125 @@
+import logger from "../utils/logger.js";
+import { ApiResponse, Utils } from "../utils/helpers.js";
+import {
+  HTTP_STATUS,
+  ERROR_CODES,
+  SESSION_STATUS,
+} from "../utils/constants.js";
+
+const checkContacts = async (req, res) => {
+  try {
+    const { baileys: baileysService } = req.services;
+    const { sessionId } = req.params;
+    const { numbers } = req.body;
+
+    const sessionStatus = baileysService.getSessionStatus(sessionId);
+    if (sessionStatus.status !== SESSION_STATUS.CONNECTED) {
+      return res
+        .status(HTTP_STATUS.BAD_REQUEST)
+        .json(
+          ApiResponse.createErrorResponse(
+            ERROR_CODES.SESSION_NOT_CONNECTED,
+            `Session not connected. Status: ${sessionStatus.status}`
+          )
+        );
+    }
+
+    const results = await baileysService.checkNumbers(sessionId, numbers);
+
+    res.status(HTTP_STATUS.OK).json(
+      ApiResponse.createSuccessResponse({
+        results,
+        total: results.length,
+        registered: results.filter((result) => result.exists).length,
+        invalid: results.filter((result) => !result.valid).length,
+      })
+    );
+  } catch (error) {
+    logger.error("Error checking contacts:", error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(ApiResponse.createInternalErrorResponse("Failed to check numbers"));
+  }
+};
+
+const getProfile = async (req, res) => {
+  try {
+    const { baileys: baileysService } = req.services;
+    const { sessionId, jid } = req.params;
+    const { refresh } = req.query;
+
+    const sessionStatus = baileysService.getSessionStatus(sessionId);
+    if (sessionStatus.status !== SESSION_STATUS.CONNECTED) {
+      return res
+        .status(HTTP_STATUS.BAD_REQUEST)
+        .json(
+          ApiResponse.createErrorResponse(
+            ERROR_CODES.SESSION_NOT_CONNECTED,
+            `Session not connected. Status: ${sessionStatus.status}`
+          )
+        );
+    }
+
+    const profile = await baileysService.getContactProfile(
+      sessionId,
+      Utils.formatWhatsAppId(jid),
+      refresh
+    );
+
+    res.status(HTTP_STATUS.OK).json(ApiResponse.createSuccessResponse(profile));
+  } catch (error) {
+    logger.error("Error getting contact profile:", error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        ApiResponse.createInternalErrorResponse("Failed to get contact profile")
+      );
+  }
+};
+
+const getProfilePart = async (req, res) => {
+  try {
+    const { baileys: baileysService } = req.services;
+    const { sessionId, jid, part } = req.params;
+    const { refresh } = req.query;
+
+    const sessionStatus = baileysService.getSessionStatus(sessionId);
+    if (sessionStatus.status !== SESSION_STATUS.CONNECTED) {
+      return res
+        .status(HTTP_STATUS.BAD_REQUEST)
+        .json(
+          ApiResponse.createErrorResponse(
+            ERROR_CODES.SESSION_NOT_CONNECTED,
+            `Session not connected. Status: ${sessionStatus.status}`
+          )
+        );
+    }
+
+    const contactJid = Utils.formatWhatsAppId(jid);
+    const data = await baileysService.getContactProfilePart(
+      sessionId,
+      contactJid,
+      part,
+      refresh
+    );
+
+    res
+      .status(HTTP_STATUS.OK)
+      .json(
+        ApiResponse.createSuccessResponse({ jid: contactJid, [part]: data })
+      );
+  } catch (error) {
+    logger.error("Error getting contact profile:", error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        ApiResponse.createInternalErrorResponse("Failed to get contact profile")
+      );
+  }
+};
+
+export default {
+  checkContacts,
+  getProfile,
+  getProfilePart,
+};
@@ -0,0 +1,271 @@
+import logger from "../utils/logger.js";
+import { ApiResponse, Utils } from "../utils/helpers.js";
+import {
+  HTTP_STATUS,
+  ERROR_CODES,
+  SESSION_STATUS,
+} from "../utils/constants.js";
+
+// Send a 400 and return false unless the session is connected
+const ensureSessionConnected = (baileysService, sessionId, res) => {
+  const sessionStatus = baileysService.getSessionStatus(sessionId);
+  if (sessionStatus.status !== SESSION_STATUS.CONNECTED) {
+    res
+      .status(HTTP_STATUS.BAD_REQUEST)
+      .json(
+        ApiResponse.createErrorResponse(
+          ERROR_CODES.SESSION_NOT_CONNECTED,
+          `Session not connected. Status: ${sessionStatus.status}`
+        )
+      );
+    return false;
+  }
+  return true;
+};
+
+const sendGroupError = (res, error, message) => {
+  switch (error.code) {
+    case "GROUP_NOT_FOUND":
+      return res
+        .status(HTTP_STATUS.NOT_FOUND)
+        .json(
+          ApiResponse.createErrorResponse(
+            ERROR_CODES.GROUP_NOT_FOUND,
+            "Group not found or the account is not a participant"
+          )
+        );
+    case "GROUP_PERMISSION_DENIED":
+      return res
+        .status(HTTP_STATUS.FORBIDDEN)
+        .json(
+          ApiResponse.createErrorResponse(
+            ERROR_CODES.GROUP_PERMISSION_DENIED,
+            "The account is not allowed to do this (admin rights required)"
+          )
+        );
+    case "INVALID_INVITE_CODE":
+      return res
+        .status(HTTP_STATUS.BAD_REQUEST)
+        .json(
+          ApiResponse.createErrorResponse(
+            ERROR_CODES.INVALID_INVITE_CODE,
+            "Invite code is invalid, revoked or expired"
+          )
+        );
+    default:
+      return res
+        .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+        .json(ApiResponse.createInternalErrorResponse(message));
+  }
+};
+
+const listGroups = async (req, res) => {
+  try {
+    const { baileys: baileysService } = req.services;
+    const { sessionId } = req.params;
+
+    if (!ensureSessionConnected(baileysService, sessionId, res)) {
+      return;
+    }
+
+    const groups = await baileysService.listGroups(sessionId);
+
+    res.status(HTTP_STATUS.OK).json(
+      ApiResponse.createSuccessResponse({
+        groups,
+        total: groups.length,
+      })
+    );
+  } catch (error) {
+    logger.error("Error listing groups:", error);
+    sendGroupError(res, error, "Failed to list groups");
+  }
+};
+
+const getGroup = async (req, res) => {
+  try {
+    const { baileys: baileysService } = req.services;
+    const { sessionId, groupId } = req.params;
+
+    if (!ensureSessionConnected(baileysService, sessionId, res)) {
+      return;
+    }
+
+    const group = await baileysService.getGroup(sessionId, groupId);
+
+    res.status(HTTP_STATUS.OK).json(ApiResponse.createSuccessResponse(group));
+  } catch (error) {
+    logger.error("Error getting group:", error);
+    sendGroupError(res, error, "Failed to get group");
+  }
+};
+
+const createGroup = async (req, res) => {
+  try {
+    const { baileys: baileysService } = req.services;
+    const { sessionId } = req.params;
+    const { subject, participants } = req.body;
+
+    if (!ensureSessionConnected(baileysService, sessionId, res)) {
+      return;
+    }
+
+    const group = await baileysService.createGroup(
+      sessionId,
+      subject,
+      participants.map((participant) => Utils.formatWhatsAppId(participant))
+    );
+
+    res
+      .status(HTTP_STATUS.CREATED)
+      .json(ApiResponse.createSuccessResponse(group));
+  } catch (error) {
+    logger.error("Error creating group:", error);
+    sendGroupError(res, error, "Failed to create group");
+  }
+};
+
+const updateGroup = async (req, res) => {
+  try {
+    const { baileys: baileysService } = req.services;
+    const { sessionId, groupId } = req.params;
+
+    if (!ensureSessionConnected(baileysService, sessionId, res)) {
+      return;
+    }
+
+    const group = await baileysService.updateGroup(
+      sessionId,
+      groupId,
+      req.body
+    );
+
+    res.status(HTTP_STATUS.OK).json(ApiResponse.createSuccessResponse(group));
+  } catch (error) {
+    logger.error("Error updating group:", error);
+    sendGroupError(res, error, "Failed to update group");
+  }
+};
+
+const updateParticipants = async (req, res) => {
+  try {
+    const { baileys: baileysService } = req.services;
+    const { sessionId, groupId } = req.params;
+    const { action, participants } = req.body;
+
+    if (!ensureSessionConnected(baileysService, sessionId, res)) {
+      return;
+    }
+
+    const results = await baileysService.updateGroupParticipants(
+      sessionId,
+      groupId,
+      participants.map((participant) => Utils.formatWhatsAppId(participant)),
+      action
+    );
+
+    res.status(HTTP_STATUS.OK).json(
+      ApiResponse.createSuccessResponse({
+        groupId,
+        action,
+        results,
+        succeeded: results.filter((result) => result.success).length,
+        failed: results.filter((result) => !result.success).length,
+      })
+    );
+  } catch (error) {
+    logger.error("Error updating group participants:", error);
+    sendGroupError(res, error, "Failed to update group participants");
+  }
+};
+
+const getInviteCode = async (req, res) => {
+  try {
+    const { baileys: baileysService } = req.services;
+    const { sessionId, groupId } = req.params;
+
+    if (!ensureSessionConnected(baileysService, sessionId, res)) {
+      return;
+    }
+
+    const invite = await baileysService.getGroupInviteCode(sessionId, groupId);
+
+    res.status(HTTP_STATUS.OK).json(ApiResponse.createSuccessResponse(invite));
+  } catch (error) {
+    logger.error("Error getting group invite code:", error);
+    sendGroupError(res, error, "Failed to get invite code");
+  }
+};
+
+const revokeInviteCode = async (req, res) => {
+  try {
+    const { baileys: baileysService } = req.services;
+    const { sessionId, groupId } = req.params;
+
+    if (!ensureSessionConnected(baileysService, sessionId, res)) {
+      return;
+    }
+
+    const invite = await baileysService.revokeGroupInviteCode(
+      sessionId,
+      groupId
+    );
+
+    res.status(HTTP_STATUS.OK).json(ApiResponse.createSuccessResponse(invite));
+  } catch (error) {
+    logger.error("Error revoking group invite code:", error);
+    sendGroupError(res, error, "Failed to revoke invite code");
+  }
+};
+
+const acceptInvite = async (req, res) => {
+  try {
+    const { baileys: baileysService } = req.services;
+    const { sessionId } = req.params;
+    const { inviteCode } = req.body;
+
+    if (!ensureSessionConnected(baileysService, sessionId, res)) {
+      return;
+    }
+
+    const result = await baileysService.acceptGroupInvite(
+      sessionId,
+      inviteCode
+    );
+
+    res.status(HTTP_STATUS.OK).json(ApiResponse.createSuccessResponse(result));
+  } catch (error) {
+    logger.error("Error accepting group invite:", error);
+    sendGroupError(res, error, "Failed to accept invite");
+  }
+};
+
+const leaveGroup = async (req, res) => {
+  try {
+    const { baileys: baileysService } = req.services;
+    const { sessionId, groupId } = req.params;
+
+    if (!ensureSessionConnected(baileysService, sessionId, res)) {
+      return;
+    }
+
+    const result = await baileysService.leaveGroup(sessionId, groupId);
+
+    res.status(HTTP_STATUS.OK).json(ApiResponse.createSuccessResponse(result));
+  } catch (error) {
+    logger.error("Error leaving group:", error);
+    sendGroupError(res, error, "Failed to leave group");
+  }
+};
+
+export default {
+  listGroups,
+  getGroup,
+  createGroup,
+  updateGroup,
+  updateParticipants,
+  getInviteCode,
+  revokeInviteCode,
+  acceptInvite,
+  leaveGroup,
+};
@@ -0,0 +1,155 @@
+import logger from "../utils/logger.js";
+import { ApiResponse, Utils } from "../utils/helpers.js";
+import { HTTP_STATUS, ERROR_CODES } from "../utils/constants.js";
+
+const historyUnavailable = (res) => {
+  return res
+    .status(HTTP_STATUS.SERVICE_UNAVAILABLE)
+    .json(
+      ApiResponse.createErrorResponse(
+        ERROR_CODES.SERVICE_UNAVAILABLE,
+        "Message history not available"
+      )
+    );
+};
+
+const listMessages = async (req, res) => {
+  try {
+    const { database: databaseService } = req.services;
+    const { sessionId } = req.params;
+    const {
+      limit,
+      cursor,
+      includePayload,
+      chatJid,
+      direction,
+      type,
+      since,
+      until,
+    } = req.query;
+
+    if (!databaseService.isInitialized()) {
+      return historyUnavailable(res);
+    }
+
+    const { messages, nextCursor } = await databaseService.getMessages(
+      sessionId,
+      {
+        chatJid: chatJid ? Utils.formatWhatsAppId(chatJid) : null,
+        direction,
+        type,
+        since: since?.toISOString(),
+        until: until?.toISOString(),
+      },
+      limit,
+      cursor || null,
+      includePayload
+    );
+
+    res.status(HTTP_STATUS.OK).json(
+      ApiResponse.createSuccessResponse(
+        { messages },
+        {
+          pagination: {
+            limit,
+            nextCursor: nextCursor ? Utils.encodeCursor(nextCursor) : null,
+            hasMore: !!nextCursor,
+          },
+        }
+      )
+    );
+  } catch (error) {
+    logger.error("Error listing messages:", error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(ApiResponse.createInternalErrorResponse("Failed to list messages"));
+  }
+};
+
+const searchMessages = async (req, res) => {
+  try {
+    const { database: databaseService } = req.services;
+    const { sessionId } = req.params;
+    const { q, chatJid, page, limit } = req.query;
+
+    if (!databaseService.isInitialized()) {
+      return historyUnavailable(res);
+    }
+
+    const { hits, total } = await databaseService.searchMessages(
+      sessionId,
+      q,
+      { chatJid: chatJid ? Utils.formatWhatsAppId(chatJid) : null },
+      limit,
+      (page - 1) * limit
+    );
+
+    res
+      .status(HTTP_STATUS.OK)
+      .json(
+        ApiResponse.createPaginatedResponse(hits, total, page, limit, {
+          query: q,
+        })
+      );
+  } catch (error) {
+    logger.error("Error searching messages:", error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        ApiResponse.createInternalErrorResponse("Failed to search messages")
+      );
+  }
+};
+
+const getMessageMedia = async (req, res) => {
+  try {
+    const { database: databaseService, baileys: baileysService } =
+      req.services;
+    const { sessionId, messageId } = req.params;
+
+    if (!databaseService.isInitialized()) {
+      return historyUnavailable(res);
+    }
+
+    const media = await baileysService.getMessageMedia(sessionId, messageId);
+    if (!media) {
+      return res
+        .status(HTTP_STATUS.NOT_FOUND)
+        .json(ApiResponse.createNotFoundResponse("Message media"));
+    }
+
+    // attachment() encodes non-ASCII file names for Content-Disposition
+    res.attachment(media.fileName);
+    res.set({
+      "Content-Type": media.mimeType,
+      "Content-Length": media.size,
+    });
+
+    media.stream.on("error", (error) => {
+      logger.error(`Error streaming media for message ${messageId}:`, error);
+      res.destroy(error);
+    });
+    media.stream.pipe(res);
+  } catch (error) {
+    // The stored file was removed from disk or the bucket
+    if (error.code === "MEDIA_NOT_FOUND") {
+      logger.warn(`Stored media missing for message ${req.params.messageId}`);
+      return res
+        .status(HTTP_STATUS.NOT_FOUND)
+        .json(ApiResponse.createNotFoundResponse("Message media"));
+    }
+
+    logger.error("Error getting message media:", error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        ApiResponse.createInternalErrorResponse("Failed to get message media")
+      );
+  }
+};
+
+export default {
+  listMessages,
+  searchMessages,
+  getMessageMedia,
+};
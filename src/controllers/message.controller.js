@@ -123,6 +123,8 @@ const deleteMessage = async (req, res) => {
 
     // Log to database if available
     if (databaseService.isInitialized()) {
+      // Remove it from the message history and search index
+      await databaseService.deleteMessage(sessionId, messageId);
       await databaseService.saveMessage({
         sessionId,
         messageId: `delete_${Date.now()}`,
@@ -206,6 +208,8 @@ const unsendMessage = async (req, res) => {
 
     // Log to database if available
     if (databaseService.isInitialized()) {
+      // Remove it from the message history and search index
+      await databaseService.deleteMessage(sessionId, messageId);
       await databaseService.saveMessage({
         sessionId,
         messageId: `unsend_${Date.now()}`,
@@ -467,6 +471,8 @@ const editMessage = async (req, res) => {
 
     // Log to database if available
     if (databaseService.isInitialized()) {
+      // Keep the message history and search index in sync
+      await databaseService.updateMessageContent(sessionId, messageId, newText);
       await databaseService.saveMessage({
         sessionId,
         messageId: `edit_${Date.now()}`,
@@ -659,6 +665,81 @@ const readMessage = async (req, res) => {
   }
 };
 
+const forwardMessage = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { messageId, targets } = req.body;
+    const { baileys: baileysService, database: databaseService } = req.services;
+
+    // Check session status
+    const sessionStatus = await baileysService.getSessionStatus(sessionId);
+    if (sessionStatus.status !== SESSION_STATUS.CONNECTED) {
+      return res
+        .status(HTTP_STATUS.BAD_REQUEST)
+        .json(
+          ApiResponse.createErrorResponse(
+            ERROR_CODES.SESSION_NOT_CONNECTED,
+            "Session is not connected"
+          )
+        );
+    }
+
+    // The original message is loaded from the message history
+    if (!databaseService.isInitialized()) {
+      return res
+        .status(HTTP_STATUS.SERVICE_UNAVAILABLE)
+        .json(
+          ApiResponse.createErrorResponse(
+            ERROR_CODES.SERVICE_UNAVAILABLE,
+            "Message history not available"
+          )
+        );
+    }
+
+    // Forward message via Baileys
+    const result = await baileysService.forwardMessage(
+      sessionId,
+      messageId,
+      targets.map((target) => Utils.formatWhatsAppId(target))
+    );
+    if (!result) {
+      return res
+        .status(HTTP_STATUS.NOT_FOUND)
+        .json(ApiResponse.createNotFoundResponse("Message"));
+    }
+
+    const forwarded = result.results.filter((target) => target.success);
+
+    // Log to database
+    await databaseService.saveMessage({
+      sessionId,
+      messageId: `forward_${Date.now()}`,
+      type: MESSAGE_TYPES.SYSTEM,
+      content: `Message ${messageId} forwarded to ${forwarded.length} of ${targets.length} chats`,
+      status: "sent",
+      timestamp: new Date().toISOString(),
+    });
+
+    res.status(HTTP_STATUS.OK).json(
+      ApiResponse.createSuccessResponse({
+        messageId,
+        action: MESSAGE_ACTIONS.FORWARD,
+        results: result.results,
+        forwarded: forwarded.length,
+        failed: result.results.length - forwarded.length,
+        timestamp: new Date().toISOString(),
+      })
+    );
+  } catch (error) {
+    logger.error("Error forwarding message:", error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        ApiResponse.createInternalErrorResponse("Failed to forward message")
+      );
+  }
+};
+
 const manageMessage = async (req, res) => {
   try {
     const { action } = req.body;
@@ -691,6 +772,8 @@ const manageMessage = async (req, res) => {
         return await reactToMessage(req, res);
       case MESSAGE_ACTIONS.READ:
         return await readMessage(req, res);
+      case MESSAGE_ACTIONS.FORWARD:
+        return await forwardMessage(req, res);
       default:
         return res
           .status(HTTP_STATUS.BAD_REQUEST)
@@ -724,5 +807,6 @@ export default {
   editMessage,
   reactToMessage,
   readMessage,
+  forwardMessage,
   manageMessage,
 };
@@ -0,0 +1,102 @@
+import logger from "../utils/logger.js";
+import { ApiResponse, Utils } from "../utils/helpers.js";
+import {
+  HTTP_STATUS,
+  ERROR_CODES,
+  SESSION_STATUS,
+} from "../utils/constants.js";
+
+const subscribePresence = async (req, res) => {
+  try {
+    const { baileys: baileysService } = req.services;
+    const { sessionId } = req.params;
+    const { jids } = req.body;
+
+    const sessionStatus = baileysService.getSessionStatus(sessionId);
+    if (sessionStatus.status !== SESSION_STATUS.CONNECTED) {
+      return res
+        .status(HTTP_STATUS.BAD_REQUEST)
+        .json(
+          ApiResponse.createErrorResponse(
+            ERROR_CODES.SESSION_NOT_CONNECTED,
+            `Session not connected. Status: ${sessionStatus.status}`
+          )
+        );
+    }
+
+    const results = await baileysService.subscribePresence(
+      sessionId,
+      jids.map((jid) => Utils.formatWhatsAppId(jid))
+    );
+
+    res.status(HTTP_STATUS.OK).json(
+      ApiResponse.createSuccessResponse({
+        results,
+        subscribed: results.filter((result) => result.subscribed).length,
+        failed: results.filter((result) => !result.subscribed).length,
+      })
+    );
+  } catch (error) {
+    logger.error("Error subscribing to presence:", error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        ApiResponse.createInternalErrorResponse(
+          "Failed to subscribe to presence"
+        )
+      );
+  }
+};
+
+const listPresence = async (req, res) => {
+  try {
+    const { baileys: baileysService } = req.services;
+    const { sessionId } = req.params;
+
+    const presences = baileysService.getPresence(sessionId);
+
+    res.status(HTTP_STATUS.OK).json(
+      ApiResponse.createSuccessResponse({
+        presences,
+        total: presences.length,
+      })
+    );
+  } catch (error) {
+    logger.error("Error listing presence:", error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(ApiResponse.createInternalErrorResponse("Failed to get presence"));
+  }
+};
+
+const getPresence = async (req, res) => {
+  try {
+    const { baileys: baileysService } = req.services;
+    const { sessionId, jid } = req.params;
+
+    const presence = baileysService.getPresence(
+      sessionId,
+      Utils.formatWhatsAppId(jid)
+    );
+    if (!presence) {
+      return res
+        .status(HTTP_STATUS.NOT_FOUND)
+        .json(ApiResponse.createNotFoundResponse("Presence"));
+    }
+
+    res
+      .status(HTTP_STATUS.OK)
+      .json(ApiResponse.createSuccessResponse(presence));
+  } catch (error) {
+    logger.error("Error getting presence:", error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(ApiResponse.createInternalErrorResponse("Failed to get presence"));
+  }
+};
+
+export default {
+  subscribePresence,
+  listPresence,
+  getPresence,
+};
@@ -0,0 +1,124 @@
+import logger from "../utils/logger.js";
+import { ApiResponse } from "../utils/helpers.js";
+import {
+  HTTP_STATUS,
+  ERROR_CODES,
+  SESSION_STATUS,
+} from "../utils/constants.js";
+
+// Send a 400 and return false unless the session is connected
+const ensureSessionConnected = (baileysService, sessionId, res) => {
+  const sessionStatus = baileysService.getSessionStatus(sessionId);
+  if (sessionStatus.status !== SESSION_STATUS.CONNECTED) {
+    res
+      .status(HTTP_STATUS.BAD_REQUEST)
+      .json(
+        ApiResponse.createErrorResponse(
+          ERROR_CODES.SESSION_NOT_CONNECTED,
+          `Session not connected. Status: ${sessionStatus.status}`
+        )
+      );
+    return false;
+  }
+  return true;
+};
+
+const getProfile = async (req, res) => {
+  try {
+    const { baileys: baileysService } = req.services;
+    const { sessionId } = req.params;
+
+    if (!ensureSessionConnected(baileysService, sessionId, res)) {
+      return;
+    }
+
+    const profile = await baileysService.getProfile(sessionId);
+
+    res.status(HTTP_STATUS.OK).json(ApiResponse.createSuccessResponse(profile));
+  } catch (error) {
+    logger.error("Error getting profile:", error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(ApiResponse.createInternalErrorResponse("Failed to get profile"));
+  }
+};
+
+const updateProfile = async (req, res) => {
+  try {
+    const { baileys: baileysService } = req.services;
+    const { sessionId } = req.params;
+
+    if (!ensureSessionConnected(baileysService, sessionId, res)) {
+      return;
+    }
+
+    const profile = await baileysService.updateProfile(sessionId, req.body);
+
+    res.status(HTTP_STATUS.OK).json(ApiResponse.createSuccessResponse(profile));
+  } catch (error) {
+    logger.error("Error updating profile:", error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        ApiResponse.createInternalErrorResponse("Failed to update profile")
+      );
+  }
+};
+
+const updateProfilePicture = async (req, res) => {
+  try {
+    const { baileys: baileysService } = req.services;
+    const { sessionId } = req.params;
+
+    if (!ensureSessionConnected(baileysService, sessionId, res)) {
+      return;
+    }
+
+    const profile = await baileysService.updateProfilePicture(
+      sessionId,
+      req.file.buffer
+    );
+
+    res.status(HTTP_STATUS.OK).json(ApiResponse.createSuccessResponse(profile));
+  } catch (error) {
+    logger.error("Error updating profile picture:", error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        ApiResponse.createInternalErrorResponse(
+          "Failed to update profile picture"
+        )
+      );
+  }
+};
+
+const removeProfilePicture = async (req, res) => {
+  try {
+    const { baileys: baileysService } = req.services;
+    const { sessionId } = req.params;
+
+    if (!ensureSessionConnected(baileysService, sessionId, res)) {
+      return;
+    }
+
+    const profile = await baileysService.removeProfilePicture(sessionId);
+
+    res.status(HTTP_STATUS.OK).json(ApiResponse.createSuccessResponse(profile));
+  } catch (error) {
+    logger.error("Error removing profile picture:", error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        ApiResponse.createInternalErrorResponse(
+          "Failed to remove profile picture"
+        )
+      );
+  }
+};
+
+export default {
+  getProfile,
+  updateProfile,
+  updateProfilePicture,
+  removeProfilePicture,
+};
@@ -0,0 +1,108 @@
+import logger from "../utils/logger.js";
+import { ApiResponse } from "../utils/helpers.js";
+import { HTTP_STATUS, ERROR_CODES } from "../utils/constants.js";
+
+const queueUnavailable = (res) => {
+  return res
+    .status(HTTP_STATUS.SERVICE_UNAVAILABLE)
+    .json(
+      ApiResponse.createErrorResponse(
+        ERROR_CODES.SERVICE_UNAVAILABLE,
+        "Message queue not available"
+      )
+    );
+};
+
+const listScheduledMessages = async (req, res) => {
+  try {
+    const { messageQueue: messageQueueService } = req.services;
+    const { sessionId } = req.params;
+    const { page, limit } = req.query;
+
+    if (!messageQueueService.isAvailable()) {
+      return queueUnavailable(res);
+    }
+
+    const { jobs, total } = await messageQueueService.listScheduled(
+      sessionId,
+      limit,
+      (page - 1) * limit
+    );
+
+    res
+      .status(HTTP_STATUS.OK)
+      .json(ApiResponse.createPaginatedResponse(jobs, total, page, limit));
+  } catch (error) {
+    logger.error("Error listing scheduled messages:", error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        ApiResponse.createInternalErrorResponse(
+          "Failed to list scheduled messages"
+        )
+      );
+  }
+};
+
+const rescheduleMessage = async (req, res) => {
+  try {
+    const { messageQueue: messageQueueService } = req.services;
+    const { sessionId, jobId } = req.params;
+    const { sendAt } = req.body;
+
+    if (!messageQueueService.isAvailable()) {
+      return queueUnavailable(res);
+    }
+
+    const job = await messageQueueService.reschedule(sessionId, jobId, sendAt);
+    if (!job) {
+      return res
+        .status(HTTP_STATUS.NOT_FOUND)
+        .json(ApiResponse.createNotFoundResponse("Scheduled message"));
+    }
+
+    res.status(HTTP_STATUS.OK).json(ApiResponse.createSuccessResponse(job));
+  } catch (error) {
+    logger.error("Error rescheduling message:", error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        ApiResponse.createInternalErrorResponse("Failed to reschedule message")
+      );
+  }
+};
+
+const cancelScheduledMessage = async (req, res) => {
+  try {
+    const { messageQueue: messageQueueService } = req.services;
+    const { sessionId, jobId } = req.params;
+
+    if (!messageQueueService.isAvailable()) {
+      return queueUnavailable(res);
+    }
+
+    const job = await messageQueueService.cancel(sessionId, jobId);
+    if (!job) {
+      return res
+        .status(HTTP_STATUS.NOT_FOUND)
+        .json(ApiResponse.createNotFoundResponse("Scheduled message"));
+    }
+
+    res.status(HTTP_STATUS.OK).json(ApiResponse.createSuccessResponse(job));
+  } catch (error) {
+    logger.error("Error cancelling scheduled message:", error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        ApiResponse.createInternalErrorResponse(
+          "Failed to cancel scheduled message"
+        )
+      );
+  }
+};
+
+export default {
+  listScheduledMessages,
+  rescheduleMessage,
+  cancelScheduledMessage,
+};
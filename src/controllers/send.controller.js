@@ -1,20 +1,67 @@
 import logger from "../utils/logger.js";
 import { ApiResponse, Utils } from "../utils/helpers.js";
+import { applyTemplate } from "../utils/template-renderer.js";
+import { isUserJid } from "../utils/phone-number.js";
 import {
   HTTP_STATUS,
   ERROR_CODES,
   SESSION_STATUS,
   MESSAGE_TYPES,
+  MESSAGE_DIRECTION,
+  FILE_UPLOAD,
 } from "../utils/constants.js";
 
+// Allowed mimetypes per uploadable media type
+const MEDIA_MIME_TYPES = {
+  [MESSAGE_TYPES.IMAGE]: FILE_UPLOAD.ALLOWED_IMAGE_TYPES,
+  [MESSAGE_TYPES.VIDEO]: FILE_UPLOAD.ALLOWED_VIDEO_TYPES,
+  [MESSAGE_TYPES.AUDIO]: FILE_UPLOAD.ALLOWED_AUDIO_TYPES,
+  [MESSAGE_TYPES.VOICE]: FILE_UPLOAD.ALLOWED_AUDIO_TYPES,
+  [MESSAGE_TYPES.STICKER]: FILE_UPLOAD.ALLOWED_IMAGE_TYPES,
+  [MESSAGE_TYPES.DOCUMENT]: FILE_UPLOAD.ALLOWED_TYPES,
+};
+
+// Media types sniffed and given a thumbnail / metadata before sending
+const PREPARED_MEDIA_TYPES = [
+  MESSAGE_TYPES.IMAGE,
+  MESSAGE_TYPES.VIDEO,
+  MESSAGE_TYPES.DOCUMENT,
+];
+
+const resolveMediaType = (mimetype) => {
+  if (FILE_UPLOAD.ALLOWED_IMAGE_TYPES.includes(mimetype)) {
+    return MESSAGE_TYPES.IMAGE;
+  }
+  if (FILE_UPLOAD.ALLOWED_VIDEO_TYPES.includes(mimetype)) {
+    return MESSAGE_TYPES.VIDEO;
+  }
+  if (FILE_UPLOAD.ALLOWED_AUDIO_TYPES.includes(mimetype)) {
+    return MESSAGE_TYPES.AUDIO;
+  }
+  return MESSAGE_TYPES.DOCUMENT;
+};
+
 const sendMessage = async (req, res) => {
   try {
     const {
       baileys: baileysService,
-      storage: storageService,
+      messageQueue: messageQueueService,
       database: databaseService,
     } = req.services;
     const { sessionId } = req.params;
+
+    // Render the message template into the regular send fields
+    let body = req.body;
+    if (body.templateId) {
+      const template = await databaseService.getTemplate(body.templateId);
+      if (!template) {
+        return res
+          .status(HTTP_STATUS.NOT_FOUND)
+          .json(ApiResponse.createNotFoundResponse("Template"));
+      }
+      body = applyTemplate(template, body);
+    }
+
     const {
       to,
       type,
@@ -27,223 +74,111 @@ const sendMessage = async (req, res) => {
       link,
       poll,
       humanSimulation = true, // Default to true for human-like behavior
-    } = req.body;
+      async: queueMessage = false,
+      sendAt,
+      verifyRecipient = false,
+    } = body;
 
     // Check session status
     const sessionStatus = baileysService.getSessionStatus(sessionId);
-    if (sessionStatus.status !== SESSION_STATUS.CONNECTED) {
-      return res
-        .status(HTTP_STATUS.BAD_REQUEST)
-        .json(
-          ApiResponse.createErrorResponse(
-            ERROR_CODES.SESSION_NOT_CONNECTED,
-            `Session not connected. Status: ${sessionStatus.status}`
-          )
-        );
-    }
 
     // Format phone number (validation already done by Joi)
-    const formattedTo = Utils.formatWhatsAppId(to);
+    let formattedTo = Utils.formatWhatsAppId(to);
 
-    let result;
-    let messageType = type.toUpperCase();
-    let messageContent;
-    let messageData = {};
+    // Confirm the number is registered and send to the JID it resolves to
+    if (verifyRecipient && isUserJid(formattedTo)) {
+      if (sessionStatus.status !== SESSION_STATUS.CONNECTED) {
+        return res
+          .status(HTTP_STATUS.BAD_REQUEST)
+          .json(
+            ApiResponse.createErrorResponse(
+              ERROR_CODES.SESSION_NOT_CONNECTED,
+              `Session not connected. Status: ${sessionStatus.status}`
+            )
+          );
+      }
+
+      const resolvedJid = await baileysService.resolveRecipient(
+        sessionId,
+        formattedTo
+      );
+      if (!resolvedJid) {
+        return res
+          .status(HTTP_STATUS.NOT_FOUND)
+          .json(
+            ApiResponse.createErrorResponse(
+              ERROR_CODES.RECIPIENT_NOT_FOUND,
+              `${to} is not registered on WhatsApp`
+            )
+          );
+      }
+      formattedTo = resolvedJid;
+    }
 
     // Prepare options for human simulation
     const sendOptions = { humanSimulation };
 
-    // Handle different message types
-    switch (type.toLowerCase()) {
-      case "text":
-        result = await baileysService.sendMessage(
-          sessionId,
-          formattedTo,
-          {
-            text: message,
-          },
-          sendOptions
-        );
-        messageContent = message;
-        messageData = { text: message };
-        break;
-
-      case "image":
-        result = await baileysService.sendMessage(
-          sessionId,
-          formattedTo,
-          {
-            image: { url: mediaUrl },
-            caption: caption || "",
-          },
-          sendOptions
-        );
-        messageContent = caption || "Image";
-        messageData = { mediaUrl, caption };
-        break;
-
-      case "document":
-        result = await baileysService.sendMessage(
-          sessionId,
-          formattedTo,
-          {
-            document: { url: mediaUrl },
-            fileName: filename || "document",
-            caption: caption || "",
-          },
-          sendOptions
-        );
-        messageContent = filename || "Document";
-        messageData = { mediaUrl, filename, caption };
-        break;
-
-      case "video":
-        result = await baileysService.sendMessage(
-          sessionId,
-          formattedTo,
-          {
-            video: { url: mediaUrl },
-            caption: caption || "",
-          },
-          sendOptions
-        );
-        messageContent = caption || "Video";
-        messageData = { mediaUrl, caption };
-        break;
-
-      case "audio":
-        result = await baileysService.sendMessage(
-          sessionId,
-          formattedTo,
-          {
-            audio: { url: mediaUrl },
-          },
-          sendOptions
-        );
-        messageContent = "Audio";
-        messageData = { mediaUrl };
-        break;
-
-      case "location":
-        result = await baileysService.sendMessage(
-          sessionId,
-          formattedTo,
-          {
-            location: {
-              degreesLatitude: location.latitude,
-              degreesLongitude: location.longitude,
-              name: location.name || "",
-              address: location.address || "",
-            },
-          },
-          sendOptions
-        );
-        messageContent =
-          location.name ||
-          `Location: ${location.latitude}, ${location.longitude}`;
-        messageData = { location };
-        break;
-
-      case "contact":
-        result = await baileysService.sendMessage(
-          sessionId,
-          formattedTo,
-          {
-            contacts: {
-              displayName: contact.name,
-              contacts: [
-                {
-                  displayName: contact.name,
-                  vcard: `BEGIN:VCARD\nVERSION:3.0\nFN:${contact.name}\nTEL:${contact.phone}${contact.email ? `\nEMAIL:${contact.email}` : ""}${contact.organization ? `\nORG:${contact.organization}` : ""}\nEND:VCARD`,
-                },
-              ],
-            },
-          },
-          sendOptions
-        );
-        messageContent = `Contact: ${contact.name}`;
-        messageData = { contact };
-        break;
-
-      case "link":
-        result = await baileysService.sendLinkMessage(
-          sessionId,
-          formattedTo,
-          link,
-          sendOptions
-        );
-        messageContent = link.title || link.url;
-        messageData = { link };
-        break;
-
-      case "poll":
-        result = await baileysService.sendPollMessage(
-          sessionId,
-          formattedTo,
-          poll,
-          sendOptions
-        );
-        messageContent = `Poll: ${poll.question}`;
-        messageData = { poll };
-        break;
-
-      case "seen":
-        const { messageId } = req.body;
-        result = await baileysService.sendSeen(
-          sessionId,
-          formattedTo,
-          messageId
-        );
-        messageContent = "Read receipt sent";
-        messageData = { messageId };
-        break;
-
-      case "typing_start":
-        result = await baileysService.startTyping(sessionId, formattedTo);
-        messageContent = "Typing indicator started";
-        messageData = {};
-        break;
-
-      case "typing_stop":
-        result = await baileysService.stopTyping(sessionId, formattedTo);
-        messageContent = "Typing indicator stopped";
-        messageData = {};
-        break;
-
-      default:
+    // Async mode: queue the message and deliver it in the background
+    if (queueMessage || sendAt) {
+      if (sessionStatus.status === "not_found") {
         return res
-          .status(HTTP_STATUS.BAD_REQUEST)
+          .status(HTTP_STATUS.NOT_FOUND)
           .json(
             ApiResponse.createErrorResponse(
-              ERROR_CODES.INVALID_REQUEST,
-              `Unsupported message type: ${type}`
+              ERROR_CODES.SESSION_NOT_FOUND,
+              `Session ${sessionId} not found`
             )
           );
-    }
+      }
+      if (!messageQueueService.isAvailable()) {
+        return res
+          .status(HTTP_STATUS.SERVICE_UNAVAILABLE)
+          .json(
+            ApiResponse.createErrorResponse(
+              ERROR_CODES.SERVICE_UNAVAILABLE,
+              "Message queue not available"
+            )
+          );
+      }
 
-    // Save message to database if available (skip for typing indicators as they're temporary)
-    if (
-      databaseService.isInitialized() &&
-      !["typing_start", "typing_stop"].includes(type.toLowerCase())
-    ) {
-      await databaseService.saveMessage({
+      const payload = { ...body };
+      delete payload.async;
+      delete payload.humanSimulation;
+      delete payload.sendAt;
+      delete payload.verifyRecipient;
+
+      const job = await messageQueueService.enqueue(
         sessionId,
-        messageId: result.messageId,
-        from: sessionStatus.phoneNumber,
-        to: formattedTo,
-        content: messageContent,
-        type: messageType,
-        status: result.status,
-        mediaUrl: ["image", "document", "video", "audio"].includes(
-          type.toLowerCase()
-        )
-          ? mediaUrl
-          : null,
-        metadata: JSON.stringify(messageData),
-        timestamp: new Date().toISOString(),
-      });
+        formattedTo,
+        payload,
+        sendOptions,
+        sendAt
+      );
+
+      return res
+        .status(HTTP_STATUS.ACCEPTED)
+        .json(ApiResponse.createSuccessResponse(job));
     }
 
+    if (sessionStatus.status !== SESSION_STATUS.CONNECTED) {
+      return res
+        .status(HTTP_STATUS.BAD_REQUEST)
+        .json(
+          ApiResponse.createErrorResponse(
+            ERROR_CODES.SESSION_NOT_CONNECTED,
+            `Session not connected. Status: ${sessionStatus.status}`
+          )
+        );
+    }
+
+    const messageType = type.toUpperCase();
+    const { result } = await baileysService.sendByType(
+      sessionId,
+      formattedTo,
+      body,
+      sendOptions
+    );
+
     logger.info("Message sent successfully", {
       sessionId,
       to: formattedTo,
@@ -267,6 +202,8 @@ const sendMessage = async (req, res) => {
       case "document":
       case "video":
       case "audio":
+      case "voice":
+      case "sticker":
         responseData.mediaUrl = mediaUrl;
         if (caption) responseData.caption = caption;
         if (filename && type.toLowerCase() === "document")
@@ -285,7 +222,7 @@ const sendMessage = async (req, res) => {
         responseData.poll = poll;
         break;
       case "seen":
-        responseData.messageId = req.body.messageId;
+        responseData.messageId = body.messageId;
         break;
       case "typing_start":
       case "typing_stop":
@@ -293,10 +230,76 @@ const sendMessage = async (req, res) => {
         break;
     }
 
+    if (req.body.templateId) {
+      responseData.templateId = req.body.templateId;
+    }
+
     res
       .status(HTTP_STATUS.OK)
       .json(ApiResponse.createSuccessResponse(responseData));
   } catch (error) {
+    if (error.code === "TEMPLATE_VARIABLES_MISSING") {
+      return res
+        .status(HTTP_STATUS.BAD_REQUEST)
+        .json(
+          ApiResponse.createErrorResponse(
+            ERROR_CODES.VALIDATION_FAILED,
+            error.message,
+            { missingVariables: error.missingVariables }
+          )
+        );
+    }
+
+    if (error.code === "QUOTED_MESSAGE_NOT_FOUND") {
+      return res
+        .status(HTTP_STATUS.NOT_FOUND)
+        .json(ApiResponse.createNotFoundResponse("Quoted message"));
+    }
+
+    if (error.code === ERROR_CODES.INVALID_FILE_TYPE) {
+      return res
+        .status(HTTP_STATUS.BAD_REQUEST)
+        .json(
+          ApiResponse.createErrorResponse(
+            ERROR_CODES.INVALID_FILE_TYPE,
+            error.message
+          )
+        );
+    }
+
+    if (error.code === ERROR_CODES.MEDIA_DOWNLOAD_FAILED) {
+      return res
+        .status(HTTP_STATUS.BAD_REQUEST)
+        .json(
+          ApiResponse.createErrorResponse(
+            ERROR_CODES.MEDIA_DOWNLOAD_FAILED,
+            error.message
+          )
+        );
+    }
+
+    if (error.code === ERROR_CODES.FILE_TOO_LARGE) {
+      return res
+        .status(HTTP_STATUS.PAYLOAD_TOO_LARGE)
+        .json(
+          ApiResponse.createErrorResponse(
+            ERROR_CODES.FILE_TOO_LARGE,
+            error.message
+          )
+        );
+    }
+
+    if (error.code === "UNSUPPORTED_MESSAGE_TYPE") {
+      return res
+        .status(HTTP_STATUS.BAD_REQUEST)
+        .json(
+          ApiResponse.createErrorResponse(
+            ERROR_CODES.INVALID_REQUEST,
+            error.message
+          )
+        );
+    }
+
     logger.error("Error sending message:", error);
     res
       .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
@@ -304,6 +307,246 @@ const sendMessage = async (req, res) => {
   }
 };
 
+const getJobStatus = async (req, res) => {
+  try {
+    const { messageQueue: messageQueueService } = req.services;
+    const { sessionId, jobId } = req.params;
+
+    if (!messageQueueService.isAvailable()) {
+      return res
+        .status(HTTP_STATUS.SERVICE_UNAVAILABLE)
+        .json(
+          ApiResponse.createErrorResponse(
+            ERROR_CODES.SERVICE_UNAVAILABLE,
+            "Message queue not available"
+          )
+        );
+    }
+
+    const job = await messageQueueService.getJob(sessionId, jobId);
+    if (!job) {
+      return res
+        .status(HTTP_STATUS.NOT_FOUND)
+        .json(ApiResponse.createNotFoundResponse("Job"));
+    }
+
+    res.status(HTTP_STATUS.OK).json(ApiResponse.createSuccessResponse(job));
+  } catch (error) {
+    logger.error("Error getting message job status:", error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        ApiResponse.createInternalErrorResponse(
+          "Failed to get message job status"
+        )
+      );
+  }
+};
+
+const sendMedia = async (req, res) => {
+  try {
+    const {
+      baileys: baileysService,
+      storage: storageService,
+      database: databaseService,
+    } = req.services;
+    const { sessionId } = req.params;
+    const {
+      to,
+      caption,
+      filename,
+      stickerPack,
+      stickerAuthor,
+      store,
+      humanSimulation,
+    } = req.body;
+    const file = req.file;
+
+    // Check session status
+    const sessionStatus = baileysService.getSessionStatus(sessionId);
+    if (sessionStatus.status !== SESSION_STATUS.CONNECTED) {
+      return res
+        .status(HTTP_STATUS.BAD_REQUEST)
+        .json(
+          ApiResponse.createErrorResponse(
+            ERROR_CODES.SESSION_NOT_CONNECTED,
+            `Session not connected. Status: ${sessionStatus.status}`
+          )
+        );
+    }
+
+    const type = req.body.type || resolveMediaType(file.mimetype);
+    if (!MEDIA_MIME_TYPES[type].includes(file.mimetype)) {
+      return res
+        .status(HTTP_STATUS.BAD_REQUEST)
+        .json(
+          ApiResponse.createErrorResponse(
+            ERROR_CODES.INVALID_FILE_TYPE,
+            `File type ${file.mimetype} cannot be sent as ${type}`
+          )
+        );
+    }
+
+    if (store && !storageService.isInitialized()) {
+      return res
+        .status(HTTP_STATUS.SERVICE_UNAVAILABLE)
+        .json(
+          ApiResponse.createErrorResponse(
+            ERROR_CODES.SERVICE_UNAVAILABLE,
+            "Media storage not available"
+          )
+        );
+    }
+
+    const formattedTo = Utils.formatWhatsAppId(to);
+    const fileName = filename || file.originalname || "file";
+
+    // Check the real file type and build the thumbnail and metadata before
+    // anything is stored
+    let prepared = { mimetype: file.mimetype };
+    if (PREPARED_MEDIA_TYPES.includes(type)) {
+      prepared = await baileysService.prepareMedia(
+        type,
+        file.buffer,
+        file.mimetype
+      );
+    }
+
+    let storedMedia = null;
+    if (store) {
+      storedMedia = await storageService.uploadMedia(
+        sessionId,
+        file.buffer,
+        Utils.sanitizeFilename(fileName),
+        prepared.mimetype
+      );
+    }
+
+    // Send straight from the uploaded buffer
+    let content;
+    switch (type) {
+      case MESSAGE_TYPES.IMAGE:
+        content = {
+          image: file.buffer,
+          ...prepared,
+          caption: caption || "",
+        };
+        break;
+      case MESSAGE_TYPES.VIDEO:
+        content = {
+          video: file.buffer,
+          ...prepared,
+          caption: caption || "",
+        };
+        break;
+      case MESSAGE_TYPES.AUDIO:
+        content = { audio: file.buffer, mimetype: file.mimetype };
+        break;
+      case MESSAGE_TYPES.VOICE:
+      case MESSAGE_TYPES.STICKER:
+        // Built by sendVoiceNote / sendSticker once the file is converted
+        break;
+      case MESSAGE_TYPES.DOCUMENT:
+      default:
+        content = {
+          document: file.buffer,
+          ...prepared,
+          fileName,
+          caption: caption || "",
+        };
+        break;
+    }
+
+    // Voice notes and stickers are converted before sending
+    let result;
+    if (type === MESSAGE_TYPES.VOICE) {
+      result = await baileysService.sendVoiceNote(
+        sessionId,
+        formattedTo,
+        file.buffer,
+        { humanSimulation }
+      );
+    } else if (type === MESSAGE_TYPES.STICKER) {
+      result = await baileysService.sendSticker(
+        sessionId,
+        formattedTo,
+        file.buffer,
+        { pack: stickerPack, author: stickerAuthor },
+        { humanSimulation }
+      );
+    } else {
+      result = await baileysService.sendMessage(
+        sessionId,
+        formattedTo,
+        content,
+        { humanSimulation }
+      );
+    }
+
+    if (databaseService.isInitialized()) {
+      await databaseService.saveMessage({
+        sessionId,
+        messageId: result.messageId,
+        chatJid: formattedTo,
+        direction: MESSAGE_DIRECTION.OUTBOUND,
+        fromMe: true,
+        from: sessionStatus.phoneNumber,
+        to: formattedTo,
+        content: caption || fileName,
+        type: type.toUpperCase(),
+        status: result.status,
+        mediaUrl: storedMedia?.url || null,
+        fileName: type === MESSAGE_TYPES.DOCUMENT ? fileName : null,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    logger.info("Media message sent successfully", {
+      sessionId,
+      to: formattedTo,
+      type,
+      mimetype: prepared.mimetype,
+      size: file.size,
+      stored: !!storedMedia,
+      messageId: result.messageId,
+    });
+
+    res.status(HTTP_STATUS.OK).json(
+      ApiResponse.createSuccessResponse({
+        ...result,
+        type: type.toUpperCase(),
+        to: formattedTo,
+        fileName,
+        mimetype: prepared.mimetype,
+        size: file.size,
+        caption: caption || undefined,
+        mediaUrl: storedMedia?.url || null,
+        objectName: storedMedia?.objectName || null,
+      })
+    );
+  } catch (error) {
+    if (error.code === ERROR_CODES.INVALID_FILE_TYPE) {
+      return res
+        .status(HTTP_STATUS.BAD_REQUEST)
+        .json(
+          ApiResponse.createErrorResponse(
+            ERROR_CODES.INVALID_FILE_TYPE,
+            error.message
+          )
+        );
+    }
+
+    logger.error("Error sending media message:", error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        ApiResponse.createInternalErrorResponse("Failed to send media message")
+      );
+  }
+};
+
 export default {
   sendMessage,
+  sendMedia,
+  getJobStatus,
 };
@@ -6,6 +6,12 @@ import {
   SESSION_STATUS,
 } from "../utils/constants.js";
 
+const getPairingHint = (pairingMethod) => {
+  return pairingMethod === "code"
+    ? "Pairing code will be available shortly."
+    : "QR code will be available shortly.";
+};
+
 const startSession = async (req, res) => {
   try {
     const {
@@ -14,7 +20,9 @@ const startSession = async (req, res) => {
       redis: redisService,
       workerRegistry: workerRegistryService,
     } = req.services;
-    const { sessionId, userId, sessionName } = req.body;
+    const { sessionId, userId, sessionName, pairingMethod, phoneNumber } =
+      req.body;
+    const pairingOptions = { pairingMethod, phoneNumber };
 
     if (!sessionId || !userId) {
       return res.status(HTTP_STATUS.BAD_REQUEST).json(
@@ -41,7 +49,8 @@ const startSession = async (req, res) => {
 
       if (
         existingSession.status === "initializing" ||
-        existingSession.status === "qr_ready"
+        existingSession.status === "qr_ready" ||
+        existingSession.status === SESSION_STATUS.PAIRING_CODE_READY
       ) {
         return res.status(HTTP_STATUS.OK).json(
           ApiResponse.createSuccessResponse({
@@ -50,6 +59,7 @@ const startSession = async (req, res) => {
             message:
               "Session is already starting. Check QR code endpoint if needed.",
             qrCode: existingSession.qrCode || null,
+            pairingCode: existingSession.pairingCode || null,
           })
         );
       }
@@ -59,7 +69,7 @@ const startSession = async (req, res) => {
       });
 
       try {
-        await baileysService.restartSession(sessionId);
+        await baileysService.restartSession(sessionId, pairingOptions);
 
         if (databaseService.isInitialized()) {
           await databaseService.updateSessionStatus(sessionId, "initializing");
@@ -80,8 +90,7 @@ const startSession = async (req, res) => {
           ApiResponse.createSuccessResponse({
             sessionId,
             status: SESSION_STATUS.INITIALIZING,
-            message:
-              "Existing session restarted successfully. QR code will be available shortly.",
+            message: `Existing session restarted successfully. ${getPairingHint(pairingMethod)}`,
           })
         );
       } catch (error) {
@@ -91,7 +100,7 @@ const startSession = async (req, res) => {
 
     logger.info(`Creating new session: ${sessionId}`, { userId });
 
-    await baileysService.createSession(sessionId, userId, sessionName);
+    await baileysService.createSession(sessionId, userId, pairingOptions);
 
     if (databaseService.isInitialized()) {
       await databaseService.createSession({
@@ -123,8 +132,7 @@ const startSession = async (req, res) => {
       ApiResponse.createSuccessResponse({
         sessionId,
         status: SESSION_STATUS.INITIALIZING,
-        message:
-          "Session started successfully. QR code will be available shortly.",
+        message: `Session started successfully. ${getPairingHint(pairingMethod)}`,
       })
     );
   } catch (error) {
@@ -166,7 +174,7 @@ const createSession = async (req, res) => {
         );
     }
 
-    await baileysService.createSession(sessionId, userId, sessionName);
+    await baileysService.createSession(sessionId, userId);
 
     if (databaseService.isInitialized()) {
       await databaseService.createSession({
@@ -0,0 +1,198 @@
+import { randomUUID } from "crypto";
+import logger from "../utils/logger.js";
+import { ApiResponse } from "../utils/helpers.js";
+import { extractVariables } from "../utils/template-renderer.js";
+import { HTTP_STATUS, ERROR_CODES } from "../utils/constants.js";
+
+const databaseUnavailable = (res) => {
+  return res
+    .status(HTTP_STATUS.SERVICE_UNAVAILABLE)
+    .json(
+      ApiResponse.createErrorResponse(
+        ERROR_CODES.SERVICE_UNAVAILABLE,
+        "Template storage not available"
+      )
+    );
+};
+
+const duplicateName = (res, name) => {
+  return res
+    .status(HTTP_STATUS.CONFLICT)
+    .json(
+      ApiResponse.createErrorResponse(
+        ERROR_CODES.DUPLICATE_RECORD,
+        `Template "${name}" already exists`
+      )
+    );
+};
+
+// Placeholders are read from the content and filename on every write
+const buildTemplateData = (body) => ({
+  ...body,
+  variables: extractVariables(body.content, body.filename),
+});
+
+const createTemplate = async (req, res) => {
+  try {
+    const { database: databaseService } = req.services;
+
+    if (!databaseService.isInitialized()) {
+      return databaseUnavailable(res);
+    }
+
+    const templateId = randomUUID();
+    const result = await databaseService.createTemplate({
+      templateId,
+      ...buildTemplateData(req.body),
+    });
+    if (!result.success) {
+      return duplicateName(res, req.body.name);
+    }
+
+    const template = await databaseService.getTemplate(templateId);
+    logger.info(`Template created: ${template.name}`, { templateId });
+
+    res
+      .status(HTTP_STATUS.CREATED)
+      .json(ApiResponse.createSuccessResponse(template));
+  } catch (error) {
+    logger.error("Error creating template:", error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        ApiResponse.createInternalErrorResponse("Failed to create template")
+      );
+  }
+};
+
+const listTemplates = async (req, res) => {
+  try {
+    const { database: databaseService } = req.services;
+    const { page, limit, type } = req.query;
+
+    if (!databaseService.isInitialized()) {
+      return databaseUnavailable(res);
+    }
+
+    const { templates, total } = await databaseService.getTemplates(
+      { type },
+      limit,
+      (page - 1) * limit
+    );
+
+    res
+      .status(HTTP_STATUS.OK)
+      .json(ApiResponse.createPaginatedResponse(templates, total, page, limit));
+  } catch (error) {
+    logger.error("Error listing templates:", error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        ApiResponse.createInternalErrorResponse("Failed to list templates")
+      );
+  }
+};
+
+const getTemplate = async (req, res) => {
+  try {
+    const { database: databaseService } = req.services;
+    const { templateId } = req.params;
+
+    if (!databaseService.isInitialized()) {
+      return databaseUnavailable(res);
+    }
+
+    const template = await databaseService.getTemplate(templateId);
+    if (!template) {
+      return res
+        .status(HTTP_STATUS.NOT_FOUND)
+        .json(ApiResponse.createNotFoundResponse("Template"));
+    }
+
+    res
+      .status(HTTP_STATUS.OK)
+      .json(ApiResponse.createSuccessResponse(template));
+  } catch (error) {
+    logger.error("Error getting template:", error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(ApiResponse.createInternalErrorResponse("Failed to get template"));
+  }
+};
+
+const updateTemplate = async (req, res) => {
+  try {
+    const { database: databaseService } = req.services;
+    const { templateId } = req.params;
+
+    if (!databaseService.isInitialized()) {
+      return databaseUnavailable(res);
+    }
+
+    const result = await databaseService.updateTemplate(
+      templateId,
+      buildTemplateData(req.body)
+    );
+    if (!result.success) {
+      if (result.reason === "Template not found") {
+        return res
+          .status(HTTP_STATUS.NOT_FOUND)
+          .json(ApiResponse.createNotFoundResponse("Template"));
+      }
+      return duplicateName(res, req.body.name);
+    }
+
+    const template = await databaseService.getTemplate(templateId);
+    logger.info(`Template updated: ${template.name}`, { templateId });
+
+    res
+      .status(HTTP_STATUS.OK)
+      .json(ApiResponse.createSuccessResponse(template));
+  } catch (error) {
+    logger.error("Error updating template:", error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        ApiResponse.createInternalErrorResponse("Failed to update template")
+      );
+  }
+};
+
+const deleteTemplate = async (req, res) => {
+  try {
+    const { database: databaseService } = req.services;
+    const { templateId } = req.params;
+
+    if (!databaseService.isInitialized()) {
+      return databaseUnavailable(res);
+    }
+
+    const result = await databaseService.deleteTemplate(templateId);
+    if (!result.success) {
+      return res
+        .status(HTTP_STATUS.NOT_FOUND)
+        .json(ApiResponse.createNotFoundResponse("Template"));
+    }
+
+    logger.info(`Template deleted: ${templateId}`);
+
+    res
+      .status(HTTP_STATUS.OK)
+      .json(ApiResponse.createSuccessResponse({ templateId, deleted: true }));
+  } catch (error) {
+    logger.error("Error deleting template:", error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        ApiResponse.createInternalErrorResponse("Failed to delete template")
+      );
+  }
+};
+
+export default {
+  createTemplate,
+  listTemplates,
+  getTemplate,
+  updateTemplate,
+  deleteTemplate,
+};
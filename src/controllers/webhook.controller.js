@@ -0,0 +1,170 @@
+import logger from "../utils/logger.js";
+import { ApiResponse } from "../utils/helpers.js";
+import { HTTP_STATUS, ERROR_CODES } from "../utils/constants.js";
+
+const databaseUnavailable = (res) => {
+  return res
+    .status(HTTP_STATUS.SERVICE_UNAVAILABLE)
+    .json(
+      ApiResponse.createErrorResponse(
+        ERROR_CODES.SERVICE_UNAVAILABLE,
+        "Webhook outbox storage not available"
+      )
+    );
+};
+
+const getOutboxStats = async (req, res) => {
+  try {
+    const { webhookOutbox: webhookOutboxService } = req.services;
+
+    res
+      .status(HTTP_STATUS.OK)
+      .json(ApiResponse.createSuccessResponse(webhookOutboxService.getStats()));
+  } catch (error) {
+    logger.error("Error getting webhook outbox stats:", error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        ApiResponse.createInternalErrorResponse(
+          "Failed to get webhook outbox stats"
+        )
+      );
+  }
+};
+
+const listDeadLetters = async (req, res) => {
+  try {
+    const { database: databaseService } = req.services;
+    const { page, limit, sessionId, event, before } = req.query;
+
+    if (!databaseService.isInitialized()) {
+      return databaseUnavailable(res);
+    }
+
+    const { deadLetters, total } = await databaseService.getDeadLetters(
+      { sessionId, event, before },
+      limit,
+      (page - 1) * limit
+    );
+
+    res
+      .status(HTTP_STATUS.OK)
+      .json(
+        ApiResponse.createPaginatedResponse(deadLetters, total, page, limit)
+      );
+  } catch (error) {
+    logger.error("Error listing dead-lettered webhooks:", error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        ApiResponse.createInternalErrorResponse(
+          "Failed to list dead-lettered webhooks"
+        )
+      );
+  }
+};
+
+const replayDeadLetter = async (req, res) => {
+  try {
+    const { database: databaseService, webhookOutbox: webhookOutboxService } =
+      req.services;
+    const { id } = req.params;
+
+    if (!databaseService.isInitialized()) {
+      return databaseUnavailable(res);
+    }
+
+    const result = await databaseService.replayDeadLetters({ ids: [id] });
+    if (result.replayed === 0) {
+      return res
+        .status(HTTP_STATUS.NOT_FOUND)
+        .json(ApiResponse.createNotFoundResponse("Dead letter"));
+    }
+
+    webhookOutboxService.processOutbox().catch((error) => {
+      logger.error("Webhook outbox processing failed:", error);
+    });
+
+    res.status(HTTP_STATUS.OK).json(ApiResponse.createSuccessResponse(result));
+  } catch (error) {
+    logger.error("Error replaying dead-lettered webhook:", error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        ApiResponse.createInternalErrorResponse(
+          "Failed to replay dead-lettered webhook"
+        )
+      );
+  }
+};
+
+const replayDeadLetters = async (req, res) => {
+  try {
+    const { database: databaseService, webhookOutbox: webhookOutboxService } =
+      req.services;
+    const { ids, sessionId, event, before } = req.body;
+
+    if (!databaseService.isInitialized()) {
+      return databaseUnavailable(res);
+    }
+
+    const result = await databaseService.replayDeadLetters({
+      ids,
+      sessionId,
+      event,
+      before,
+    });
+
+    webhookOutboxService.processOutbox().catch((error) => {
+      logger.error("Webhook outbox processing failed:", error);
+    });
+
+    res.status(HTTP_STATUS.OK).json(ApiResponse.createSuccessResponse(result));
+  } catch (error) {
+    logger.error("Error replaying dead-lettered webhooks:", error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        ApiResponse.createInternalErrorResponse(
+          "Failed to replay dead-lettered webhooks"
+        )
+      );
+  }
+};
+
+const purgeDeadLetters = async (req, res) => {
+  try {
+    const { database: databaseService } = req.services;
+    const { ids, sessionId, event, before } = req.body;
+
+    if (!databaseService.isInitialized()) {
+      return databaseUnavailable(res);
+    }
+
+    const result = await databaseService.purgeDeadLetters({
+      ids,
+      sessionId,
+      event,
+      before,
+    });
+
+    res.status(HTTP_STATUS.OK).json(ApiResponse.createSuccessResponse(result));
+  } catch (error) {
+    logger.error("Error purging dead-lettered webhooks:", error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        ApiResponse.createInternalErrorResponse(
+          "Failed to purge dead-lettered webhooks"
+        )
+      );
+  }
+};
+
+export default {
+  getOutboxStats,
+  listDeadLetters,
+  replayDeadLetter,
+  replayDeadLetters,
+  purgeDeadLetters,
+};
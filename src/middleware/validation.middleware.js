@@ -8,6 +8,7 @@ import {
   FILE_UPLOAD,
 } from "../utils/constants.js";
 import logger from "../utils/logger.js";
+import { normalizePhoneNumber } from "../utils/phone-number.js";
 
 /**
  * Session ID Validation Middleware
@@ -76,13 +77,13 @@ export const validatePhoneNumber = (req, res, next) => {
     );
   }
 
-  if (!Utils.isValidPhoneNumber(phoneToValidate)) {
+  if (!Utils.isValidRecipient(phoneToValidate)) {
     return res.status(HTTP_STATUS.BAD_REQUEST).json(
       ApiResponse.createValidationErrorResponse("Invalid phone number format", [
         {
           field: "to",
           message:
-            "Phone number must be in format: 628xxxxxxxxx or +628xxxxxxxxx",
+            "Phone number must be in international format (+60123456789), a local number for the default country, or a WhatsApp JID",
         },
       ])
     );
@@ -172,7 +173,8 @@ export const validateMessageContent = (req, res, next) => {
  * Validates session creation parameters
  */
 export const validateSessionCreation = (req, res, next) => {
-  const { sessionId, userId, sessionName } = req.body;
+  const { sessionId, userId, sessionName, pairingMethod, phoneNumber } =
+    req.body;
   const errors = [];
 
   // Validate session ID
@@ -218,6 +220,29 @@ export const validateSessionCreation = (req, res, next) => {
     });
   }
 
+  // Validate pairing method (optional, defaults to QR)
+  if (pairingMethod !== undefined && !["qr", "code"].includes(pairingMethod)) {
+    errors.push({
+      field: "pairingMethod",
+      message: 'Pairing method must be either "qr" or "code"',
+    });
+  } else if (pairingMethod === "code") {
+    const normalizedPhoneNumber = normalizePhoneNumber(phoneNumber);
+    if (!phoneNumber) {
+      errors.push({
+        field: "phoneNumber",
+        message: "Phone number is required when pairing method is code",
+      });
+    } else if (!normalizedPhoneNumber) {
+      errors.push({
+        field: "phoneNumber",
+        message: "Invalid phone number format",
+      });
+    } else {
+      req.body.phoneNumber = normalizedPhoneNumber;
+    }
+  }
+
   if (errors.length > 0) {
     return res
       .status(HTTP_STATUS.BAD_REQUEST)
@@ -269,7 +294,7 @@ export const validateBulkMessage = (req, res, next) => {
           field: `recipients[${index}]`,
           message: "Each recipient must be a string",
         });
-      } else if (!Utils.isValidPhoneNumber(recipient)) {
+      } else if (!Utils.isValidRecipient(recipient)) {
         errors.push({
           field: `recipients[${index}]`,
           message: "Invalid phone number format",
@@ -346,13 +371,8 @@ export const validateFileUpload = (req, res, next) => {
     });
   }
 
-  // Validate filename
-  if (file.originalname && !REGEX.FILENAME.test(file.originalname)) {
-    errors.push({
-      field: "file",
-      message: "Filename contains invalid characters",
-    });
-  }
+  // Filenames such as "Invoice (1).pdf" are accepted as uploaded; they are
+  // sanitized wherever they name a stored file
 
   if (errors.length > 0) {
     return res
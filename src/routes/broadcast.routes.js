@@ -0,0 +1,53 @@
+import express from "express";
+import broadcastController from "../controllers/broadcast.controller.js";
+import { messageRateLimit } from "../middleware/rate-limit.middleware.js";
+import {
+  validateCreateBroadcast,
+  validateListBroadcasts,
+  validateBroadcastId,
+  validateBroadcastRecipients,
+} from "../validations/broadcast.validation.js";
+
+// Mounted at /api/{sessionId}/broadcast
+const router = express.Router({ mergeParams: true });
+
+router.post(
+  "/",
+  messageRateLimit,
+  validateCreateBroadcast,
+  broadcastController.createBroadcast
+);
+
+router.get("/", validateListBroadcasts, broadcastController.listBroadcasts);
+
+router.get(
+  "/:broadcastId",
+  validateBroadcastId,
+  broadcastController.getBroadcast
+);
+
+router.get(
+  "/:broadcastId/recipients",
+  validateBroadcastRecipients,
+  broadcastController.getBroadcastRecipients
+);
+
+router.post(
+  "/:broadcastId/pause",
+  validateBroadcastId,
+  broadcastController.pauseBroadcast
+);
+
+router.post(
+  "/:broadcastId/resume",
+  validateBroadcastId,
+  broadcastController.resumeBroadcast
+);
+
+router.post(
+  "/:broadcastId/cancel",
+  validateBroadcastId,
+  broadcastController.cancelBroadcast
+);
+
+export default router;
@@ -0,0 +1,26 @@
+import express from "express";
+import chatController from "../controllers/chat.controller.js";
+import { messageRateLimit } from "../middleware/rate-limit.middleware.js";
+import {
+  validateListChats,
+  validateGetChat,
+  validateChatAction,
+} from "../validations/chat.validation.js";
+
+// Mounted at /api/{sessionId}/chats
+const router = express.Router({ mergeParams: true });
+
+// Chat list with unread counts and last message
+router.get("/", validateListChats, chatController.listChats);
+
+router.get("/:jid", validateGetChat, chatController.getChat);
+
+// Archive, pin, mute, mark read/unread, delete or clear a chat
+router.post(
+  "/:jid/manage",
+  messageRateLimit,
+  validateChatAction,
+  chatController.manageChat
+);
+
+export default router;
@@ -0,0 +1,30 @@
+import express from "express";
+import contactController from "../controllers/contact.controller.js";
+import { messageRateLimit } from "../middleware/rate-limit.middleware.js";
+import {
+  validateCheckContacts,
+  validateContactProfile,
+} from "../validations/contact.validation.js";
+
+// Mounted at /api/{sessionId}/contacts
+const router = express.Router({ mergeParams: true });
+
+// WhatsApp registration check for a list of numbers
+router.post(
+  "/check",
+  messageRateLimit,
+  validateCheckContacts,
+  contactController.checkContacts
+);
+
+// Profile picture (low / high resolution), about text and business profile
+router.get("/:jid", validateContactProfile, contactController.getProfile);
+
+// A single part of the profile: picture, about or business
+router.get(
+  "/:jid/:part",
+  validateContactProfile,
+  contactController.getProfilePart
+);
+
+export default router;
@@ -0,0 +1,71 @@
+import express from "express";
+import groupController from "../controllers/group.controller.js";
+import { messageRateLimit } from "../middleware/rate-limit.middleware.js";
+import {
+  validateGroupSession,
+  validateGroupId,
+  validateCreateGroup,
+  validateUpdateGroup,
+  validateUpdateParticipants,
+  validateAcceptInvite,
+} from "../validations/group.validation.js";
+
+// Mounted at /api/{sessionId}/groups
+const router = express.Router({ mergeParams: true });
+
+router.get("/", validateGroupSession, groupController.listGroups);
+
+router.post(
+  "/",
+  messageRateLimit,
+  validateCreateGroup,
+  groupController.createGroup
+);
+
+// Join by invite code or link (before /:groupId so "join" is not an ID)
+router.post(
+  "/join",
+  messageRateLimit,
+  validateAcceptInvite,
+  groupController.acceptInvite
+);
+
+router.get("/:groupId", validateGroupId, groupController.getGroup);
+
+// Subject, description and settings (announce / locked)
+router.patch(
+  "/:groupId",
+  messageRateLimit,
+  validateUpdateGroup,
+  groupController.updateGroup
+);
+
+// Add, remove, promote or demote participants
+router.post(
+  "/:groupId/participants",
+  messageRateLimit,
+  validateUpdateParticipants,
+  groupController.updateParticipants
+);
+
+router.get(
+  "/:groupId/invite-code",
+  validateGroupId,
+  groupController.getInviteCode
+);
+
+router.post(
+  "/:groupId/invite-code/revoke",
+  messageRateLimit,
+  validateGroupId,
+  groupController.revokeInviteCode
+);
+
+router.post(
+  "/:groupId/leave",
+  messageRateLimit,
+  validateGroupId,
+  groupController.leaveGroup
+);
+
+export default router;
@@ -1,9 +1,27 @@
 import express from "express";
 import sessionRoutes from "./session.routes.js";
 import messageRoutes from "./message.routes.js";
+import webhookRoutes from "./webhook.routes.js";
+import scheduleRoutes from "./schedule.routes.js";
+import broadcastRoutes from "./broadcast.routes.js";
+import templateRoutes from "./template.routes.js";
+import contactRoutes from "./contact.routes.js";
+import groupRoutes from "./group.routes.js";
+import profileRoutes from "./profile.routes.js";
+import presenceRoutes from "./presence.routes.js";
+import chatRoutes from "./chat.routes.js";
+import messageHistoryRoutes from "./message-history.routes.js";
 import sendController from "../controllers/send.controller.js";
-import { messageRateLimit } from "../middleware/rate-limit.middleware.js";
-import { validateSendMessage } from "../validations/message.validation.js";
+import {
+  messageRateLimit,
+  fileUploadRateLimit,
+} from "../middleware/rate-limit.middleware.js";
+import { validateFileUpload } from "../middleware/validation.middleware.js";
+import {
+  validateSendMessage,
+  validateSendMedia,
+  validateJobStatus,
+} from "../validations/message.validation.js";
 
 const router = express.Router();
 
@@ -15,10 +33,38 @@ router.post(
   sendController.sendMessage
 );
 
+// Async send job status: /api/{sessionId}/jobs/{jobId}
+router.get(
+  "/:sessionId/jobs/:jobId",
+  validateJobStatus,
+  sendController.getJobStatus
+);
+
+// Multipart media send endpoint: /api/{sessionId}/media (file field: "file")
+router.post(
+  "/:sessionId/media",
+  fileUploadRateLimit,
+  messageRateLimit,
+  (req, res, next) => req.upload.single("file")(req, res, next),
+  validateFileUpload,
+  validateSendMedia,
+  sendController.sendMedia
+);
+
 // Mount routes directly - no more factory functions
 router.use("/sessions", sessionRoutes);
 router.use("/session", sessionRoutes); // Alias for backward compatibility
 router.use("/messages", messageRoutes);
 router.use("/message", messageRoutes); // Alias for message management endpoint
+router.use("/webhooks", webhookRoutes);
+router.use("/templates", templateRoutes);
+router.use("/:sessionId/scheduled", scheduleRoutes);
+router.use("/:sessionId/broadcast", broadcastRoutes);
+router.use("/:sessionId/contacts", contactRoutes);
+router.use("/:sessionId/groups", groupRoutes);
+router.use("/:sessionId/profile", profileRoutes);
+router.use("/:sessionId/presence", presenceRoutes);
+router.use("/:sessionId/chats", chatRoutes);
+router.use("/:sessionId/messages", messageHistoryRoutes);
 
 export default router;
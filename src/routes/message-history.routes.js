@@ -0,0 +1,30 @@
+import express from "express";
+import messageHistoryController from "../controllers/message-history.controller.js";
+import {
+  validateMessageHistory,
+  validateMessageSearch,
+  validateMessageMedia,
+} from "../validations/message-history.validation.js";
+
+// Mounted at /api/{sessionId}/messages
+const router = express.Router({ mergeParams: true });
+
+// Stored inbound and outbound messages, newest first (cursor paginated)
+router.get("/", validateMessageHistory, messageHistoryController.listMessages);
+
+// Full-text search over message text, captions and file names
+router.get(
+  "/search",
+  validateMessageSearch,
+  messageHistoryController.searchMessages
+);
+
+// Decrypted media of a stored message, downloaded from WhatsApp on first
+// request unless it was already fetched when the message arrived
+router.get(
+  "/:messageId/media",
+  validateMessageMedia,
+  messageHistoryController.getMessageMedia
+);
+
+export default router;
@@ -0,0 +1,26 @@
+import express from "express";
+import presenceController from "../controllers/presence.controller.js";
+import { messageRateLimit } from "../middleware/rate-limit.middleware.js";
+import {
+  validateSubscribePresence,
+  validateListPresence,
+  validateGetPresence,
+} from "../validations/presence.validation.js";
+
+// Mounted at /api/{sessionId}/presence
+const router = express.Router({ mergeParams: true });
+
+// Subscribe to presence updates of a list of JIDs
+router.post(
+  "/subscribe",
+  messageRateLimit,
+  validateSubscribePresence,
+  presenceController.subscribePresence
+);
+
+// Latest known presence of every tracked contact
+router.get("/", validateListPresence, presenceController.listPresence);
+
+router.get("/:jid", validateGetPresence, presenceController.getPresence);
+
+export default router;
@@ -0,0 +1,44 @@
+import express from "express";
+import profileController from "../controllers/profile.controller.js";
+import {
+  messageRateLimit,
+  fileUploadRateLimit,
+} from "../middleware/rate-limit.middleware.js";
+import { validateFileUpload } from "../middleware/validation.middleware.js";
+import {
+  validateProfileSession,
+  validateUpdateProfile,
+  validateProfilePicture,
+} from "../validations/profile.validation.js";
+
+// Mounted at /api/{sessionId}/profile
+const router = express.Router({ mergeParams: true });
+
+router.get("/", validateProfileSession, profileController.getProfile);
+
+// Display name and about text
+router.patch(
+  "/",
+  messageRateLimit,
+  validateUpdateProfile,
+  profileController.updateProfile
+);
+
+// Multipart profile picture upload (file field: "file")
+router.put(
+  "/picture",
+  fileUploadRateLimit,
+  (req, res, next) => req.upload.single("file")(req, res, next),
+  validateFileUpload,
+  validateProfilePicture,
+  profileController.updateProfilePicture
+);
+
+router.delete(
+  "/picture",
+  messageRateLimit,
+  validateProfileSession,
+  profileController.removeProfilePicture
+);
+
+export default router;
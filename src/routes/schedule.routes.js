@@ -0,0 +1,30 @@
+import express from "express";
+import scheduleController from "../controllers/schedule.controller.js";
+import {
+  validateListScheduled,
+  validateScheduledJob,
+  validateReschedule,
+} from "../validations/schedule.validation.js";
+
+// Mounted at /api/{sessionId}/scheduled
+const router = express.Router({ mergeParams: true });
+
+router.get(
+  "/",
+  validateListScheduled,
+  scheduleController.listScheduledMessages
+);
+
+router.patch(
+  "/:jobId",
+  validateReschedule,
+  scheduleController.rescheduleMessage
+);
+
+router.delete(
+  "/:jobId",
+  validateScheduledJob,
+  scheduleController.cancelScheduledMessage
+);
+
+export default router;
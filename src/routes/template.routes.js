@@ -0,0 +1,31 @@
+import express from "express";
+import templateController from "../controllers/template.controller.js";
+import {
+  validateCreateTemplate,
+  validateListTemplates,
+  validateTemplateId,
+  validateUpdateTemplate,
+} from "../validations/template.validation.js";
+
+const router = express.Router();
+
+// Message templates shared by all sessions (used via templateId on /send)
+router.post("/", validateCreateTemplate, templateController.createTemplate);
+
+router.get("/", validateListTemplates, templateController.listTemplates);
+
+router.get("/:templateId", validateTemplateId, templateController.getTemplate);
+
+router.put(
+  "/:templateId",
+  validateUpdateTemplate,
+  templateController.updateTemplate
+);
+
+router.delete(
+  "/:templateId",
+  validateTemplateId,
+  templateController.deleteTemplate
+);
+
+export default router;
@@ -0,0 +1,39 @@
+import express from "express";
+import webhookController from "../controllers/webhook.controller.js";
+import {
+  validateDeadLetterQuery,
+  validateDeadLetterId,
+  validateDeadLetterBulk,
+} from "../validations/webhook.validation.js";
+
+const router = express.Router();
+
+// Outbox queue depth and retry counters
+router.get("/outbox", webhookController.getOutboxStats);
+
+// Dead-letter queue inspection, replay and purge
+router.get(
+  "/dead-letters",
+  validateDeadLetterQuery,
+  webhookController.listDeadLetters
+);
+
+router.post(
+  "/dead-letters/replay",
+  validateDeadLetterBulk,
+  webhookController.replayDeadLetters
+);
+
+router.post(
+  "/dead-letters/:id/replay",
+  validateDeadLetterId,
+  webhookController.replayDeadLetter
+);
+
+router.delete(
+  "/dead-letters",
+  validateDeadLetterBulk,
+  webhookController.purgeDeadLetters
+);
+
+export default router;
@@ -6,6 +6,11 @@ import connectionHandlers from "./baileys/connection-handlers.service.js";
 import messageSending from "./baileys/message-sending.service.js";
 import messageManagement from "./baileys/message-management.service.js";
 import recovery from "./baileys/recovery.service.js";
+import contacts from "./baileys/contacts.service.js";
+import groups from "./baileys/groups.service.js";
+import profile from "./baileys/profile.service.js";
+import chats from "./baileys/chats.service.js";
+import media from "./baileys/media.service.js";
 
 // Service container
 let services = {};
@@ -14,10 +19,11 @@ const setServices = (injectedServices) => {
   services = injectedServices;
 
   // Pass services to all modules
-  sessionManagement.setServices(injectedServices);
+  sessionManagement.setServices({ ...injectedServices, media });
   connectionHandlers.setServices({
     ...injectedServices,
     sessionManagement,
+    contacts,
   });
   messageSending.setServices({
     ...injectedServices,
@@ -31,6 +37,26 @@ const setServices = (injectedServices) => {
     ...injectedServices,
     sessionManagement,
   });
+  contacts.setServices({
+    ...injectedServices,
+    sessionManagement,
+  });
+  groups.setServices({
+    ...injectedServices,
+    sessionManagement,
+  });
+  profile.setServices({
+    ...injectedServices,
+    sessionManagement,
+  });
+  chats.setServices({
+    ...injectedServices,
+    sessionManagement,
+  });
+  media.setServices({
+    ...injectedServices,
+    sessionManagement,
+  });
 
   logger.info("Baileys service dependencies injected successfully");
 };
@@ -87,8 +113,8 @@ const deleteSession = async (sessionId) => {
   return await sessionManagement.deleteSession(sessionId);
 };
 
-const restartSession = async (sessionId) => {
-  return await sessionManagement.restartSession(sessionId);
+const restartSession = async (sessionId, options = {}) => {
+  return await sessionManagement.restartSession(sessionId, options);
 };
 
 const disconnectSession = async (sessionId) => {
@@ -112,6 +138,34 @@ const sendMessage = async (sessionId, to, message, options = {}) => {
   return await messageSending.sendMessage(sessionId, to, message, options);
 };
 
+const sendByType = async (sessionId, to, payload, options = {}) => {
+  return await messageSending.sendByType(sessionId, to, payload, options);
+};
+
+const prepareMedia = async (type, buffer, declaredMimetype = null) => {
+  return await messageSending.prepareMedia(type, buffer, declaredMimetype);
+};
+
+const sendVoiceNote = async (sessionId, to, input, options = {}) => {
+  return await messageSending.sendVoiceNote(sessionId, to, input, options);
+};
+
+const sendSticker = async (
+  sessionId,
+  to,
+  input,
+  metadata = {},
+  options = {}
+) => {
+  return await messageSending.sendSticker(
+    sessionId,
+    to,
+    input,
+    metadata,
+    options
+  );
+};
+
 const sendSeen = async (sessionId, jid, messageKey) => {
   return await messageSending.sendSeen(sessionId, jid, messageKey);
 };
@@ -222,6 +276,121 @@ const readMessage = async (sessionId, jid, messageKey) => {
   return await messageManagement.readMessage(sessionId, jid, messageKey);
 };
 
+const forwardMessage = async (sessionId, messageId, targets) => {
+  return await messageManagement.forwardMessage(sessionId, messageId, targets);
+};
+
+// Contact Functions
+const checkNumbers = async (sessionId, numbers) => {
+  return await contacts.checkNumbers(sessionId, numbers);
+};
+
+const resolveRecipient = async (sessionId, recipient) => {
+  return await contacts.resolveRecipient(sessionId, recipient);
+};
+
+const getContactProfile = async (sessionId, jid, refresh = false) => {
+  return await contacts.getProfile(sessionId, jid, refresh);
+};
+
+const getContactProfilePart = async (sessionId, jid, part, refresh = false) => {
+  return await contacts.getProfilePart(sessionId, jid, part, refresh);
+};
+
+const subscribePresence = async (sessionId, jids) => {
+  return await contacts.subscribePresence(sessionId, jids);
+};
+
+const getPresence = (sessionId, jid = null) => {
+  return contacts.getPresence(sessionId, jid);
+};
+
+// Group Functions
+const listGroups = async (sessionId) => {
+  return await groups.listGroups(sessionId);
+};
+
+const getGroup = async (sessionId, groupId) => {
+  return await groups.getGroup(sessionId, groupId);
+};
+
+const createGroup = async (sessionId, subject, participants) => {
+  return await groups.createGroup(sessionId, subject, participants);
+};
+
+const updateGroupParticipants = async (
+  sessionId,
+  groupId,
+  participants,
+  action
+) => {
+  return await groups.updateParticipants(
+    sessionId,
+    groupId,
+    participants,
+    action
+  );
+};
+
+const updateGroup = async (sessionId, groupId, updates) => {
+  return await groups.updateGroup(sessionId, groupId, updates);
+};
+
+const getGroupInviteCode = async (sessionId, groupId) => {
+  return await groups.getInviteCode(sessionId, groupId);
+};
+
+const revokeGroupInviteCode = async (sessionId, groupId) => {
+  return await groups.revokeInviteCode(sessionId, groupId);
+};
+
+const acceptGroupInvite = async (sessionId, invite) => {
+  return await groups.acceptInvite(sessionId, invite);
+};
+
+const leaveGroup = async (sessionId, groupId) => {
+  return await groups.leaveGroup(sessionId, groupId);
+};
+
+// Profile Functions
+const getProfile = async (sessionId) => {
+  return await profile.getProfile(sessionId);
+};
+
+const updateProfile = async (sessionId, updates) => {
+  return await profile.updateProfile(sessionId, updates);
+};
+
+const updateProfilePicture = async (sessionId, image) => {
+  return await profile.updateProfilePicture(sessionId, image);
+};
+
+const removeProfilePicture = async (sessionId) => {
+  return await profile.removeProfilePicture(sessionId);
+};
+
+// Chat Functions
+const listChats = async (sessionId, filters = {}, limit = 50, offset = 0) => {
+  return await chats.listChats(sessionId, filters, limit, offset);
+};
+
+const getChat = async (sessionId, jid) => {
+  return await chats.getChat(sessionId, jid);
+};
+
+const modifyChat = async (sessionId, jid, action, options = {}) => {
+  return await chats.modifyChat(sessionId, jid, action, options);
+};
+
+// Media Functions
+const downloadMessageMedia = async (sessionId, messageId) => {
+  return await media.downloadMessageMedia(sessionId, messageId);
+};
+
+const getMessageMedia = async (sessionId, messageId) => {
+  return await media.getMessageMedia(sessionId, messageId);
+};
+
 // Recovery Functions
 const loadPersistedSessions = async () => {
   return await recovery.loadPersistedSessions();
@@ -276,6 +445,11 @@ const getHealthStatus = () => {
         messageSending: "active",
         messageManagement: "active",
         recovery: "active",
+        contacts: "active",
+        groups: "active",
+        profile: "active",
+        chats: "active",
+        media: "active",
       },
     };
   } catch (error) {
@@ -307,6 +481,11 @@ const getDetailedMetrics = () => {
         messageManagement: "active",
         connectionHandlers: "active",
         recovery: "active",
+        contacts: "active",
+        groups: "active",
+        profile: "active",
+        chats: "active",
+        media: "active",
       },
       timestamp: new Date().toISOString(),
     };
@@ -358,6 +537,10 @@ export default {
 
   // Message sending
   sendMessage,
+  sendByType,
+  prepareMedia,
+  sendVoiceNote,
+  sendSticker,
   sendSeen,
   startTyping,
   stopTyping,
@@ -372,6 +555,41 @@ export default {
   editMessage,
   reactToMessage,
   readMessage,
+  forwardMessage,
+
+  // Contacts
+  checkNumbers,
+  resolveRecipient,
+  getContactProfile,
+  getContactProfilePart,
+  subscribePresence,
+  getPresence,
+
+  // Groups
+  listGroups,
+  getGroup,
+  createGroup,
+  updateGroupParticipants,
+  updateGroup,
+  getGroupInviteCode,
+  revokeGroupInviteCode,
+  acceptGroupInvite,
+  leaveGroup,
+
+  // Profile
+  getProfile,
+  updateProfile,
+  updateProfilePicture,
+  removeProfilePicture,
+
+  // Chats
+  listChats,
+  getChat,
+  modifyChat,
+
+  // Media
+  downloadMessageMedia,
+  getMessageMedia,
 
   // Recovery
   loadPersistedSessions,
@@ -395,5 +613,10 @@ export default {
     messageSending,
     messageManagement,
     recovery,
+    contacts,
+    groups,
+    profile,
+    chats,
+    media,
   },
 };
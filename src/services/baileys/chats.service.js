@@ -0,0 +1,154 @@
+import logger from "../../utils/logger.js";
+import { CHAT_ACTIONS } from "../../utils/constants.js";
+
+let sessionManagement;
+let databaseService;
+
+const setServices = (services) => {
+  sessionManagement = services.sessionManagement;
+  databaseService = services.database;
+};
+
+const getConnectedSocket = (sessionId) => {
+  const socket = sessionManagement?.getSocket(sessionId);
+  if (!socket) {
+    throw new Error(`Session ${sessionId} not found or not connected`);
+  }
+  if (!socket.user) {
+    throw new Error(`Session ${sessionId} is not authenticated`);
+  }
+  return socket;
+};
+
+/**
+ * List the session's chats (pinned first, then by latest activity)
+ * @param {string} sessionId - Session ID
+ * @param {object} filters - { archived, pinned, unread, type }
+ * @param {number} limit - Page size
+ * @param {number} offset - Rows to skip
+ * @returns {object} - { chats, total }
+ */
+const listChats = async (sessionId, filters = {}, limit = 50, offset = 0) => {
+  return await databaseService.getChats(sessionId, filters, limit, offset);
+};
+
+const getChat = async (sessionId, jid) => {
+  return await databaseService.getChat(sessionId, jid);
+};
+
+// Archive, read and delete patches reference the chat's last message so
+// other devices apply them to the same range of messages
+const getLastMessages = (chat) => {
+  if (!chat?.lastMessage) {
+    return [];
+  }
+
+  const { messageId, fromMe, participant, timestamp } = chat.lastMessage;
+  return [
+    {
+      key: {
+        remoteJid: chat.jid,
+        id: messageId,
+        fromMe,
+        ...(participant && { participant }),
+      },
+      messageTimestamp: Math.floor(Date.parse(timestamp) / 1000),
+    },
+  ];
+};
+
+const buildChatModification = (action, lastMessages, options) => {
+  switch (action) {
+    case CHAT_ACTIONS.ARCHIVE:
+    case CHAT_ACTIONS.UNARCHIVE:
+      return { archive: action === CHAT_ACTIONS.ARCHIVE, lastMessages };
+    case CHAT_ACTIONS.PIN:
+    case CHAT_ACTIONS.UNPIN:
+      return { pin: action === CHAT_ACTIONS.PIN };
+    case CHAT_ACTIONS.MUTE:
+      return { mute: Date.now() + options.duration * 1000 };
+    case CHAT_ACTIONS.UNMUTE:
+      return { mute: null };
+    case CHAT_ACTIONS.MARK_READ:
+    case CHAT_ACTIONS.MARK_UNREAD:
+      return { markRead: action === CHAT_ACTIONS.MARK_READ, lastMessages };
+    case CHAT_ACTIONS.DELETE:
+      return { delete: true, lastMessages };
+    case CHAT_ACTIONS.CLEAR:
+      return { clear: true, lastMessages };
+    default:
+      throw new Error(`Unsupported chat action: ${action}`);
+  }
+};
+
+// Apply the change locally right away; the chats.update event Baileys emits
+// for our own patch arrives later (and not at all for delete / clear)
+const applyChatModification = async (sessionId, jid, modification) => {
+  if (!databaseService?.isInitialized()) {
+    return;
+  }
+
+  if (modification.delete) {
+    await databaseService.deleteChat(sessionId, jid);
+  } else if (modification.clear) {
+    await databaseService.clearChatLastMessage(sessionId, jid);
+  } else if ("archive" in modification) {
+    await databaseService.upsertChats(sessionId, [
+      { jid, archived: modification.archive },
+    ]);
+  } else if ("pin" in modification) {
+    await databaseService.upsertChats(sessionId, [
+      { jid, pinned: modification.pin },
+    ]);
+  } else if ("mute" in modification) {
+    await databaseService.upsertChats(sessionId, [
+      { jid, mutedUntil: modification.mute || 0 },
+    ]);
+  } else if ("markRead" in modification) {
+    // WhatsApp stores "marked as unread" as an unread count of -1
+    await databaseService.upsertChats(sessionId, [
+      { jid, unreadCount: modification.markRead ? 0 : -1 },
+    ]);
+  }
+};
+
+/**
+ * Apply a chat action (archive, pin, mute, mark read, delete, clear, ...)
+ * @param {string} sessionId - Session ID
+ * @param {string} jid - Chat JID
+ * @param {string} action - One of CHAT_ACTIONS
+ * @param {object} options - { duration } (seconds, for mute)
+ * @returns {object} - The updated chat, or { jid, deleted: true }
+ */
+const modifyChat = async (sessionId, jid, action, options = {}) => {
+  const socket = getConnectedSocket(sessionId);
+
+  try {
+    const chat = await databaseService.getChat(sessionId, jid);
+    const modification = buildChatModification(
+      action,
+      getLastMessages(chat),
+      options
+    );
+
+    await socket.chatModify(modification, jid);
+    await applyChatModification(sessionId, jid, modification);
+
+    logger.info(`Chat action ${action} applied to ${jid} for ${sessionId}`);
+  } catch (error) {
+    logger.error(`Failed to ${action} chat ${jid} for ${sessionId}:`, error);
+    throw new Error(`Failed to ${action} chat: ${error.message}`);
+  }
+
+  if (action === CHAT_ACTIONS.DELETE) {
+    return { jid, deleted: true };
+  }
+  return (await databaseService.getChat(sessionId, jid)) || { jid };
+};
+
+export default {
+  setServices,
+  listChats,
+  getChat,
+  modifyChat,
+};
@@ -3,10 +3,12 @@ import QRCode from "qrcode";
 import logger from "../../utils/logger.js";
 
 let sessionManagement;
+let contacts;
 let workerRegistryService;
 
 const setServices = (services) => {
   sessionManagement = services.sessionManagement;
+  contacts = services.contacts;
   workerRegistryService = services.workerRegistry;
 };
 
@@ -83,6 +85,11 @@ const handleRecoveredConnectionUpdate = async (sessionId, update) => {
 
 const handleQRCode = async (sessionId, qr) => {
   try {
+    // Sessions started with pairingMethod "code" link by pairing code instead
+    if (await sessionManagement.handlePairingCode(sessionId)) {
+      return;
+    }
+
     logger.info(`Generating QR code for session ${sessionId}`);
 
     // Track QR attempts
@@ -164,6 +171,7 @@ const handleConnectionOpen = async (sessionId) => {
     // Clear QR data
     sessionManagement.qrCodes.delete(sessionId);
     sessionManagement.qrAttempts.delete(sessionId);
+    sessionManagement.clearPairing(sessionId);
 
     // Clear QR timeout
     if (sessionManagement.qrTimeouts.has(sessionId)) {
@@ -189,6 +197,9 @@ const handleConnectionOpen = async (sessionId) => {
       displayName,
     });
 
+    // Presence subscriptions do not survive a reconnect
+    await contacts?.resubscribePresence(sessionId);
+
     // Upload session files to storage
     if (global.services?.storage) {
       try {
@@ -220,6 +231,7 @@ const handleRecoveredConnectionOpen = async (sessionId) => {
     // Clear QR data (in case it was generated during recovery)
     sessionManagement.qrCodes.delete(sessionId);
     sessionManagement.qrAttempts.delete(sessionId);
+    sessionManagement.clearPairing(sessionId);
 
     // Clear QR timeout
     if (sessionManagement.qrTimeouts.has(sessionId)) {
@@ -246,6 +258,9 @@ const handleRecoveredConnectionOpen = async (sessionId) => {
       recovered: true,
     });
 
+    // Presence subscriptions do not survive a reconnect
+    await contacts?.resubscribePresence(sessionId);
+
     logger.info(
       `Recovered session ${sessionId} fully connected with phone: ${phoneNumber}`
     );
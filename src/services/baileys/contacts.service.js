@@ -0,0 +1,315 @@
+import logger from "../../utils/logger.js";
+import { normalizePhoneNumber, isUserJid } from "../../utils/phone-number.js";
+
+let sessionManagement;
+let redisService;
+let databaseService;
+
+const setServices = (services) => {
+  sessionManagement = services.sessionManagement;
+  redisService = services.redis;
+  databaseService = services.database;
+};
+
+const getConnectedSocket = (sessionId) => {
+  const socket = sessionManagement?.getSocket(sessionId);
+  if (!socket) {
+    throw new Error(`Session ${sessionId} not found or not connected`);
+  }
+  if (!socket.user) {
+    throw new Error(`Session ${sessionId} is not authenticated`);
+  }
+  return socket;
+};
+
+// Digits of a JID or E.164 number, used to match onWhatsApp results to input
+const toDigits = (value) => {
+  return value.split("@")[0].split(":")[0].replace(/\D/g, "");
+};
+
+const queryOnWhatsApp = async (socket, phoneNumbers) => {
+  const results = await socket.onWhatsApp(...phoneNumbers);
+  return (results || []).filter((result) => result.exists);
+};
+
+/**
+ * Check which numbers are registered on WhatsApp
+ * @param {string} sessionId - Session ID
+ * @param {Array<string>} numbers - Phone numbers or user JIDs
+ * @returns {Array<object>} - { input, phoneNumber, valid, exists, jid, lid } per number
+ */
+const checkNumbers = async (sessionId, numbers) => {
+  const socket = getConnectedSocket(sessionId);
+
+  const entries = numbers.map((input) => ({
+    input,
+    phoneNumber: isUserJid(input)
+      ? `+${toDigits(input)}`
+      : normalizePhoneNumber(input),
+  }));
+  const phoneNumbers = [
+    ...new Set(entries.map((entry) => entry.phoneNumber).filter(Boolean)),
+  ];
+
+  const found = new Map(); // digits -> onWhatsApp result
+  if (phoneNumbers.length > 0) {
+    try {
+      const results = await queryOnWhatsApp(socket, phoneNumbers);
+      for (const result of results) {
+        found.set(toDigits(result.jid), result);
+      }
+
+      // WhatsApp can resolve a number to a different JID (e.g. Brazilian
+      // mobiles with or without the ninth digit). When a result matched no
+      // input, query the unmatched numbers one by one to pair them up.
+      const queried = new Set(phoneNumbers.map(toDigits));
+      const hasUnpairedResults = results.some(
+        (result) => !queried.has(toDigits(result.jid))
+      );
+      if (hasUnpairedResults) {
+        for (const phoneNumber of phoneNumbers) {
+          if (found.has(toDigits(phoneNumber))) {
+            continue;
+          }
+          const [result] = await queryOnWhatsApp(socket, [phoneNumber]);
+          if (result) {
+            found.set(toDigits(phoneNumber), result);
+          }
+        }
+      }
+    } catch (error) {
+      logger.error(`Failed to check numbers on WhatsApp for ${sessionId}:`, {
+        count: phoneNumbers.length,
+        error: error.message,
+      });
+      throw new Error(`Failed to check numbers: ${error.message}`);
+    }
+  }
+
+  logger.info(`Checked ${numbers.length} numbers for ${sessionId}`, {
+    registered: found.size,
+  });
+
+  return entries.map(({ input, phoneNumber }) => {
+    const result = phoneNumber ? found.get(toDigits(phoneNumber)) : null;
+    return {
+      input,
+      phoneNumber,
+      valid: !!phoneNumber,
+      exists: !!result,
+      jid: result?.jid || null,
+      lid: result?.lid || null,
+    };
+  });
+};
+
+/**
+ * Resolve a single recipient to its registered WhatsApp JID
+ * @param {string} sessionId - Session ID
+ * @param {string} recipient - Phone number or user JID
+ * @returns {string|null} - Registered JID, or null if not on WhatsApp
+ */
+const resolveRecipient = async (sessionId, recipient) => {
+  const [result] = await checkNumbers(sessionId, [recipient]);
+  return result.exists ? result.jid : null;
+};
+
+// Privacy settings and missing profiles come back as 401 / 404 errors
+const isNotAvailable = (error) => {
+  const statusCode = error.output?.statusCode || error.data?.statusCode;
+  return (
+    [401, 403, 404].includes(statusCode) ||
+    /item-not-found|not-authorized/i.test(error.message)
+  );
+};
+
+const queryOptional = async (query) => {
+  try {
+    return await query();
+  } catch (error) {
+    if (isNotAvailable(error)) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+const fetchPicture = async (socket, jid) => {
+  const [low, high] = await Promise.all([
+    queryOptional(() => socket.profilePictureUrl(jid, "preview")),
+    queryOptional(() => socket.profilePictureUrl(jid, "image")),
+  ]);
+  return { low: low || null, high: high || null };
+};
+
+const fetchAbout = async (socket, jid) => {
+  const result = await queryOptional(() => socket.fetchStatus(jid));
+  // Newer Baileys versions return one USync result per requested JID
+  const status = Array.isArray(result) ? result[0]?.status : result;
+  return {
+    text: status?.status || null,
+    setAt: status?.setAt ? new Date(status.setAt).toISOString() : null,
+  };
+};
+
+const fetchBusiness = async (socket, jid) => {
+  const profile = await queryOptional(() => socket.getBusinessProfile(jid));
+  if (!profile) {
+    return { isBusiness: false };
+  }
+  return {
+    isBusiness: true,
+    category: profile.category || null,
+    description: profile.description || null,
+    website: profile.website?.[0] || null,
+    email: profile.email || null,
+    address: profile.address || null,
+  };
+};
+
+const PROFILE_FETCHERS = {
+  picture: fetchPicture,
+  about: fetchAbout,
+  business: fetchBusiness,
+};
+
+/**
+ * Get one part of a contact's profile, from the Redis cache when possible
+ * @param {string} sessionId - Session ID
+ * @param {string} jid - Contact JID
+ * @param {string} part - picture | about | business
+ * @param {boolean} refresh - Skip the cache and query WhatsApp
+ * @returns {object} - Profile part
+ */
+const getProfilePart = async (sessionId, jid, part, refresh = false) => {
+  const socket = getConnectedSocket(sessionId);
+  const cacheEnabled = !!redisService?.isInitialized();
+
+  if (cacheEnabled && !refresh) {
+    const cached = await redisService.getContactProfile(sessionId, jid, part);
+    if (cached) {
+      return cached;
+    }
+  }
+
+  try {
+    const data = await PROFILE_FETCHERS[part](socket, jid);
+    if (cacheEnabled) {
+      await redisService.setContactProfile(sessionId, jid, part, data);
+    }
+    return data;
+  } catch (error) {
+    logger.error(`Failed to fetch ${part} of ${jid} for ${sessionId}:`, {
+      error: error.message,
+    });
+    throw new Error(`Failed to fetch contact ${part}: ${error.message}`);
+  }
+};
+
+/**
+ * Get a contact's picture URLs, about text and business profile
+ * @param {string} sessionId - Session ID
+ * @param {string} jid - Contact JID
+ * @param {boolean} refresh - Skip the cache and query WhatsApp
+ * @returns {object} - { jid, picture, about, business }
+ */
+const getProfile = async (sessionId, jid, refresh = false) => {
+  const [picture, about, business] = await Promise.all(
+    Object.keys(PROFILE_FETCHERS).map((part) =>
+      getProfilePart(sessionId, jid, part, refresh)
+    )
+  );
+  return { jid, picture, about, business };
+};
+
+/**
+ * Subscribe to presence updates (online, typing, recording) of contacts.
+ * Subscriptions are stored and renewed whenever the session reconnects.
+ * @param {string} sessionId - Session ID
+ * @param {Array<string>} jids - Contact or group JIDs
+ * @returns {Array<object>} - { jid, subscribed, error } per JID
+ */
+const subscribePresence = async (sessionId, jids) => {
+  const socket = getConnectedSocket(sessionId);
+
+  const results = [];
+  for (const jid of jids) {
+    try {
+      await socket.presenceSubscribe(jid);
+      results.push({ jid, subscribed: true, error: null });
+    } catch (error) {
+      logger.warn(`Failed to subscribe to presence of ${jid}:`, {
+        sessionId,
+        error: error.message,
+      });
+      results.push({ jid, subscribed: false, error: error.message });
+    }
+  }
+
+  const subscribed = results
+    .filter((result) => result.subscribed)
+    .map((result) => result.jid);
+  if (subscribed.length > 0) {
+    await databaseService?.savePresenceSubscriptions(sessionId, subscribed);
+  }
+
+  logger.info(`Presence subscriptions requested for ${sessionId}`, {
+    requested: jids.length,
+    failed: jids.length - subscribed.length,
+  });
+  return results;
+};
+
+/**
+ * Renew the stored presence subscriptions of a session. WhatsApp drops them
+ * when the socket closes, so this runs each time the connection opens.
+ * @param {string} sessionId - Session ID
+ */
+const resubscribePresence = async (sessionId) => {
+  try {
+    const jids =
+      (await databaseService?.getPresenceSubscriptions(sessionId)) || [];
+    if (jids.length === 0) {
+      return;
+    }
+
+    const socket = getConnectedSocket(sessionId);
+    let failed = 0;
+    for (const jid of jids) {
+      try {
+        await socket.presenceSubscribe(jid);
+      } catch (error) {
+        failed++;
+        logger.warn(`Failed to renew presence subscription to ${jid}:`, {
+          sessionId,
+          error: error.message,
+        });
+      }
+    }
+
+    logger.info(`Presence subscriptions renewed for ${sessionId}`, {
+      renewed: jids.length - failed,
+      failed,
+    });
+  } catch (error) {
+    logger.error(
+      `Failed to renew presence subscriptions for ${sessionId}:`,
+      error
+    );
+  }
+};
+
+const getPresence = (sessionId, jid = null) => {
+  return sessionManagement.getPresence(sessionId, jid);
+};
+
+export default {
+  setServices,
+  checkNumbers,
+  resolveRecipient,
+  getProfile,
+  getProfilePart,
+  subscribePresence,
+  resubscribePresence,
+  getPresence,
+};
@@ -0,0 +1,323 @@
+import logger from "../../utils/logger.js";
+import { toNumber } from "../../utils/message-parser.js";
+
+let sessionManagement;
+
+const setServices = (services) => {
+  sessionManagement = services.sessionManagement;
+};
+
+const INVITE_LINK_PREFIX = "https://chat.whatsapp.com/";
+
+// groupParticipantsUpdate action -> past tense used in logs and results
+const PARTICIPANT_ACTION_LABELS = {
+  add: "added",
+  remove: "removed",
+  promote: "promoted",
+  demote: "demoted",
+};
+
+const getConnectedSocket = (sessionId) => {
+  const socket = sessionManagement?.getSocket(sessionId);
+  if (!socket) {
+    throw new Error(`Session ${sessionId} not found or not connected`);
+  }
+  if (!socket.user) {
+    throw new Error(`Session ${sessionId} is not authenticated`);
+  }
+  return socket;
+};
+
+/**
+ * Wrap a Baileys group query error, tagging the ones the API reports with
+ * their own status (missing group, not an admin, bad invite code)
+ */
+const toGroupError = (error, action) => {
+  const statusCode = error.output?.statusCode || error.data?.statusCode;
+  const wrapped = new Error(`Failed to ${action}: ${error.message}`);
+
+  if (statusCode === 404 || /item-not-found/i.test(error.message)) {
+    wrapped.code = "GROUP_NOT_FOUND";
+  } else if (
+    statusCode === 401 ||
+    statusCode === 403 ||
+    /not-authorized|forbidden/i.test(error.message)
+  ) {
+    wrapped.code = "GROUP_PERMISSION_DENIED";
+  }
+  return wrapped;
+};
+
+const toIsoDate = (seconds) => {
+  const value = toNumber(seconds);
+  return value ? new Date(value * 1000).toISOString() : null;
+};
+
+const formatParticipant = (participant) => ({
+  jid: participant.id,
+  lid: participant.lid || null,
+  role: participant.admin || "member",
+  isAdmin: !!participant.admin,
+  isSuperAdmin: participant.admin === "superadmin",
+});
+
+/**
+ * Normalize Baileys GroupMetadata into an API payload
+ * @param {object} metadata - GroupMetadata
+ * @param {boolean} includeParticipants - Include the participant list
+ * @returns {object} - Group
+ */
+const formatGroup = (metadata, includeParticipants = true) => {
+  const participants = metadata.participants || [];
+  const group = {
+    id: metadata.id,
+    subject: metadata.subject || null,
+    subjectOwner: metadata.subjectOwner || null,
+    subjectUpdatedAt: toIsoDate(metadata.subjectTime),
+    description: metadata.desc || null,
+    owner: metadata.owner || null,
+    createdAt: toIsoDate(metadata.creation),
+    size: metadata.size || participants.length,
+    announce: !!metadata.announce,
+    locked: !!metadata.restrict,
+    isCommunity: !!metadata.isCommunity,
+    linkedParent: metadata.linkedParent || null,
+    ephemeralDuration: metadata.ephemeralDuration || null,
+  };
+
+  if (includeParticipants) {
+    group.participants = participants.map(formatParticipant);
+  }
+  return group;
+};
+
+/**
+ * List every group the account participates in
+ * @param {string} sessionId - Session ID
+ * @returns {Array<object>} - Groups without participant lists
+ */
+const listGroups = async (sessionId) => {
+  const socket = getConnectedSocket(sessionId);
+
+  try {
+    const groups = await socket.groupFetchAllParticipating();
+    return Object.values(groups || {})
+      .map((metadata) => formatGroup(metadata, false))
+      .sort((a, b) => (a.subject || "").localeCompare(b.subject || ""));
+  } catch (error) {
+    logger.error(`Failed to list groups for ${sessionId}:`, error);
+    throw toGroupError(error, "list groups");
+  }
+};
+
+const getGroup = async (sessionId, groupId) => {
+  const socket = getConnectedSocket(sessionId);
+
+  try {
+    const metadata = await socket.groupMetadata(groupId);
+    return formatGroup(metadata);
+  } catch (error) {
+    logger.error(`Failed to get group ${groupId} for ${sessionId}:`, error);
+    throw toGroupError(error, "get group");
+  }
+};
+
+/**
+ * Create a group
+ * @param {string} sessionId - Session ID
+ * @param {string} subject - Group subject
+ * @param {Array<string>} participants - Participant JIDs
+ * @returns {object} - Created group
+ */
+const createGroup = async (sessionId, subject, participants) => {
+  const socket = getConnectedSocket(sessionId);
+
+  try {
+    const metadata = await socket.groupCreate(subject, participants);
+    logger.info(`Group ${metadata.id} created from ${sessionId}`, {
+      subject,
+      participants: participants.length,
+    });
+    return formatGroup(metadata);
+  } catch (error) {
+    logger.error(`Failed to create group from ${sessionId}:`, error);
+    throw toGroupError(error, "create group");
+  }
+};
+
+/**
+ * Add, remove, promote or demote participants
+ * @param {string} sessionId - Session ID
+ * @param {string} groupId - Group JID
+ * @param {Array<string>} participants - Participant JIDs
+ * @param {string} action - add | remove | promote | demote
+ * @returns {Array<object>} - { jid, status, success } per participant
+ */
+const updateParticipants = async (sessionId, groupId, participants, action) => {
+  const socket = getConnectedSocket(sessionId);
+
+  try {
+    const results = await socket.groupParticipantsUpdate(
+      groupId,
+      participants,
+      action
+    );
+    const formatted = (results || []).map((result) => ({
+      jid: result.jid,
+      status: Number(result.status),
+      success: result.status === "200",
+    }));
+
+    logger.info(
+      `Participants ${PARTICIPANT_ACTION_LABELS[action]} in group ${groupId}`,
+      {
+        sessionId,
+        requested: participants.length,
+        succeeded: formatted.filter((result) => result.success).length,
+      }
+    );
+    return formatted;
+  } catch (error) {
+    logger.error(
+      `Failed to ${action} participants in group ${groupId} for ${sessionId}:`,
+      error
+    );
+    throw toGroupError(error, `${action} participants`);
+  }
+};
+
+/**
+ * Update group subject, description and settings
+ * @param {string} sessionId - Session ID
+ * @param {string} groupId - Group JID
+ * @param {object} updates - { subject, description, announce, locked }
+ * @returns {object} - Updated group
+ */
+const updateGroup = async (sessionId, groupId, updates) => {
+  const socket = getConnectedSocket(sessionId);
+  const { subject, description, announce, locked } = updates;
+
+  try {
+    if (subject !== undefined) {
+      await socket.groupUpdateSubject(groupId, subject);
+    }
+    if (description !== undefined) {
+      // An empty description removes it
+      await socket.groupUpdateDescription(groupId, description || undefined);
+    }
+    if (announce !== undefined) {
+      await socket.groupSettingUpdate(
+        groupId,
+        announce ? "announcement" : "not_announcement"
+      );
+    }
+    if (locked !== undefined) {
+      await socket.groupSettingUpdate(groupId, locked ? "locked" : "unlocked");
+    }
+
+    logger.info(`Group ${groupId} updated from ${sessionId}`, {
+      fields: Object.keys(updates),
+    });
+
+    const metadata = await socket.groupMetadata(groupId);
+    return formatGroup(metadata);
+  } catch (error) {
+    logger.error(`Failed to update group ${groupId} for ${sessionId}:`, error);
+    throw toGroupError(error, "update group");
+  }
+};
+
+const getInviteCode = async (sessionId, groupId) => {
+  const socket = getConnectedSocket(sessionId);
+
+  try {
+    const inviteCode = await socket.groupInviteCode(groupId);
+    return {
+      groupId,
+      inviteCode,
+      inviteLink: `${INVITE_LINK_PREFIX}${inviteCode}`,
+    };
+  } catch (error) {
+    logger.error(
+      `Failed to get invite code for group ${groupId} (${sessionId}):`,
+      error
+    );
+    throw toGroupError(error, "get invite code");
+  }
+};
+
+const revokeInviteCode = async (sessionId, groupId) => {
+  const socket = getConnectedSocket(sessionId);
+
+  try {
+    const inviteCode = await socket.groupRevokeInvite(groupId);
+    logger.info(`Invite code revoked for group ${groupId} from ${sessionId}`);
+    return {
+      groupId,
+      inviteCode,
+      inviteLink: `${INVITE_LINK_PREFIX}${inviteCode}`,
+    };
+  } catch (error) {
+    logger.error(
+      `Failed to revoke invite code for group ${groupId} (${sessionId}):`,
+      error
+    );
+    throw toGroupError(error, "revoke invite code");
+  }
+};
+
+/**
+ * Join a group with an invite code or chat.whatsapp.com link
+ * @param {string} sessionId - Session ID
+ * @param {string} invite - Invite code or link
+ * @returns {object} - { groupId }
+ */
+const acceptInvite = async (sessionId, invite) => {
+  const socket = getConnectedSocket(sessionId);
+  const inviteCode = invite.trim().replace(INVITE_LINK_PREFIX, "");
+
+  try {
+    const groupId = await socket.groupAcceptInvite(inviteCode);
+    logger.info(`Joined group ${groupId} from ${sessionId}`);
+    return { groupId };
+  } catch (error) {
+    logger.error(`Failed to accept group invite for ${sessionId}:`, error);
+    const wrapped = toGroupError(error, "accept invite");
+    // Unknown, revoked or expired codes: not-found, bad-request or gone
+    const statusCode = error.output?.statusCode || error.data?.statusCode;
+    if (
+      wrapped.code === "GROUP_NOT_FOUND" ||
+      [400, 406, 410].includes(statusCode)
+    ) {
+      wrapped.code = "INVALID_INVITE_CODE";
+    }
+    throw wrapped;
+  }
+};
+
+const leaveGroup = async (sessionId, groupId) => {
+  const socket = getConnectedSocket(sessionId);
+
+  try {
+    await socket.groupLeave(groupId);
+    logger.info(`Left group ${groupId} from ${sessionId}`);
+    return { groupId, left: true };
+  } catch (error) {
+    logger.error(`Failed to leave group ${groupId} for ${sessionId}:`, error);
+    throw toGroupError(error, "leave group");
+  }
+};
+
+export default {
+  setServices,
+  formatGroup,
+  listGroups,
+  getGroup,
+  createGroup,
+  updateParticipants,
+  updateGroup,
+  getInviteCode,
+  revokeInviteCode,
+  acceptInvite,
+  leaveGroup,
+};
@@ -0,0 +1,157 @@
+import { downloadMediaMessage, BufferJSON } from "@whiskeysockets/baileys";
+import logger from "../../utils/logger.js";
+import { Utils } from "../../utils/helpers.js";
+import { normalizeMessage } from "../../utils/message-parser.js";
+
+let sessionManagement;
+let databaseService;
+let storageService;
+
+const pendingDownloads = new Map(); // sessionId:messageId -> download promise
+
+const setServices = (services) => {
+  sessionManagement = services.sessionManagement;
+  databaseService = services.database;
+  storageService = services.storage;
+};
+
+const getExtension = (mimeType) =>
+  mimeType?.split("/")[1]?.split(";")[0] || "bin";
+
+// Documents keep their own name, other media is named after the message
+const getMediaFileName = (messageId, fileName, mimeType) =>
+  fileName || `${messageId}.${getExtension(mimeType)}`;
+
+const storeMedia = async (sessionId, buffer, fileName, mimeType) => {
+  if (storageService?.isInitialized()) {
+    const { objectName } = await storageService.uploadMedia(
+      sessionId,
+      buffer,
+      Utils.sanitizeFilename(fileName),
+      mimeType
+    );
+    return { storage: "minio", path: objectName };
+  }
+
+  const { path } = await storageService.saveLocalMedia(
+    sessionId,
+    buffer,
+    Utils.sanitizeFilename(fileName)
+  );
+  return { storage: "local", path };
+};
+
+const fetchAndStoreMedia = async (sessionId, stored) => {
+  const message = JSON.parse(stored.payload, BufferJSON.reviver);
+  const { media } = normalizeMessage(message);
+  if (!media) {
+    return null;
+  }
+
+  // A connected socket lets Baileys ask the sender to re-upload media that
+  // has expired from the WhatsApp CDN
+  const socket = sessionManagement?.getSocket(sessionId);
+  const buffer = await downloadMediaMessage(
+    message,
+    "buffer",
+    {},
+    socket?.user
+      ? { logger, reuploadRequest: socket.updateMediaMessage }
+      : undefined
+  );
+
+  const mimeType = media.mimetype || "application/octet-stream";
+  const fileName = getMediaFileName(stored.messageId, media.fileName, mimeType);
+  const location = await storeMedia(sessionId, buffer, fileName, mimeType);
+  const storedMedia = { ...location, mimeType, size: buffer.length };
+
+  await databaseService.updateMessageMedia(
+    sessionId,
+    stored.messageId,
+    storedMedia
+  );
+
+  logger.info(`Media downloaded for message ${stored.messageId}`, {
+    sessionId,
+    storage: location.storage,
+    size: buffer.length,
+  });
+  return storedMedia;
+};
+
+/**
+ * Download, decrypt and store a message's media (once; later calls return
+ * the stored copy)
+ * @param {string} sessionId - Session ID
+ * @param {string} messageId - Message ID
+ * @returns {object|null} - { storage, path, mimeType, size, fileName }, or
+ * null when the message is unknown or has no media
+ */
+const downloadMessageMedia = async (sessionId, messageId) => {
+  const stored = await databaseService.getMessageMedia(sessionId, messageId);
+  if (!stored?.payload) {
+    return null;
+  }
+
+  const key = `${sessionId}:${messageId}`;
+
+  try {
+    let media = stored.media;
+    if (!media) {
+      // Concurrent callers share one download, which removes itself once done
+      if (!pendingDownloads.has(key)) {
+        const download = fetchAndStoreMedia(sessionId, stored).finally(() =>
+          pendingDownloads.delete(key)
+        );
+        pendingDownloads.set(key, download);
+      }
+      media = await pendingDownloads.get(key);
+    }
+
+    if (!media) {
+      return null;
+    }
+
+    return {
+      ...media,
+      fileName: getMediaFileName(messageId, stored.fileName, media.mimeType),
+    };
+  } catch (error) {
+    logger.error(
+      `Failed to download media for message ${messageId} in ${sessionId}:`,
+      error
+    );
+    throw new Error(`Failed to download media: ${error.message}`);
+  }
+};
+
+/**
+ * Get a readable stream of a message's media, downloading it first if needed
+ * @param {string} sessionId - Session ID
+ * @param {string} messageId - Message ID
+ * @returns {object|null} - { stream, mimeType, size, fileName }
+ */
+const getMessageMedia = async (sessionId, messageId) => {
+  const media = await downloadMessageMedia(sessionId, messageId);
+  if (!media) {
+    return null;
+  }
+
+  const stream =
+    media.storage === "minio"
+      ? await storageService.getMediaObject(media.path)
+      : await storageService.getLocalMedia(media.path);
+
+  return {
+    stream,
+    mimeType: media.mimeType,
+    size: media.size,
+    fileName: media.fileName,
+  };
+};
+
+export default {
+  setServices,
+  downloadMessageMedia,
+  getMessageMedia,
+};
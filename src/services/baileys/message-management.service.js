@@ -1,9 +1,12 @@
+import { BufferJSON } from "@whiskeysockets/baileys";
 import logger from "../../utils/logger.js";
 
 let sessionManagement;
+let databaseService;
 
 const setServices = (services) => {
   sessionManagement = services.sessionManagement;
+  databaseService = services.database;
 };
 
 const deleteMessage = async (
@@ -348,6 +351,62 @@ const readMessage = async (sessionId, jid, messageKey) => {
   }
 };
 
+/**
+ * Forward a stored message to other chats
+ * @param {string} sessionId - Session ID
+ * @param {string} messageId - ID of the message in the message history
+ * @param {string[]} targets - JIDs to forward the message to
+ * @returns {object|null} - { messageId, results: [{ to, success, messageId |
+ * error }] }, or null when the message is not in the message history
+ */
+const forwardMessage = async (sessionId, messageId, targets) => {
+  const socket = sessionManagement?.getSocket(sessionId);
+  if (!socket) {
+    throw new Error(`Session ${sessionId} not found or not connected`);
+  }
+  if (!socket.user) {
+    throw new Error(`Session ${sessionId} is not authenticated`);
+  }
+
+  const payload = await databaseService?.getMessagePayload(
+    sessionId,
+    messageId
+  );
+  if (!payload) {
+    return null;
+  }
+
+  // The payload keeps the media keys, so media is forwarded without
+  // downloading and re-uploading it
+  const message = JSON.parse(payload, BufferJSON.reviver);
+
+  logger.info(`Forwarding message ${messageId} from ${sessionId}`, {
+    targets: targets.length,
+  });
+
+  // One failed target must not stop the others
+  const results = [];
+  for (const to of targets) {
+    try {
+      const result = await socket.sendMessage(to, { forward: message });
+      results.push({ to, success: true, messageId: result.key.id });
+    } catch (error) {
+      logger.error(
+        `Failed to forward message ${messageId} to ${to} from ${sessionId}:`,
+        error
+      );
+      results.push({ to, success: false, error: error.message });
+    }
+  }
+
+  logger.info(`Message ${messageId} forwarded from ${sessionId}`, {
+    forwarded: results.filter((result) => result.success).length,
+    failed: results.filter((result) => !result.success).length,
+  });
+
+  return { messageId, results };
+};
+
 export default {
   setServices,
   deleteMessage,
@@ -357,4 +416,5 @@ export default {
   editMessage,
   reactToMessage,
   readMessage,
+  forwardMessage,
 };
@@ -1,9 +1,42 @@
+import { BufferJSON } from "@whiskeysockets/baileys";
+import axios from "axios";
+import { tmpdir } from "os";
+import { join } from "path";
+import { createWriteStream } from "fs";
+import fs from "fs/promises";
+import { pipeline } from "stream/promises";
+import config from "../../config/environment.js";
 import logger from "../../utils/logger.js";
+import { Utils } from "../../utils/helpers.js";
+import { convertToVoiceNote } from "../../utils/voice-note.js";
+import { convertToSticker } from "../../utils/sticker.js";
+import {
+  SNIFF_LENGTH,
+  detectMimetype,
+  getImageInfo,
+  getVideoInfo,
+  getPdfPageCount,
+} from "../../utils/media-info.js";
+import {
+  MESSAGE_TYPES,
+  MESSAGE_DIRECTION,
+  ERROR_CODES,
+  FILE_UPLOAD,
+} from "../../utils/constants.js";
+
+// Allowed mimetypes per preprocessed media type
+const MEDIA_MIME_TYPES = {
+  [MESSAGE_TYPES.IMAGE]: FILE_UPLOAD.ALLOWED_IMAGE_TYPES,
+  [MESSAGE_TYPES.VIDEO]: FILE_UPLOAD.ALLOWED_VIDEO_TYPES,
+  [MESSAGE_TYPES.DOCUMENT]: FILE_UPLOAD.ALLOWED_TYPES,
+};
 
 let sessionManagement;
+let databaseService;
 
 const setServices = (services) => {
   sessionManagement = services.sessionManagement;
+  databaseService = services.database;
 };
 
 const simulateHumanBehavior = async (socket, sessionId, to) => {
@@ -112,9 +145,12 @@ const sendMessage = async (sessionId, to, message, options = {}) => {
       messageType:
         typeof message === "object" ? Object.keys(message)[0] : "text",
       humanSimulation: enableHumanSimulation,
+      quoted: options.quoted?.key.id,
     });
 
-    const result = await socket.sendMessage(to, message);
+    const result = await socket.sendMessage(to, message, {
+      quoted: options.quoted,
+    });
 
     // Stop typing indicator after sending
     if (enableHumanSimulation) {
@@ -464,9 +500,616 @@ const sendPollMessage = async (
   }
 };
 
+// Whole transfer, so a stalled server cannot hold a send forever
+const MEDIA_DOWNLOAD_TIMEOUT = 5 * 60 * 1000;
+
+const createMediaError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const createTooLargeError = (type) =>
+  createMediaError(
+    ERROR_CODES.FILE_TOO_LARGE,
+    `File exceeds the ${Utils.formatBytes(FILE_UPLOAD.MAX_MEDIA_SIZE[type])} WhatsApp accepts for ${type}`
+  );
+
+// Keep our own errors, report anything else as a failed download
+const toDownloadError = (url, error) =>
+  error.code === ERROR_CODES.FILE_TOO_LARGE ||
+  error.code === ERROR_CODES.INVALID_FILE_TYPE
+    ? error
+    : createMediaError(
+        ERROR_CODES.MEDIA_DOWNLOAD_FAILED,
+        `Failed to download media from ${url}: ${error.message}`
+      );
+
+// Open a media URL as a stream, rejecting it early when the declared size is
+// over WhatsApp's limit for the type
+const requestMedia = async (type, url) => {
+  let response;
+  try {
+    response = await axios.get(url, {
+      responseType: "stream",
+      timeout: 30000,
+      signal: AbortSignal.timeout(MEDIA_DOWNLOAD_TIMEOUT),
+    });
+  } catch (error) {
+    throw toDownloadError(url, error);
+  }
+
+  if (
+    Number(response.headers["content-length"]) >
+    FILE_UPLOAD.MAX_MEDIA_SIZE[type]
+  ) {
+    response.data.destroy();
+    throw createTooLargeError(type);
+  }
+  return response;
+};
+
+// Fetch a media URL into memory, for voice notes and stickers which are
+// converted before sending
+const downloadMedia = async (type, url) => {
+  const response = await requestMedia(type, url);
+  const chunks = [];
+  let size = 0;
+
+  try {
+    for await (const chunk of response.data) {
+      size += chunk.length;
+      if (size > FILE_UPLOAD.MAX_MEDIA_SIZE[type]) {
+        response.data.destroy();
+        throw createTooLargeError(type);
+      }
+      chunks.push(chunk);
+    }
+  } catch (error) {
+    throw toDownloadError(url, error);
+  }
+  return Buffer.concat(chunks);
+};
+
+// Servers often send files as application/octet-stream; the extension is
+// the better hint for formats without a signature
+const getDeclaredMimetype = (headers, url, filename) => {
+  const mimetype = headers["content-type"]?.split(";")[0].trim();
+  if (mimetype && mimetype !== "application/octet-stream") {
+    return mimetype;
+  }
+  return Utils.getMimeType(
+    Utils.getFileExtension(filename || new URL(url).pathname)
+  );
+};
+
+// Detect the real type of an image, video or document from its first bytes
+const checkMediaType = async (type, head, declaredMimetype) => {
+  const mimetype = await detectMimetype(head, declaredMimetype);
+  if (!MEDIA_MIME_TYPES[type].includes(mimetype)) {
+    throw createMediaError(
+      ERROR_CODES.INVALID_FILE_TYPE,
+      `File type ${mimetype || "unknown"} cannot be sent as ${type}`
+    );
+  }
+  return mimetype;
+};
+
+/**
+ * Stream a media URL to a temp file. The type is checked as soon as the first
+ * bytes arrive and the download stops once it passes WhatsApp's limit for
+ * the type, so rejected files are never fetched in full.
+ * @param {string} type - image, video or document
+ * @param {string} url - Media URL
+ * @param {string|null} filename - Document name, a hint for the type
+ * @returns {object} - { path, mimetype, size, cleanup }
+ * @throws {Error} - code MEDIA_DOWNLOAD_FAILED, FILE_TOO_LARGE or
+ * INVALID_FILE_TYPE
+ */
+const downloadMediaToFile = async (type, url, filename = null) => {
+  const response = await requestMedia(type, url);
+  const declaredMimetype = getDeclaredMimetype(response.headers, url, filename);
+
+  const workDir = await fs.mkdtemp(join(tmpdir(), "send-media-"));
+  const path = join(workDir, "media");
+  const cleanup = () => fs.rm(workDir, { recursive: true, force: true });
+
+  let size = 0;
+  let head = Buffer.alloc(0);
+  let mimetype = null;
+
+  const checkChunks = async function* (source) {
+    for await (const chunk of source) {
+      size += chunk.length;
+      if (size > FILE_UPLOAD.MAX_MEDIA_SIZE[type]) {
+        throw createTooLargeError(type);
+      }
+      if (mimetype === null) {
+        head = Buffer.concat([head, chunk]);
+        if (head.length >= SNIFF_LENGTH) {
+          mimetype = await checkMediaType(type, head, declaredMimetype);
+        }
+      }
+      yield chunk;
+    }
+  };
+
+  try {
+    await pipeline(response.data, checkChunks, createWriteStream(path));
+    // Files shorter than the sniffed length are checked once complete
+    mimetype ??= await checkMediaType(type, head, declaredMimetype);
+    return { path, mimetype, size, cleanup };
+  } catch (error) {
+    await cleanup();
+    throw toDownloadError(url, error);
+  }
+};
+
+// Thumbnail and metadata sent along with an image, video or document.
+// Without them the file is still sent, Baileys fills in what it can.
+const getMediaFields = async (type, input, mimetype, size) => {
+  const fields = { mimetype, fileLength: size };
+
+  try {
+    if (type === MESSAGE_TYPES.IMAGE) {
+      Object.assign(fields, await getImageInfo(input));
+    } else if (type === MESSAGE_TYPES.VIDEO) {
+      Object.assign(fields, await getVideoInfo(input));
+    } else if (mimetype === "application/pdf") {
+      fields.pageCount = await getPdfPageCount(input);
+    }
+  } catch (error) {
+    logger.warn(`Failed to read ${type} metadata, sending without it:`, error);
+  }
+
+  return Object.fromEntries(
+    Object.entries(fields).filter(([, value]) => value != null)
+  );
+};
+
+/**
+ * Check an image, video or document against the allowed types and collect
+ * the thumbnail and metadata sent along with it
+ * @param {string} type - image, video or document
+ * @param {Buffer} buffer - File content
+ * @param {string|null} declaredMimetype - Mimetype from the upload, used when
+ * the content has no signature
+ * @returns {object} - Message fields: mimetype, fileLength and, when they can
+ * be read, jpegThumbnail, width, height, seconds, pageCount
+ * @throws {Error} - code INVALID_FILE_TYPE when the content is not allowed
+ */
+const prepareMedia = async (type, buffer, declaredMimetype = null) => {
+  const mimetype = await checkMediaType(type, buffer, declaredMimetype);
+  return getMediaFields(type, buffer, mimetype, buffer.length);
+};
+
+// Send an image, video or document from a URL. Baileys streams the temp copy,
+// so large files are never held in memory.
+const sendMediaFromUrl = async (
+  sessionId,
+  to,
+  type,
+  mediaUrl,
+  content,
+  options,
+  filename = null
+) => {
+  const media = await downloadMediaToFile(type, mediaUrl, filename);
+
+  try {
+    const fields = await getMediaFields(
+      type,
+      media.path,
+      media.mimetype,
+      media.size
+    );
+    return await sendMessage(
+      sessionId,
+      to,
+      { [type]: { url: media.path }, ...fields, ...content },
+      options
+    );
+  } finally {
+    await media.cleanup();
+  }
+};
+
+/**
+ * Convert audio to OGG/Opus and send it as a PTT voice note
+ * @param {string} sessionId - Session ID
+ * @param {string} to - Recipient JID
+ * @param {Buffer} input - Audio (or video) file in any format ffmpeg reads
+ * @param {object} options - { humanSimulation, quoted }
+ * @returns {object} - Send result with the voice note duration
+ */
+const sendVoiceNote = async (sessionId, to, input, options = {}) => {
+  let voiceNote;
+  try {
+    voiceNote = await convertToVoiceNote(input);
+  } catch (error) {
+    logger.error(`Failed to convert voice note for ${sessionId}:`, error);
+    throw new Error(`Failed to convert voice note: ${error.message}`);
+  }
+
+  const result = await sendMessage(
+    sessionId,
+    to,
+    {
+      audio: voiceNote.audio,
+      mimetype: voiceNote.mimetype,
+      ptt: true,
+      seconds: voiceNote.seconds,
+      waveform: voiceNote.waveform,
+    },
+    options
+  );
+
+  return { ...result, seconds: voiceNote.seconds };
+};
+
+/**
+ * Convert an image to a 512x512 WebP sticker and send it
+ * @param {string} sessionId - Session ID
+ * @param {string} to - Recipient JID
+ * @param {Buffer} input - PNG, JPEG, GIF or WebP image
+ * @param {object} metadata - { pack, author } (defaults from config)
+ * @param {object} options - { humanSimulation, quoted }
+ * @returns {object} - Send result with the animated flag
+ */
+const sendSticker = async (
+  sessionId,
+  to,
+  input,
+  metadata = {},
+  options = {}
+) => {
+  let sticker;
+  try {
+    sticker = await convertToSticker(input, {
+      pack: metadata.pack ?? config.whatsapp.stickerPack,
+      author: metadata.author ?? config.whatsapp.stickerAuthor,
+    });
+  } catch (error) {
+    logger.error(`Failed to convert sticker for ${sessionId}:`, error);
+    throw new Error(`Failed to convert sticker: ${error.message}`);
+  }
+
+  const result = await sendMessage(
+    sessionId,
+    to,
+    {
+      sticker: sticker.sticker,
+      mimetype: sticker.mimetype,
+      isAnimated: sticker.animated,
+    },
+    options
+  );
+
+  return { ...result, animated: sticker.animated };
+};
+
+const buildContactVcard = (contact) =>
+  `BEGIN:VCARD\nVERSION:3.0\nFN:${contact.name}\nTEL:${contact.phone}${contact.email ? `\nEMAIL:${contact.email}` : ""}${contact.organization ? `\nORG:${contact.organization}` : ""}\nEND:VCARD`;
+
+const loadStoredMessage = async (sessionId, messageId) => {
+  const payload = await databaseService?.getMessagePayload(
+    sessionId,
+    messageId
+  );
+  return payload ? JSON.parse(payload, BufferJSON.reviver) : null;
+};
+
+/**
+ * Resolve the message to reply to
+ * @param {string} sessionId - Session ID
+ * @param {string} to - Chat JID of the reply
+ * @param {string|object} quotedMessageId - Stored message ID or message key
+ * @returns {object|undefined} - WAMessage for the `quoted` send option
+ * @throws {Error} - code QUOTED_MESSAGE_NOT_FOUND for an unknown message ID
+ */
+const resolveQuotedMessage = async (sessionId, to, quotedMessageId) => {
+  if (!quotedMessageId) {
+    return undefined;
+  }
+
+  const key =
+    typeof quotedMessageId === "string"
+      ? { id: quotedMessageId }
+      : quotedMessageId;
+  const stored = await loadStoredMessage(sessionId, key.id);
+  if (stored) {
+    return stored;
+  }
+
+  if (typeof quotedMessageId === "string") {
+    const error = new Error(`Quoted message ${quotedMessageId} not found`);
+    error.code = "QUOTED_MESSAGE_NOT_FOUND";
+    throw error;
+  }
+
+  // A key that is not in the store is quoted without a preview of its content
+  return {
+    key: {
+      remoteJid: key.remoteJid ? Utils.formatWhatsAppId(key.remoteJid) : to,
+      id: key.id,
+      fromMe: key.fromMe,
+      ...(key.participant && {
+        participant: Utils.formatWhatsAppId(key.participant),
+      }),
+    },
+    message: { conversation: "" },
+  };
+};
+
+/**
+ * Send a validated /send payload according to its type and record it
+ * @param {string} sessionId - Session ID
+ * @param {string} to - Formatted WhatsApp JID
+ * @param {object} payload - Send payload (type, message, mediaUrl, location, ...)
+ * @param {object} options - { humanSimulation }
+ * @returns {object} - { result, messageContent, messageData }
+ */
+const sendByType = async (sessionId, to, payload, options = {}) => {
+  const {
+    type,
+    message,
+    mediaUrl,
+    caption,
+    filename,
+    location,
+    contact,
+    link,
+    poll,
+    messageId,
+    quotedMessageId,
+    mentions,
+    stickerPack,
+    stickerAuthor,
+  } = payload;
+
+  let result;
+  let messageContent;
+  let messageData = {};
+
+  const quoted = await resolveQuotedMessage(sessionId, to, quotedMessageId);
+  const sendOptions = { ...options, quoted };
+  const mentionFields = mentions?.length
+    ? { mentions: mentions.map((jid) => Utils.formatWhatsAppId(jid)) }
+    : {};
+
+  switch (type.toLowerCase()) {
+    case MESSAGE_TYPES.TEXT:
+      result = await sendMessage(
+        sessionId,
+        to,
+        { text: message, ...mentionFields },
+        sendOptions
+      );
+      messageContent = message;
+      messageData = { text: message };
+      break;
+
+    case MESSAGE_TYPES.IMAGE:
+      result = await sendMediaFromUrl(
+        sessionId,
+        to,
+        MESSAGE_TYPES.IMAGE,
+        mediaUrl,
+        { caption: caption || "", ...mentionFields },
+        sendOptions
+      );
+      messageContent = caption || "Image";
+      messageData = { mediaUrl, caption };
+      break;
+
+    case MESSAGE_TYPES.DOCUMENT:
+      result = await sendMediaFromUrl(
+        sessionId,
+        to,
+        MESSAGE_TYPES.DOCUMENT,
+        mediaUrl,
+        {
+          fileName: filename || "document",
+          caption: caption || "",
+          ...mentionFields,
+        },
+        sendOptions,
+        filename
+      );
+      messageContent = filename || "Document";
+      messageData = { mediaUrl, filename, caption };
+      break;
+
+    case MESSAGE_TYPES.VIDEO:
+      result = await sendMediaFromUrl(
+        sessionId,
+        to,
+        MESSAGE_TYPES.VIDEO,
+        mediaUrl,
+        { caption: caption || "", ...mentionFields },
+        sendOptions
+      );
+      messageContent = caption || "Video";
+      messageData = { mediaUrl, caption };
+      break;
+
+    case MESSAGE_TYPES.AUDIO:
+      result = await sendMessage(
+        sessionId,
+        to,
+        { audio: { url: mediaUrl } },
+        sendOptions
+      );
+      messageContent = "Audio";
+      messageData = { mediaUrl };
+      break;
+
+    case MESSAGE_TYPES.VOICE:
+      result = await sendVoiceNote(
+        sessionId,
+        to,
+        await downloadMedia(MESSAGE_TYPES.VOICE, mediaUrl),
+        sendOptions
+      );
+      messageContent = "Voice note";
+      messageData = { mediaUrl, seconds: result.seconds };
+      break;
+
+    case MESSAGE_TYPES.STICKER:
+      result = await sendSticker(
+        sessionId,
+        to,
+        await downloadMedia(MESSAGE_TYPES.STICKER, mediaUrl),
+        { pack: stickerPack, author: stickerAuthor },
+        sendOptions
+      );
+      messageContent = "Sticker";
+      messageData = { mediaUrl, animated: result.animated };
+      break;
+
+    case MESSAGE_TYPES.LOCATION:
+      result = await sendMessage(
+        sessionId,
+        to,
+        {
+          location: {
+            degreesLatitude: location.latitude,
+            degreesLongitude: location.longitude,
+            name: location.name || "",
+            address: location.address || "",
+          },
+        },
+        options
+      );
+      messageContent =
+        location.name ||
+        `Location: ${location.latitude}, ${location.longitude}`;
+      messageData = { location };
+      break;
+
+    case MESSAGE_TYPES.CONTACT:
+      result = await sendMessage(
+        sessionId,
+        to,
+        {
+          contacts: {
+            displayName: contact.name,
+            contacts: [
+              {
+                displayName: contact.name,
+                vcard: buildContactVcard(contact),
+              },
+            ],
+          },
+        },
+        options
+      );
+      messageContent = `Contact: ${contact.name}`;
+      messageData = { contact };
+      break;
+
+    case MESSAGE_TYPES.LINK:
+      result = await sendLinkMessage(
+        sessionId,
+        to,
+        link.url,
+        link.title,
+        link.description,
+        link.thumbnail,
+        options
+      );
+      messageContent = link.title || link.url;
+      messageData = { link };
+      break;
+
+    case MESSAGE_TYPES.POLL:
+      result = await sendPollMessage(
+        sessionId,
+        to,
+        poll.question,
+        poll.options,
+        poll.multipleAnswers ? poll.options.length : 1,
+        options
+      );
+      messageContent = `Poll: ${poll.question}`;
+      messageData = { poll };
+      break;
+
+    case MESSAGE_TYPES.SEEN:
+      result = await sendSeen(sessionId, to, {
+        remoteJid: to,
+        id: messageId,
+        fromMe: false,
+      });
+      messageContent = "Read receipt sent";
+      messageData = { messageId };
+      break;
+
+    case MESSAGE_TYPES.TYPING_START:
+      result = await startTyping(sessionId, to);
+      messageContent = "Typing indicator started";
+      break;
+
+    case MESSAGE_TYPES.TYPING_STOP:
+      result = await stopTyping(sessionId, to);
+      messageContent = "Typing indicator stopped";
+      break;
+
+    default: {
+      const error = new Error(`Unsupported message type: ${type}`);
+      error.code = "UNSUPPORTED_MESSAGE_TYPE";
+      throw error;
+    }
+  }
+
+  // Save message to database if available (skip for typing indicators and
+  // read receipts as they are not messages)
+  if (
+    databaseService?.isInitialized() &&
+    ![
+      MESSAGE_TYPES.TYPING_START,
+      MESSAGE_TYPES.TYPING_STOP,
+      MESSAGE_TYPES.SEEN,
+    ].includes(type.toLowerCase())
+  ) {
+    await databaseService.saveMessage({
+      sessionId,
+      messageId: result.messageId,
+      chatJid: to,
+      direction: MESSAGE_DIRECTION.OUTBOUND,
+      fromMe: true,
+      from: sessionManagement.getSessionStatus(sessionId).phoneNumber,
+      to,
+      content: messageContent,
+      type: type.toUpperCase(),
+      status: result.status,
+      mediaUrl: [
+        MESSAGE_TYPES.IMAGE,
+        MESSAGE_TYPES.DOCUMENT,
+        MESSAGE_TYPES.VIDEO,
+        MESSAGE_TYPES.AUDIO,
+        MESSAGE_TYPES.VOICE,
+        MESSAGE_TYPES.STICKER,
+      ].includes(type.toLowerCase())
+        ? mediaUrl
+        : null,
+      fileName: messageData.filename,
+      quotedMessageId: quoted?.key.id,
+      metadata: JSON.stringify(messageData),
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  return { result, messageContent, messageData };
+};
+
 export default {
   setServices,
   sendMessage,
+  sendByType,
+  prepareMedia,
+  sendVoiceNote,
+  sendSticker,
   sendSeen,
   startTyping,
   stopTyping,
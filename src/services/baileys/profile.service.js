@@ -0,0 +1,173 @@
+import { jidNormalizedUser } from "@whiskeysockets/baileys";
+import logger from "../../utils/logger.js";
+
+let sessionManagement;
+
+const setServices = (services) => {
+  sessionManagement = services.sessionManagement;
+};
+
+const getConnectedSocket = (sessionId) => {
+  const socket = sessionManagement?.getSocket(sessionId);
+  if (!socket) {
+    throw new Error(`Session ${sessionId} not found or not connected`);
+  }
+  if (!socket.user) {
+    throw new Error(`Session ${sessionId} is not authenticated`);
+  }
+  return socket;
+};
+
+// A missing picture or about text comes back as a 401 / 404 error
+const queryOptional = async (query) => {
+  try {
+    return await query();
+  } catch (error) {
+    const statusCode = error.output?.statusCode || error.data?.statusCode;
+    if ([401, 404].includes(statusCode)) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Get the linked account's own profile
+ * @param {string} sessionId - Session ID
+ * @returns {object} - { jid, phoneNumber, displayName, about, pictureUrl }
+ */
+const getProfile = async (sessionId) => {
+  const socket = getConnectedSocket(sessionId);
+  const jid = jidNormalizedUser(socket.user.id);
+
+  try {
+    const [pictureUrl, statusResult] = await Promise.all([
+      queryOptional(() => socket.profilePictureUrl(jid, "image")),
+      queryOptional(() => socket.fetchStatus(jid)),
+    ]);
+    // Newer Baileys versions return one USync result per requested JID
+    const status = Array.isArray(statusResult)
+      ? statusResult[0]?.status
+      : statusResult;
+    const sessionInfo = sessionManagement.getSessionStatus(sessionId);
+
+    return {
+      jid,
+      phoneNumber: jid.split("@")[0],
+      displayName:
+        socket.user.name || socket.user.notify || sessionInfo.displayName,
+      about: status?.status || null,
+      pictureUrl: pictureUrl || null,
+    };
+  } catch (error) {
+    logger.error(`Failed to get profile for ${sessionId}:`, error);
+    throw new Error(`Failed to get profile: ${error.message}`);
+  }
+};
+
+/**
+ * Update display name and/or about text
+ * @param {string} sessionId - Session ID
+ * @param {object} updates - { displayName, about }
+ * @returns {object} - Updated profile
+ */
+const updateProfile = async (sessionId, updates) => {
+  const socket = getConnectedSocket(sessionId);
+  const { displayName, about } = updates;
+
+  try {
+    if (displayName !== undefined) {
+      await socket.updateProfileName(displayName);
+    }
+    if (about !== undefined) {
+      await socket.updateProfileStatus(about);
+    }
+  } catch (error) {
+    logger.error(`Failed to update profile for ${sessionId}:`, error);
+    throw new Error(`Failed to update profile: ${error.message}`);
+  }
+
+  logger.info(`Profile updated for ${sessionId}`, {
+    fields: Object.keys(updates),
+  });
+
+  await refreshDisplayName(sessionId, displayName);
+  return await getProfile(sessionId);
+};
+
+/**
+ * Set the profile picture. WhatsApp crops it to a square.
+ * @param {string} sessionId - Session ID
+ * @param {Buffer} image - Image buffer (JPEG, PNG or WebP)
+ * @returns {object} - Updated profile
+ */
+const updateProfilePicture = async (sessionId, image) => {
+  const socket = getConnectedSocket(sessionId);
+  const jid = jidNormalizedUser(socket.user.id);
+
+  try {
+    await socket.updateProfilePicture(jid, image);
+  } catch (error) {
+    logger.error(`Failed to update profile picture for ${sessionId}:`, error);
+    throw new Error(`Failed to update profile picture: ${error.message}`);
+  }
+
+  logger.info(`Profile picture updated for ${sessionId}`);
+  await refreshDisplayName(sessionId);
+  return await getProfile(sessionId);
+};
+
+const removeProfilePicture = async (sessionId) => {
+  const socket = getConnectedSocket(sessionId);
+  const jid = jidNormalizedUser(socket.user.id);
+
+  try {
+    await socket.removeProfilePicture(jid);
+  } catch (error) {
+    logger.error(`Failed to remove profile picture for ${sessionId}:`, error);
+    throw new Error(`Failed to remove profile picture: ${error.message}`);
+  }
+
+  logger.info(`Profile picture removed for ${sessionId}`);
+  await refreshDisplayName(sessionId);
+  return await getProfile(sessionId);
+};
+
+/**
+ * Refresh the displayName cached in the session status and send the backend
+ * the same update it gets when the session connects
+ * @param {string} sessionId - Session ID
+ * @param {string} displayName - New display name, if it changed
+ */
+const refreshDisplayName = async (sessionId, displayName) => {
+  const socket = sessionManagement.getSocket(sessionId);
+  const sessionInfo = sessionManagement.getSessionStatus(sessionId);
+  const updatedName =
+    displayName ??
+    socket?.user?.name ??
+    socket?.user?.notify ??
+    sessionInfo.displayName ??
+    null;
+
+  // socket.user (creds.me) only gets the new name once app state syncs back
+  if (displayName !== undefined && socket?.user) {
+    socket.user.name = displayName;
+  }
+
+  sessionManagement.updateSessionStatus(sessionId, {
+    displayName: updatedName,
+  });
+
+  await sessionManagement.notifyBackend("profile_updated", sessionId, {
+    phoneNumber: sessionInfo.phoneNumber,
+    displayName: updatedName,
+  });
+};
+
+export default {
+  setServices,
+  getProfile,
+  updateProfile,
+  updateProfilePicture,
+  removeProfilePicture,
+};
@@ -3,11 +3,35 @@ import {
   DisconnectReason,
   useMultiFileAuthState,
   fetchLatestBaileysVersion,
+  isJidStatusBroadcast,
+  jidNormalizedUser,
+  BufferJSON,
 } from "@whiskeysockets/baileys";
 import { fileURLToPath } from "url";
 import { dirname, join } from "path";
 import fs from "fs/promises";
+import config from "../../config/environment.js";
 import logger from "../../utils/logger.js";
+import {
+  MESSAGE_ACK_STATUS,
+  MESSAGE_STATUS,
+  MESSAGE_DIRECTION,
+} from "../../utils/constants.js";
+import {
+  normalizeMessage,
+  normalizePollVote,
+  getMessageType,
+  isDeliverableMessage,
+  toNumber,
+} from "../../utils/message-parser.js";
+import {
+  normalizeGroupUpdate,
+  normalizeGroupParticipantsUpdate,
+} from "../../utils/group-parser.js";
+import {
+  normalizeChatUpdate,
+  getChatLastMessage,
+} from "../../utils/chat-parser.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -18,14 +42,21 @@ const sessionStatus = new Map(); // sessionId -> status info
 const manualDisconnections = new Set(); // Track manual disconnections
 const qrAttempts = new Map(); // sessionId -> attempt count
 const qrTimeouts = new Map(); // sessionId -> timeout reference
+const pairingRequests = new Map(); // sessionId -> { phoneNumber } (code login)
+const pairingCodes = new Map(); // sessionId -> pairing code data
+const presences = new Map(); // sessionId -> Map(jid -> latest presence)
 const storageDir = join(__dirname, "../../../storage/sessions");
 
 let workerRegistryService;
+let databaseService;
 let connectionHandlers;
+let mediaService;
 
 const setServices = (services) => {
   workerRegistryService = services.workerRegistry;
+  databaseService = services.database;
   connectionHandlers = services.connectionHandlers;
+  mediaService = services.media;
 };
 
 const initialize = async () => {
@@ -46,11 +77,21 @@ const initialize = async () => {
 };
 
 const createSession = async (sessionId, userId, options = {}) => {
+  const { pairingMethod, phoneNumber, ...socketOptions } = options;
   try {
     logger.info(`Creating session: ${sessionId} for user: ${userId}`);
     if (sessions.has(sessionId)) {
       throw new Error(`Session ${sessionId} already exists`);
     }
+    // Without an explicit method (e.g. reconnects) the previous one is kept
+    if (pairingMethod === "code") {
+      // Baileys expects the number in international format without "+"
+      pairingRequests.set(sessionId, {
+        phoneNumber: String(phoneNumber).replace(/\D/g, ""),
+      });
+    } else if (pairingMethod === "qr") {
+      pairingRequests.delete(sessionId);
+    }
     const authDir = join(storageDir, sessionId);
     await fs.mkdir(authDir, { recursive: true });
     const { state, saveCreds } = await useMultiFileAuthState(authDir);
@@ -60,13 +101,21 @@ const createSession = async (sessionId, userId, options = {}) => {
       logger: createBaileysLogger(),
       generateHighQualityLinkPreview: true,
       defaultQueryTimeoutMs: 60000,
-      ...options,
+      // Baileys needs the original poll to decrypt votes on it
+      getMessage: async (key) => {
+        const stored = await loadStoredMessage(sessionId, key.id).catch(
+          () => null
+        );
+        return stored?.message;
+      },
+      ...socketOptions,
     };
     const socket = makeWASocket(socketConfig);
     updateSessionStatus(sessionId, {
       sessionId,
       userId,
       status: "initializing",
+      pairingMethod: pairingRequests.has(sessionId) ? "code" : "qr",
       createdAt: new Date().toISOString(),
       lastSeen: new Date().toISOString(),
     });
@@ -98,12 +147,30 @@ const createSession = async (sessionId, userId, options = {}) => {
     socket.ev.on("messages.upsert", (messageUpdate) => {
       handleIncomingMessages(sessionId, messageUpdate);
     });
+    socket.ev.on("messaging-history.set", (history) => {
+      handleHistorySet(sessionId, history);
+    });
+    socket.ev.on("chats.upsert", (chats) => {
+      handleChatsUpdate(sessionId, chats);
+    });
+    socket.ev.on("chats.update", (chats) => {
+      handleChatsUpdate(sessionId, chats);
+    });
+    socket.ev.on("chats.delete", (jids) => {
+      handleChatsDelete(sessionId, jids);
+    });
     socket.ev.on("messages.update", (messageUpdate) => {
       handleMessageUpdates(sessionId, messageUpdate);
     });
     socket.ev.on("presence.update", (presenceUpdate) => {
       handlePresenceUpdate(sessionId, presenceUpdate);
     });
+    socket.ev.on("groups.update", (groupUpdates) => {
+      handleGroupsUpdate(sessionId, groupUpdates);
+    });
+    socket.ev.on("group-participants.update", (participantsUpdate) => {
+      handleGroupParticipantsUpdate(sessionId, participantsUpdate);
+    });
     sessions.set(sessionId, socket);
     logger.info(`Session ${sessionId} created successfully`);
     return {
@@ -123,6 +190,7 @@ const createSession = async (sessionId, userId, options = {}) => {
 const getSessionStatus = (sessionId) => {
   const sessionInfo = sessionStatus.get(sessionId);
   const qrInfo = qrCodes.get(sessionId);
+  const pairingInfo = pairingCodes.get(sessionId);
   if (!sessionInfo) {
     return { status: "not_found" };
   }
@@ -134,6 +202,10 @@ const getSessionStatus = (sessionId) => {
     status.qrCode = qrInfo.qrCode;
     status.qrExpiresAt = qrInfo.expiresAt;
   }
+  if (pairingInfo && sessionInfo.status === "pairing_code_ready") {
+    status.pairingCode = pairingInfo.pairingCode;
+    status.pairingCodeExpiresAt = pairingInfo.expiresAt;
+  }
   return status;
 };
 
@@ -141,6 +213,7 @@ const getSessionsByStatus = () => {
   const statusCounts = {
     initializing: 0,
     qr_ready: 0,
+    pairing_code_ready: 0,
     connected: 0,
     disconnected: 0,
     reconnecting: 0,
@@ -196,6 +269,7 @@ const getSessionStatistics = () => {
         stats.disconnected++;
         break;
       case "qr_ready":
+      case "pairing_code_ready":
         stats.qr_required++;
         break;
       case "reconnecting":
@@ -234,7 +308,7 @@ const deleteSession = async (sessionId) => {
   }
 };
 
-const restartSession = async (sessionId) => {
+const restartSession = async (sessionId, options = {}) => {
   try {
     logger.info(`Restarting session ${sessionId}`);
     const sessionInfo = sessionStatus.get(sessionId);
@@ -254,6 +328,7 @@ const restartSession = async (sessionId) => {
     sessions.delete(sessionId);
     qrCodes.delete(sessionId);
     qrAttempts.delete(sessionId);
+    pairingCodes.delete(sessionId);
     logger.info(`QR attempts counter reset for session restart ${sessionId}`);
     if (qrTimeouts.has(sessionId)) {
       clearTimeout(qrTimeouts.get(sessionId));
@@ -266,7 +341,7 @@ const restartSession = async (sessionId) => {
     await notifyBackend("reconnecting", sessionId, {
       displayName,
     });
-    await createSession(sessionId, sessionInfo.userId);
+    await createSession(sessionId, sessionInfo.userId, options);
     logger.info(`Session ${sessionId} restarted successfully`);
     return {
       success: true,
@@ -296,6 +371,7 @@ const disconnectSession = async (sessionId) => {
     sessions.delete(sessionId);
     qrCodes.delete(sessionId);
     qrAttempts.delete(sessionId);
+    clearPairing(sessionId);
     logger.info(`QR attempts counter reset for session ${sessionId}`);
     if (qrTimeouts.has(sessionId)) {
       clearTimeout(qrTimeouts.get(sessionId));
@@ -347,6 +423,63 @@ const getSocket = (sessionId) => {
   return sessions.get(sessionId);
 };
 
+/**
+ * Answer a QR event with a pairing code for sessions started with
+ * pairingMethod "code". Baileys emits a QR whenever the socket is ready to
+ * link a device; the first one requests a code, later ones are ignored until
+ * the socket is recreated.
+ * @param {string} sessionId - Session ID
+ * @returns {boolean} - True when the session links by pairing code
+ */
+const handlePairingCode = async (sessionId) => {
+  const pairingRequest = pairingRequests.get(sessionId);
+  if (!pairingRequest) {
+    return false;
+  }
+
+  const socket = sessions.get(sessionId);
+  if (!socket || socket.authState?.creds?.registered) {
+    return true;
+  }
+  if (pairingCodes.has(sessionId)) {
+    return true;
+  }
+
+  // Reserve the slot so a QR refresh during the request does not ask again
+  pairingCodes.set(sessionId, null);
+  try {
+    const pairingCode = await socket.requestPairingCode(
+      pairingRequest.phoneNumber
+    );
+    const pairingData = {
+      pairingCode,
+      phoneNumber: pairingRequest.phoneNumber,
+      expiresAt: new Date(Date.now() + 2 * 60 * 1000).toISOString(), // 2 minutes
+    };
+    pairingCodes.set(sessionId, pairingData);
+
+    updateSessionStatus(sessionId, {
+      status: "pairing_code_ready",
+      pairingMethod: "code",
+    });
+
+    await notifyBackend("pairing_code_ready", sessionId, pairingData);
+
+    logger.info(`Pairing code generated for session ${sessionId}`);
+  } catch (error) {
+    pairingCodes.delete(sessionId);
+    logger.error(`Failed to request pairing code for ${sessionId}:`, error);
+    throw error;
+  }
+
+  return true;
+};
+
+const clearPairing = (sessionId) => {
+  pairingRequests.delete(sessionId);
+  pairingCodes.delete(sessionId);
+};
+
 const updateSessionStatus = (sessionId, updates) => {
   const currentStatus = sessionStatus.get(sessionId) || {};
   const updatedStatus = {
@@ -363,6 +496,8 @@ const cleanupSession = async (sessionId) => {
   sessionStatus.delete(sessionId);
   manualDisconnections.delete(sessionId);
   qrAttempts.delete(sessionId);
+  clearPairing(sessionId);
+  presences.delete(sessionId);
   if (qrTimeouts.has(sessionId)) {
     clearTimeout(qrTimeouts.get(sessionId));
     qrTimeouts.delete(sessionId);
@@ -434,13 +569,23 @@ const createBaileysLogger = () => {
 };
 
 const handleIncomingMessages = (sessionId, messageUpdate) => {
-  const { messages } = messageUpdate;
+  const { messages, type } = messageUpdate;
   const socket = sessions.get(sessionId);
   const ownJid = socket?.user?.id;
 
+  storeMessages(sessionId, messages).then(() => {
+    if (type === "notify" && config.whatsapp.autoDownloadMedia) {
+      downloadInboundMedia(sessionId, messages);
+    }
+  });
+
   for (const message of messages) {
     const isFromSelf = message.key.fromMe || message.key.remoteJid === ownJid;
 
+    if (isDeliverableMessage(message)) {
+      recordChatMessage(sessionId, message, !isFromSelf && type === "notify");
+    }
+
     if (isFromSelf) {
       // Message from self (own messages)
       logger.info(`[EVENT: message.any] Incoming message for ${sessionId}:`, {
@@ -449,32 +594,399 @@ const handleIncomingMessages = (sessionId, messageUpdate) => {
         messageType: Object.keys(message.message || {})[0],
         fromSelf: true,
       });
-    } else {
-      // Message from others (incoming from contacts)
-      logger.info(`[EVENT: message] Incoming message for ${sessionId}:`, {
-        messageId: message.key.id,
-        from: message.key.remoteJid,
-        messageType: Object.keys(message.message || {})[0],
-        fromSelf: false,
-      });
+      continue;
+    }
+
+    // Message from others (incoming from contacts)
+    logger.info(`[EVENT: message] Incoming message for ${sessionId}:`, {
+      messageId: message.key.id,
+      from: message.key.remoteJid,
+      messageType: Object.keys(message.message || {})[0],
+      fromSelf: false,
+    });
+
+    // Only forward live messages, not history sync ("append")
+    if (type !== "notify" || !isDeliverableMessage(message)) {
+      continue;
+    }
+
+    // Poll votes are forwarded once decrypted (see handlePollVotes)
+    if (getMessageType(message) === "poll_vote") {
+      continue;
+    }
+
+    try {
+      const normalizedMessage = normalizeMessage(message);
+      notifyBackend("message_received", sessionId, normalizedMessage);
+    } catch (error) {
+      logger.error(
+        `Failed to process incoming message ${message.key.id} for ${sessionId}:`,
+        error
+      );
+    }
+  }
+};
+
+const toStoredMessage = (sessionId, message, ownJid) => {
+  const normalized = normalizeMessage(message);
+  const { fromMe, remoteJid } = normalized;
+
+  return {
+    sessionId,
+    messageId: normalized.messageId,
+    chatJid: remoteJid,
+    direction: fromMe ? MESSAGE_DIRECTION.OUTBOUND : MESSAGE_DIRECTION.INBOUND,
+    fromMe,
+    from: fromMe ? ownJid : normalized.from,
+    to: fromMe || normalized.isGroup ? remoteJid : ownJid,
+    type: normalized.type,
+    content: normalized.text,
+    fileName: normalized.media?.fileName,
+    quotedMessageId: normalized.quoted?.messageId,
+    // BufferJSON keeps media keys intact so the media can be downloaded later
+    payload: JSON.stringify(message, BufferJSON.replacer),
+    status: fromMe ? MESSAGE_STATUS.SENT : MESSAGE_STATUS.RECEIVED,
+    timestamp: normalized.timestamp,
+  };
+};
+
+// Persist inbound and outbound messages (including messages sent from the
+// phone or other linked devices) to the message history
+const storeMessages = async (sessionId, messages) => {
+  if (!databaseService?.isInitialized()) {
+    return;
+  }
+
+  try {
+    const user = sessions.get(sessionId)?.user;
+    const ownJid = user ? jidNormalizedUser(user.id) : null;
+    const storedMessages = messages
+      .filter(isDeliverableMessage)
+      .map((message) => toStoredMessage(sessionId, message, ownJid));
+
+    if (storedMessages.length > 0) {
+      await databaseService.saveMessages(storedMessages);
+    }
+  } catch (error) {
+    logger.error(`Failed to store messages for ${sessionId}:`, error);
+  }
+};
+
+// Fetch live inbound media right away, while the WhatsApp CDN still has it
+const downloadInboundMedia = async (sessionId, messages) => {
+  for (const message of messages) {
+    if (
+      message.key.fromMe ||
+      !isDeliverableMessage(message) ||
+      !normalizeMessage(message).media
+    ) {
+      continue;
+    }
+
+    try {
+      await mediaService?.downloadMessageMedia(sessionId, message.key.id);
+    } catch (error) {
+      logger.warn(
+        `Automatic media download failed for ${message.key.id} in ${sessionId}:`,
+        error
+      );
+    }
+  }
+};
+
+// Keep the chat list's last message and unread count up to date
+const recordChatMessage = async (sessionId, message, incrementUnread) => {
+  if (!databaseService?.isInitialized()) {
+    return;
+  }
+
+  try {
+    const lastMessage = getChatLastMessage(message);
+    if (lastMessage) {
+      await databaseService.updateChatLastMessage(
+        sessionId,
+        message.key.remoteJid,
+        lastMessage,
+        incrementUnread
+      );
+    }
+  } catch (error) {
+    logger.error(
+      `Failed to update chat for message ${message.key.id} in ${sessionId}:`,
+      error
+    );
+  }
+};
+
+const handleChatsUpdate = async (sessionId, chats) => {
+  logger.debug(
+    `[EVENT: chats.upsert/update] ${chats.length} chat(s) for ${sessionId}`
+  );
+
+  if (!databaseService?.isInitialized()) {
+    return;
+  }
+
+  try {
+    await databaseService.upsertChats(
+      sessionId,
+      chats
+        .filter((chat) => chat.id && !isJidStatusBroadcast(chat.id))
+        .map((chat) => ({ jid: chat.id, ...normalizeChatUpdate(chat) }))
+    );
+  } catch (error) {
+    logger.error(`Failed to update chats for ${sessionId}:`, error);
+  }
+};
+
+const handleChatsDelete = async (sessionId, jids) => {
+  logger.info(`[EVENT: chats.delete] ${jids.length} chat(s) deleted`, {
+    sessionId,
+  });
+
+  if (!databaseService?.isInitialized()) {
+    return;
+  }
+
+  for (const jid of jids) {
+    try {
+      await databaseService.deleteChat(sessionId, jid);
+    } catch (error) {
+      logger.error(`Failed to delete chat ${jid} in ${sessionId}:`, error);
+    }
+  }
+};
+
+// History sync delivers the initial chat list with the recent messages
+const handleHistorySet = async (sessionId, history) => {
+  const { chats = [], messages = [] } = history;
+  logger.info(`[EVENT: messaging-history.set] History sync for ${sessionId}`, {
+    chats: chats.length,
+    messages: messages.length,
+  });
+
+  try {
+    await handleChatsUpdate(sessionId, chats);
+    await storeMessages(sessionId, messages);
+
+    // Only the newest message of each chat matters for the chat list
+    const latestMessages = new Map();
+    for (const message of messages) {
+      if (!isDeliverableMessage(message)) {
+        continue;
+      }
+      const latest = latestMessages.get(message.key.remoteJid);
+      if (
+        !latest ||
+        toNumber(message.messageTimestamp) >= toNumber(latest.messageTimestamp)
+      ) {
+        latestMessages.set(message.key.remoteJid, message);
+      }
+    }
+
+    for (const message of latestMessages.values()) {
+      await recordChatMessage(sessionId, message, false);
     }
+  } catch (error) {
+    logger.error(`Failed to process history sync for ${sessionId}:`, error);
+  }
+};
+
+// Stored copy of a message, revived with its media keys and message secret
+const loadStoredMessage = async (sessionId, messageId) => {
+  const payload = await databaseService?.getMessagePayload(
+    sessionId,
+    messageId
+  );
+  return payload ? JSON.parse(payload, BufferJSON.reviver) : null;
+};
+
+// Baileys decrypts poll votes into messages.update on the poll's key
+const handlePollVotes = async (sessionId, update) => {
+  try {
+    const pollMessage = await loadStoredMessage(sessionId, update.key.id);
+    if (!pollMessage) {
+      logger.warn(
+        `Poll ${update.key.id} not stored in ${sessionId}, votes not forwarded`
+      );
+      return;
+    }
+
+    const ownJid = sessions.get(sessionId)?.user?.id;
+    for (const pollUpdate of update.update.pollUpdates) {
+      if (pollUpdate.pollUpdateMessageKey?.fromMe) {
+        continue;
+      }
+      await notifyBackend(
+        "message_received",
+        sessionId,
+        normalizePollVote(pollMessage, pollUpdate, ownJid)
+      );
+    }
+  } catch (error) {
+    logger.error(
+      `Failed to process poll votes for message ${update.key.id} in ${sessionId}:`,
+      error
+    );
   }
 };
 
-const handleMessageUpdates = (sessionId, messageUpdate) => {
+const handleMessageUpdates = async (sessionId, messageUpdate) => {
   for (const update of messageUpdate) {
+    if (update.update?.pollUpdates?.length) {
+      await handlePollVotes(sessionId, update);
+      continue;
+    }
+
+    const ack = update.update?.status;
     logger.debug(`[EVENT: messages.update] Message update for ${sessionId}:`, {
       messageId: update.key.id,
-      status: update.update.status,
+      status: ack,
     });
+
+    // Only receipts for messages we sent carry a delivery status
+    if (!update.key.fromMe || ack === undefined || ack === null) {
+      continue;
+    }
+
+    const status = MESSAGE_ACK_STATUS[ack];
+    if (!status) {
+      logger.debug(`Unknown ack code ${ack} for message ${update.key.id}`);
+      continue;
+    }
+
+    try {
+      if (databaseService?.isInitialized()) {
+        const { stale } = await databaseService.updateMessageStatus(
+          sessionId,
+          update.key.id,
+          status
+        );
+        // Late or repeated receipts are not reported to the backend again
+        if (stale) {
+          continue;
+        }
+      }
+
+      await notifyBackend("message_status", sessionId, {
+        messageId: update.key.id,
+        remoteJid: update.key.remoteJid,
+        status,
+        ack,
+      });
+    } catch (error) {
+      logger.error(
+        `Failed to process status update for message ${update.key.id} in ${sessionId}:`,
+        error
+      );
+    }
   }
 };
 
-const handlePresenceUpdate = (sessionId, presenceUpdate) => {
+const handlePresenceUpdate = async (sessionId, presenceUpdate) => {
   logger.debug(
     `[EVENT: presence.update] Presence update for ${sessionId}:`,
     presenceUpdate
   );
+
+  const { id: chatJid, presences: updates = {} } = presenceUpdate;
+  if (!presences.has(sessionId)) {
+    presences.set(sessionId, new Map());
+  }
+  const sessionPresences = presences.get(sessionId);
+
+  // In groups the update is keyed by participant; in 1:1 chats by the contact
+  for (const [jid, update] of Object.entries(updates)) {
+    const previous = sessionPresences.get(jid);
+    const lastSeen = update.lastSeen
+      ? new Date(update.lastSeen * 1000).toISOString()
+      : previous?.lastSeen || null;
+    const presence = {
+      jid,
+      chatJid,
+      presence: update.lastKnownPresence,
+      lastSeen,
+      updatedAt: new Date().toISOString(),
+    };
+    sessionPresences.set(jid, presence);
+
+    if (
+      previous?.presence === presence.presence &&
+      previous?.chatJid === presence.chatJid &&
+      previous?.lastSeen === presence.lastSeen
+    ) {
+      continue;
+    }
+
+    try {
+      await notifyBackend("presence_update", sessionId, presence);
+    } catch (error) {
+      logger.error(
+        `Failed to process presence update for ${jid} in ${sessionId}:`,
+        error
+      );
+    }
+  }
+};
+
+/**
+ * Get the latest known presence of contacts
+ * @param {string} sessionId - Session ID
+ * @param {string|null} jid - Contact JID, or null for all tracked contacts
+ * @returns {object|Array<object>|null} - Presence entry / entries
+ */
+const getPresence = (sessionId, jid = null) => {
+  const sessionPresences = presences.get(sessionId) || new Map();
+  if (jid) {
+    return sessionPresences.get(jid) || null;
+  }
+  return Array.from(sessionPresences.values());
+};
+
+const handleGroupsUpdate = async (sessionId, groupUpdates) => {
+  for (const update of groupUpdates) {
+    logger.info(`[EVENT: groups.update] Group update for ${sessionId}:`, {
+      groupId: update.id,
+      fields: Object.keys(update).filter((key) => key !== "id"),
+    });
+
+    try {
+      const groupUpdate = normalizeGroupUpdate(update);
+      if (groupUpdate) {
+        await notifyBackend("group_updated", sessionId, groupUpdate);
+      }
+    } catch (error) {
+      logger.error(
+        `Failed to process group update for ${update.id} in ${sessionId}:`,
+        error
+      );
+    }
+  }
+};
+
+const handleGroupParticipantsUpdate = async (sessionId, participantsUpdate) => {
+  logger.info(
+    `[EVENT: group-participants.update] Participants update for ${sessionId}:`,
+    {
+      groupId: participantsUpdate.id,
+      action: participantsUpdate.action,
+      count: participantsUpdate.participants?.length || 0,
+    }
+  );
+
+  try {
+    const ownJid = sessions.get(sessionId)?.user?.id || null;
+    await notifyBackend(
+      "group_participants_updated",
+      sessionId,
+      normalizeGroupParticipantsUpdate(participantsUpdate, ownJid)
+    );
+  } catch (error) {
+    logger.error(
+      `Failed to process participants update for ${participantsUpdate.id} in ${sessionId}:`,
+      error
+    );
+  }
 };
 
 const notifyBackend = async (event, sessionId, data = {}) => {
@@ -501,7 +1013,7 @@ const handleConnectionUpdateFallback = async (sessionId, update) => {
   });
 
   try {
-    if (qr) {
+    if (qr && !(await handlePairingCode(sessionId))) {
       // Basic QR handling
       updateSessionStatus(sessionId, {
         status: "qr_ready",
@@ -512,6 +1024,7 @@ const handleConnectionUpdateFallback = async (sessionId, update) => {
     if (connection === "open") {
       const socket = sessions.get(sessionId);
       const phoneNumber = socket?.user?.id?.split(":")[0];
+      clearPairing(sessionId);
 
       updateSessionStatus(sessionId, {
         status: "connected",
@@ -553,6 +1066,9 @@ export default {
   updateSessionStatus,
   cleanupSession,
   closeAllSessions,
+  handlePairingCode,
+  clearPairing,
+  getPresence,
   // Export internal maps for other services
   sessions,
   qrCodes,
@@ -560,6 +1076,7 @@ export default {
   manualDisconnections,
   qrAttempts,
   qrTimeouts,
+  pairingCodes,
   storageDir,
   // Export helper functions
   notifyBackend,
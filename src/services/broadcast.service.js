@@ -0,0 +1,297 @@
+import { randomUUID } from "crypto";
+import config from "../config/environment.js";
+import logger from "../utils/logger.js";
+import { Utils } from "../utils/helpers.js";
+import { SESSION_STATUS } from "../utils/constants.js";
+
+/**
+ * Broadcast Service
+ * Sends one message payload to many recipients from a session, pacing each
+ * delivery with a randomized delay. Broadcasts are persisted in SQLite with a
+ * status per recipient and can be paused, resumed and cancelled.
+ */
+
+let databaseService = null;
+let baileysService = null;
+let pollTimer = null;
+let initialized = false;
+const activeSessions = new Set(); // sessionIds currently running a broadcast
+
+const broadcastConfig = {
+  minDelay: config.broadcast.minDelay,
+  maxDelay: config.broadcast.maxDelay,
+  pollInterval: config.broadcast.pollInterval,
+};
+
+const setServices = (services) => {
+  databaseService = services.database;
+  baileysService = services.baileys;
+};
+
+const initialize = async () => {
+  pollTimer = setInterval(() => {
+    processBroadcasts().catch((error) => {
+      logger.error("Broadcast processing failed:", error);
+    });
+  }, broadcastConfig.pollInterval);
+
+  initialized = true;
+  logger.info("Broadcast service initialized", {
+    minDelay: broadcastConfig.minDelay,
+    maxDelay: broadcastConfig.maxDelay,
+  });
+};
+
+const isAvailable = () => {
+  return initialized && !!databaseService?.isInitialized();
+};
+
+const isSessionReady = (sessionId) => {
+  return (
+    baileysService?.getSessionStatus(sessionId).status ===
+    SESSION_STATUS.CONNECTED
+  );
+};
+
+const getPacingDelay = (options) => {
+  const minDelay = options.minDelay ?? broadcastConfig.minDelay;
+  const maxDelay = Math.max(
+    options.maxDelay ?? broadcastConfig.maxDelay,
+    minDelay
+  );
+  return minDelay + Math.floor(Math.random() * (maxDelay - minDelay + 1));
+};
+
+/**
+ * Create a broadcast
+ * @param {string} sessionId - Session ID
+ * @param {Array<string>} recipients - Recipient phone numbers / JIDs
+ * @param {object} payload - Send payload (same shape as /send body, without `to`)
+ * @param {object} options - { humanSimulation, minDelay, maxDelay }
+ * @returns {object} - Created broadcast
+ */
+const create = async (sessionId, recipients, payload, options = {}) => {
+  const broadcastId = randomUUID();
+
+  await databaseService.createBroadcast({
+    broadcastId,
+    sessionId,
+    type: payload.type,
+    payload,
+    options,
+    recipients: recipients.map((recipient) => ({
+      recipient,
+      jid: Utils.formatWhatsAppId(recipient),
+    })),
+  });
+
+  logger.info(`Broadcast ${broadcastId} created for ${sessionId}`, {
+    type: payload.type,
+    recipients: recipients.length,
+  });
+
+  setImmediate(() => {
+    processBroadcasts().catch((error) => {
+      logger.error("Broadcast processing failed:", error);
+    });
+  });
+
+  return await databaseService.getBroadcast(sessionId, broadcastId);
+};
+
+const get = async (sessionId, broadcastId) => {
+  return await databaseService.getBroadcast(sessionId, broadcastId);
+};
+
+const list = async (sessionId, limit, offset) => {
+  return await databaseService.getBroadcasts(sessionId, limit, offset);
+};
+
+const getRecipients = async (broadcastId, status, limit, offset) => {
+  return await databaseService.getBroadcastRecipients(
+    broadcastId,
+    status,
+    limit,
+    offset
+  );
+};
+
+const changeStatus = async (sessionId, broadcastId, status, fromStatuses) => {
+  const broadcast = await databaseService.getBroadcast(sessionId, broadcastId);
+  if (!broadcast) {
+    return null;
+  }
+
+  const fields =
+    status === "cancelled" ? { completedAt: new Date().toISOString() } : {};
+  const result = await databaseService.updateBroadcastStatus(
+    broadcastId,
+    status,
+    fromStatuses,
+    fields
+  );
+  if (!result.success) {
+    const error = new Error(
+      `Broadcast is ${broadcast.status} and cannot be ${status}`
+    );
+    error.code = "INVALID_BROADCAST_STATE";
+    throw error;
+  }
+
+  logger.info(`Broadcast ${broadcastId} ${status} for ${sessionId}`);
+
+  if (status === "queued") {
+    setImmediate(() => {
+      processBroadcasts().catch((error) => {
+        logger.error("Broadcast processing failed:", error);
+      });
+    });
+  }
+
+  return await databaseService.getBroadcast(sessionId, broadcastId);
+};
+
+const pause = async (sessionId, broadcastId) => {
+  return await changeStatus(sessionId, broadcastId, "paused", [
+    "queued",
+    "running",
+  ]);
+};
+
+const resume = async (sessionId, broadcastId) => {
+  return await changeStatus(sessionId, broadcastId, "queued", ["paused"]);
+};
+
+const cancel = async (sessionId, broadcastId) => {
+  return await changeStatus(sessionId, broadcastId, "cancelled", [
+    "queued",
+    "running",
+    "paused",
+  ]);
+};
+
+const sendToRecipient = async (broadcast, recipient) => {
+  try {
+    const { result } = await baileysService.sendByType(
+      broadcast.sessionId,
+      recipient.jid,
+      broadcast.payload,
+      { humanSimulation: broadcast.options.humanSimulation }
+    );
+
+    await databaseService.updateBroadcastRecipient(recipient.id, "sent", {
+      messageId: result.messageId,
+    });
+    return true;
+  } catch (error) {
+    // Session dropped: leave the recipient pending until it reconnects
+    if (!isSessionReady(broadcast.sessionId)) {
+      logger.warn(
+        `Broadcast ${broadcast.broadcastId} waiting, session ${broadcast.sessionId} not connected`
+      );
+      return false;
+    }
+
+    await databaseService.updateBroadcastRecipient(recipient.id, "failed", {
+      error: error.message,
+    });
+    logger.warn(`Broadcast ${broadcast.broadcastId} recipient failed`, {
+      recipient: recipient.recipient,
+      error: error.message,
+    });
+    return true;
+  }
+};
+
+const drainSession = async (sessionId) => {
+  while (isAvailable()) {
+    // Held while the session is not connected (e.g. reconnecting)
+    if (!isSessionReady(sessionId)) {
+      return;
+    }
+
+    const broadcast = await databaseService.getNextActiveBroadcast(sessionId);
+    if (!broadcast) {
+      return;
+    }
+
+    if (broadcast.status === "queued") {
+      await databaseService.updateBroadcastStatus(
+        broadcast.broadcastId,
+        "running",
+        ["queued"],
+        { startedAt: new Date().toISOString() }
+      );
+    }
+
+    const recipient = await databaseService.getNextBroadcastRecipient(
+      broadcast.broadcastId
+    );
+    if (!recipient) {
+      await databaseService.updateBroadcastStatus(
+        broadcast.broadcastId,
+        "completed",
+        ["running", "queued"],
+        { completedAt: new Date().toISOString() }
+      );
+      logger.info(`Broadcast ${broadcast.broadcastId} completed`, {
+        sessionId,
+        counts: broadcast.counts,
+      });
+      continue;
+    }
+
+    const delivered = await sendToRecipient(broadcast, recipient);
+    if (!delivered) {
+      return;
+    }
+
+    await Utils.sleep(getPacingDelay(broadcast.options));
+  }
+};
+
+const processBroadcasts = async () => {
+  if (!isAvailable()) {
+    return;
+  }
+
+  const sessionIds = await databaseService.getActiveBroadcastSessions();
+
+  for (const sessionId of sessionIds) {
+    if (activeSessions.has(sessionId)) {
+      continue;
+    }
+
+    activeSessions.add(sessionId);
+    drainSession(sessionId)
+      .catch((error) => {
+        logger.error(`Failed to run broadcasts for ${sessionId}:`, error);
+      })
+      .finally(() => {
+        activeSessions.delete(sessionId);
+      });
+  }
+};
+
+const shutdown = async () => {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+  initialized = false;
+  logger.info("Broadcast service shutdown complete");
+};
+
+export default {
+  setServices,
+  initialize,
+  isAvailable,
+  create,
+  get,
+  list,
+  getRecipients,
+  pause,
+  resume,
+  cancel,
+  shutdown,
+};
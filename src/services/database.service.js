@@ -3,6 +3,7 @@ import { fileURLToPath } from "url";
 import { dirname, join } from "path";
 import fs from "fs";
 import logger from "../utils/logger.js";
+import { MESSAGE_STATUS } from "../utils/constants.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -210,122 +211,1764 @@ const deleteSession = async (sessionId) => {
   }
 
   try {
-    // Delete related messages first
+    // Delete related messages and chats first
     query("DELETE FROM worker_messages WHERE session_id = ?", [sessionId]);
+    query("DELETE FROM chats WHERE session_id = ?", [sessionId]);
+    query("DELETE FROM presence_subscriptions WHERE session_id = ?", [
+      sessionId,
+    ]);
 
     // Delete session
     const result = query("DELETE FROM worker_sessions WHERE session_id = ?", [
       sessionId,
     ]);
 
-    if (result.changes === 0) {
-      logger.warn(`Session not found for deletion: ${sessionId}`);
-      return { success: false, reason: "Session not found" };
-    }
+    if (result.changes === 0) {
+      logger.warn(`Session not found for deletion: ${sessionId}`);
+      return { success: false, reason: "Session not found" };
+    }
+
+    logger.info(`Session deleted from database: ${sessionId}`);
+    return { success: true };
+  } catch (error) {
+    logger.error("Failed to delete session from database:", error);
+    return { success: false, error: error.message };
+  }
+};
+
+// A message can be written twice: by the send path and again by the
+// messages.upsert event. The first write wins; later writes only fill in
+// columns that are still empty (e.g. the raw payload).
+const SAVE_MESSAGE_SQL = `
+    INSERT INTO worker_messages (
+      message_id, session_id, chat_jid, direction, from_me, from_number,
+      to_number, message_type, content, media_url, file_name,
+      quoted_message_id, payload, status, timestamp, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+    ON CONFLICT(session_id, message_id) DO UPDATE SET
+      chat_jid = COALESCE(worker_messages.chat_jid, excluded.chat_jid),
+      direction = COALESCE(worker_messages.direction, excluded.direction),
+      from_me = COALESCE(worker_messages.from_me, excluded.from_me),
+      from_number = COALESCE(worker_messages.from_number, excluded.from_number),
+      to_number = COALESCE(worker_messages.to_number, excluded.to_number),
+      content = COALESCE(worker_messages.content, excluded.content),
+      media_url = COALESCE(worker_messages.media_url, excluded.media_url),
+      file_name = COALESCE(worker_messages.file_name, excluded.file_name),
+      quoted_message_id = COALESCE(
+        worker_messages.quoted_message_id, excluded.quoted_message_id
+      ),
+      payload = COALESCE(worker_messages.payload, excluded.payload)
+  `;
+
+const toMessageParams = (messageData) => [
+  messageData.messageId || `msg_${Date.now()}`,
+  messageData.sessionId,
+  messageData.chatJid || null,
+  messageData.direction || null,
+  messageData.fromMe === undefined ? null : Number(messageData.fromMe),
+  messageData.from || null,
+  messageData.to || null,
+  (messageData.type || "text").toLowerCase(),
+  messageData.content || messageData.message || "",
+  messageData.mediaUrl || null,
+  messageData.fileName || null,
+  messageData.quotedMessageId || null,
+  messageData.payload || null,
+  messageData.status || "sent",
+  messageData.timestamp || new Date().toISOString(),
+];
+
+const saveMessage = async (messageData) => {
+  if (!initialized) {
+    logger.warn("Database not available, skipping message save");
+    return { success: false, reason: "Database not available" };
+  }
+
+  try {
+    query(SAVE_MESSAGE_SQL, toMessageParams(messageData));
+    logger.debug(`Message saved to database: ${messageData.messageId}`);
+    return { success: true };
+  } catch (error) {
+    logger.error("Failed to save message to database:", error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Bulk variant of saveMessage for messages.upsert batches and history sync
+const saveMessages = async (messages) => {
+  if (!initialized) {
+    return { success: false, reason: "Database not available" };
+  }
+
+  try {
+    const insertMessage = db.prepare(SAVE_MESSAGE_SQL);
+    const saveTransaction = db.transaction(() => {
+      for (const messageData of messages) {
+        insertMessage.run(toMessageParams(messageData));
+      }
+    });
+
+    saveTransaction();
+    logger.debug(`Messages saved to database: ${messages.length}`);
+    return { success: true };
+  } catch (error) {
+    logger.error("Failed to save messages to database:", error);
+    return { success: false, error: error.message };
+  }
+};
+
+const formatMessage = (row) => ({
+  messageId: row.message_id,
+  chatJid: row.chat_jid,
+  direction: row.direction,
+  fromMe: !!row.from_me,
+  from: row.from_number,
+  to: row.to_number,
+  type: row.message_type,
+  content: row.content,
+  mediaUrl: row.media_url,
+  fileName: row.file_name,
+  quotedMessageId: row.quoted_message_id,
+  status: row.status,
+  timestamp: row.timestamp,
+  createdAt: row.created_at,
+  ...(row.payload !== undefined && {
+    payload: row.payload ? JSON.parse(row.payload) : null,
+  }),
+});
+
+/**
+ * Get stored chat messages, newest first, with keyset (cursor) pagination
+ * @param {string} sessionId - Session ID
+ * @param {object} filters - { chatJid, direction, type, since, until }
+ * @param {number} limit - Page size
+ * @param {object|null} cursor - { timestamp, id } of the last message of the
+ * previous page
+ * @param {boolean} includePayload - Include the raw WAMessage payload
+ * @returns {object} - { messages, nextCursor } (nextCursor null on last page)
+ */
+const getMessages = async (
+  sessionId,
+  filters = {},
+  limit = 50,
+  cursor = null,
+  includePayload = false
+) => {
+  if (!initialized) {
+    logger.warn("Database not available, skipping messages retrieval");
+    return { messages: [], nextCursor: null };
+  }
+
+  try {
+    // Rows without a chat are action logs (deletes, stars, ...), not messages
+    const conditions = ["session_id = ?", "chat_jid IS NOT NULL"];
+    const params = [sessionId];
+
+    if (filters.chatJid) {
+      conditions.push("chat_jid = ?");
+      params.push(filters.chatJid);
+    }
+    if (filters.direction) {
+      conditions.push("direction = ?");
+      params.push(filters.direction);
+    }
+    if (filters.type) {
+      conditions.push("message_type = ?");
+      params.push(filters.type);
+    }
+    if (filters.since) {
+      conditions.push("timestamp >= ?");
+      params.push(filters.since);
+    }
+    if (filters.until) {
+      conditions.push("timestamp <= ?");
+      params.push(filters.until);
+    }
+    if (cursor) {
+      conditions.push("(timestamp < ? OR (timestamp = ? AND id < ?))");
+      params.push(cursor.timestamp, cursor.timestamp, cursor.id);
+    }
+
+    const sql = `
+        SELECT id, message_id, chat_jid, direction, from_me, from_number,
+               to_number, message_type, content, media_url, file_name,
+               quoted_message_id, status, timestamp,
+               created_at${includePayload ? ", payload" : ""}
+        FROM worker_messages
+        WHERE ${conditions.join(" AND ")}
+        ORDER BY timestamp DESC, id DESC
+        LIMIT ?
+      `;
+
+    // One extra row tells whether there is a next page
+    const result = query(sql, [...params, limit + 1]);
+    const rows = result.slice(0, limit);
+    const last = rows[rows.length - 1];
+
+    return {
+      messages: rows.map(formatMessage),
+      nextCursor:
+        result.length > limit
+          ? { timestamp: last.timestamp, id: last.id }
+          : null,
+    };
+  } catch (error) {
+    logger.error("Failed to get messages from database:", error);
+    return { messages: [], nextCursor: null };
+  }
+};
+
+// Quote every term so user input cannot use (or break) FTS5 query syntax.
+// Terms are ANDed and the last one also matches as a prefix.
+const toFtsQuery = (text) => {
+  const terms = text
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((term) => `"${term.replace(/"/g, '""')}"`);
+  return terms.length > 0 ? `${terms.join(" ")}*` : null;
+};
+
+/**
+ * Full-text search over message text, captions and file names
+ * @param {string} sessionId - Session ID
+ * @param {string} text - Search terms
+ * @param {object} filters - { chatJid }
+ * @returns {object} - { hits, total }, hits ranked best first with a
+ * highlighted snippet
+ */
+const searchMessages = async (
+  sessionId,
+  text,
+  filters = {},
+  limit = 50,
+  offset = 0
+) => {
+  if (!initialized) {
+    logger.warn("Database not available, skipping message search");
+    return { hits: [], total: 0 };
+  }
+
+  const ftsQuery = toFtsQuery(text);
+  if (!ftsQuery) {
+    return { hits: [], total: 0 };
+  }
+
+  try {
+    const conditions = [
+      "worker_messages_fts MATCH ?",
+      "m.session_id = ?",
+      "m.chat_jid IS NOT NULL",
+    ];
+    const params = [ftsQuery, sessionId];
+
+    if (filters.chatJid) {
+      conditions.push("m.chat_jid = ?");
+      params.push(filters.chatJid);
+    }
+
+    const from = `
+        FROM worker_messages_fts
+        JOIN worker_messages m ON m.id = worker_messages_fts.rowid
+        WHERE ${conditions.join(" AND ")}
+      `;
+
+    const total = query(`SELECT COUNT(*) as count ${from}`, params)[0].count;
+
+    const result = query(
+      `SELECT m.message_id, m.chat_jid, m.direction, m.from_me, m.from_number,
+              m.message_type, m.file_name, m.timestamp,
+              snippet(worker_messages_fts, -1, '<mark>', '</mark>', '…', 16)
+                AS snippet,
+              bm25(worker_messages_fts) AS rank
+        ${from}
+        ORDER BY rank
+        LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    return {
+      hits: result.map((row) => ({
+        messageId: row.message_id,
+        chatJid: row.chat_jid,
+        direction: row.direction,
+        fromMe: !!row.from_me,
+        from: row.from_number,
+        type: row.message_type,
+        fileName: row.file_name,
+        snippet: row.snippet,
+        // bm25() is lower for better matches
+        score: -row.rank,
+        timestamp: row.timestamp,
+      })),
+      total,
+    };
+  } catch (error) {
+    logger.error("Failed to search messages:", error);
+    return { hits: [], total: 0 };
+  }
+};
+
+// Content edits and deletes reach the search index through the
+// worker_messages_fts triggers
+const updateMessageContent = async (sessionId, messageId, content) => {
+  if (!initialized) {
+    return { success: false, reason: "Database not available" };
+  }
+
+  const result = query(
+    "UPDATE worker_messages SET content = ? WHERE session_id = ? AND message_id = ?",
+    [content, sessionId, messageId]
+  );
+  if (result.changes === 0) {
+    return { success: false, reason: "Message not found" };
+  }
+
+  logger.debug(`Message content updated: ${messageId}`);
+  return { success: true };
+};
+
+const deleteMessage = async (sessionId, messageId) => {
+  if (!initialized) {
+    return { success: false, reason: "Database not available" };
+  }
+
+  const result = query(
+    "DELETE FROM worker_messages WHERE session_id = ? AND message_id = ?",
+    [sessionId, messageId]
+  );
+  if (result.changes === 0) {
+    return { success: false, reason: "Message not found" };
+  }
+
+  logger.debug(`Message deleted from database: ${messageId}`);
+  return { success: true };
+};
+
+// Raw BufferJSON payload of a stored message, for quoting and forwarding
+const getMessagePayload = async (sessionId, messageId) => {
+  if (!initialized) {
+    return null;
+  }
+
+  const rows = query(
+    "SELECT payload FROM worker_messages WHERE session_id = ? AND message_id = ?",
+    [sessionId, messageId]
+  );
+  return rows[0]?.payload || null;
+};
+
+const formatMessageMedia = (row) =>
+  row.media_path
+    ? {
+        storage: row.media_storage,
+        path: row.media_path,
+        mimeType: row.media_mime_type,
+        size: row.media_size,
+      }
+    : null;
+
+/**
+ * Get a stored message's raw payload and downloaded media location
+ * @param {string} sessionId - Session ID
+ * @param {string} messageId - Message ID
+ * @returns {object|null} - { messageId, type, fileName, payload, media }
+ * (payload is the BufferJSON string, media null until downloaded)
+ */
+const getMessageMedia = async (sessionId, messageId) => {
+  if (!initialized) {
+    return null;
+  }
+
+  const rows = query(
+    `SELECT message_id, message_type, file_name, payload, media_storage,
+            media_path, media_mime_type, media_size
+     FROM worker_messages
+     WHERE session_id = ? AND message_id = ?`,
+    [sessionId, messageId]
+  );
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const row = rows[0];
+  return {
+    messageId: row.message_id,
+    type: row.message_type,
+    fileName: row.file_name,
+    payload: row.payload,
+    media: formatMessageMedia(row),
+  };
+};
+
+// Record where a message's downloaded media is stored
+// (storage is "minio" or "local")
+const updateMessageMedia = async (sessionId, messageId, media) => {
+  if (!initialized) {
+    return { success: false, reason: "Database not available" };
+  }
+
+  const result = query(
+    `UPDATE worker_messages
+     SET media_storage = ?, media_path = ?, media_mime_type = ?, media_size = ?
+     WHERE session_id = ? AND message_id = ?`,
+    [
+      media.storage,
+      media.path,
+      media.mimeType,
+      media.size,
+      sessionId,
+      messageId,
+    ]
+  );
+  if (result.changes === 0) {
+    return { success: false, reason: "Message not found" };
+  }
+
+  logger.debug(`Message media recorded: ${messageId}`);
+  return { success: true };
+};
+
+// Statuses a message may move to each status from. Receipts can arrive late
+// or out of order (group delivery receipts after a read receipt), so a status
+// never moves backwards.
+const MESSAGE_STATUS_PREDECESSORS = {
+  [MESSAGE_STATUS.PENDING]: [],
+  [MESSAGE_STATUS.SENT]: [MESSAGE_STATUS.PENDING],
+  [MESSAGE_STATUS.DELIVERED]: [MESSAGE_STATUS.PENDING, MESSAGE_STATUS.SENT],
+  [MESSAGE_STATUS.READ]: [
+    MESSAGE_STATUS.PENDING,
+    MESSAGE_STATUS.SENT,
+    MESSAGE_STATUS.DELIVERED,
+  ],
+  [MESSAGE_STATUS.FAILED]: [MESSAGE_STATUS.PENDING, MESSAGE_STATUS.SENT],
+};
+
+/**
+ * Advance the delivery status of a sent message
+ * @param {string} sessionId - Session ID
+ * @param {string} messageId - Message ID
+ * @param {string} status - New status
+ * @returns {object} - { success }, with `stale: true` when the stored status
+ * is already the same or further along
+ */
+const updateMessageStatus = async (sessionId, messageId, status) => {
+  if (!initialized) {
+    logger.warn("Database not available, skipping message status update");
+    return { success: false, reason: "Database not available" };
+  }
+
+  try {
+    const predecessors = MESSAGE_STATUS_PREDECESSORS[status] || [];
+    let result = { changes: 0 };
+    if (predecessors.length > 0) {
+      result = query(
+        `UPDATE worker_messages SET status = ?
+         WHERE session_id = ? AND message_id = ?
+         AND status IN (${predecessors.map(() => "?").join(", ")})`,
+        [status, sessionId, messageId, ...predecessors]
+      );
+    }
+
+    if (result.changes === 0) {
+      const rows = query(
+        "SELECT status FROM worker_messages WHERE session_id = ? AND message_id = ?",
+        [sessionId, messageId]
+      );
+      if (rows.length > 0) {
+        logger.debug(
+          `Message status not advanced: ${messageId} ${rows[0].status} -> ${status}`
+        );
+        return { success: false, stale: true, reason: "Status not advanced" };
+      }
+
+      logger.warn(`Message not found for status update: ${messageId}`);
+      return { success: false, reason: "Message not found" };
+    }
+
+    logger.debug(`Message status updated: ${messageId} -> ${status}`);
+    return { success: true };
+  } catch (error) {
+    logger.error("Failed to update message status:", error);
+    return { success: false, error: error.message };
+  }
+};
+
+const MESSAGE_JOB_COLUMNS = {
+  attempts: "attempts",
+  nextAttemptAt: "next_attempt_at",
+  lastError: "last_error",
+  messageId: "message_id",
+  result: "result",
+  completedAt: "completed_at",
+};
+
+const formatMessageJob = (row) => ({
+  jobId: row.job_id,
+  sessionId: row.session_id,
+  to: row.to_jid,
+  type: row.message_type,
+  status: row.status,
+  attempts: row.attempts,
+  nextAttemptAt: row.next_attempt_at,
+  lastError: row.last_error,
+  messageId: row.message_id,
+  payload: JSON.parse(row.payload),
+  options: row.options ? JSON.parse(row.options) : {},
+  result: row.result ? JSON.parse(row.result) : null,
+  scheduledAt: row.scheduled_at,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+  completedAt: row.completed_at,
+});
+
+const enqueueMessageJob = async (jobData) => {
+  if (!initialized) {
+    throw new Error("Database service not initialized");
+  }
+
+  const sql = `
+      INSERT INTO message_queue (
+        job_id, session_id, to_jid, message_type, payload, options, status,
+        attempts, next_attempt_at, scheduled_at, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, 0, ?, ?, datetime('now'), datetime('now'))
+    `;
+
+  query(sql, [
+    jobData.jobId,
+    jobData.sessionId,
+    jobData.to,
+    jobData.type,
+    JSON.stringify(jobData.payload),
+    JSON.stringify(jobData.options || {}),
+    jobData.scheduledAt ? "scheduled" : "queued",
+    jobData.scheduledAt || new Date().toISOString(),
+    jobData.scheduledAt || null,
+  ]);
+
+  logger.debug(`Message job queued: ${jobData.jobId}`);
+  return { success: true, jobId: jobData.jobId };
+};
+
+const getMessageJob = async (sessionId, jobId) => {
+  if (!initialized) {
+    return null;
+  }
+
+  try {
+    const result = query(
+      "SELECT * FROM message_queue WHERE session_id = ? AND job_id = ?",
+      [sessionId, jobId]
+    );
+    return result.length > 0 ? formatMessageJob(result[0]) : null;
+  } catch (error) {
+    logger.error("Failed to get message job from database:", error);
+    return null;
+  }
+};
+
+const getMessageQueueSessions = async () => {
+  if (!initialized) {
+    return [];
+  }
+
+  try {
+    const result = query(
+      "SELECT DISTINCT session_id FROM message_queue WHERE status IN ('queued', 'retrying')"
+    );
+    return result.map((row) => row.session_id);
+  } catch (error) {
+    logger.error("Failed to get sessions with queued messages:", error);
+    return [];
+  }
+};
+
+const getNextMessageJob = async (sessionId) => {
+  if (!initialized) {
+    return null;
+  }
+
+  try {
+    const sql = `
+        SELECT * FROM message_queue
+        WHERE session_id = ? AND status IN ('queued', 'retrying')
+        ORDER BY id ASC
+        LIMIT 1
+      `;
+    const result = query(sql, [sessionId]);
+    return result.length > 0 ? formatMessageJob(result[0]) : null;
+  } catch (error) {
+    logger.error("Failed to get next message job from database:", error);
+    return null;
+  }
+};
+
+const getMessageQueuePosition = async (sessionId, jobId) => {
+  if (!initialized) {
+    return null;
+  }
+
+  const sql = `
+      SELECT COUNT(*) as count FROM message_queue
+      WHERE session_id = ? AND status IN ('queued', 'retrying', 'processing')
+        AND id < (SELECT id FROM message_queue WHERE job_id = ?)
+    `;
+  return query(sql, [sessionId, jobId])[0].count;
+};
+
+const updateMessageJobStatus = async (jobId, status, fields = {}) => {
+  if (!initialized) {
+    return { success: false, reason: "Database not available" };
+  }
+
+  try {
+    const assignments = ["status = ?", "updated_at = datetime('now')"];
+    const params = [status];
+
+    for (const [field, column] of Object.entries(MESSAGE_JOB_COLUMNS)) {
+      if (fields[field] !== undefined) {
+        assignments.push(`${column} = ?`);
+        params.push(
+          field === "result" ? JSON.stringify(fields[field]) : fields[field]
+        );
+      }
+    }
+
+    const sql = `UPDATE message_queue SET ${assignments.join(", ")} WHERE job_id = ?`;
+    query(sql, [...params, jobId]);
+
+    logger.debug(`Message job status updated: ${jobId} -> ${status}`);
+    return { success: true };
+  } catch (error) {
+    logger.error("Failed to update message job status:", error);
+    return { success: false, error: error.message };
+  }
+};
+
+const promoteDueScheduledJobs = async () => {
+  if (!initialized) {
+    return 0;
+  }
+
+  try {
+    const sql = `
+        UPDATE message_queue
+        SET status = 'queued', next_attempt_at = scheduled_at, updated_at = datetime('now')
+        WHERE status = 'scheduled' AND scheduled_at <= ?
+      `;
+    return query(sql, [new Date().toISOString()]).changes;
+  } catch (error) {
+    logger.error("Failed to promote due scheduled messages:", error);
+    return 0;
+  }
+};
+
+const getScheduledMessageJobs = async (sessionId, limit = 50, offset = 0) => {
+  if (!initialized) {
+    logger.warn(
+      "Database not available, skipping scheduled messages retrieval"
+    );
+    return { jobs: [], total: 0 };
+  }
+
+  try {
+    const total = query(
+      "SELECT COUNT(*) as count FROM message_queue WHERE session_id = ? AND status = 'scheduled'",
+      [sessionId]
+    )[0].count;
+
+    const sql = `
+        SELECT * FROM message_queue
+        WHERE session_id = ? AND status = 'scheduled'
+        ORDER BY scheduled_at ASC, id ASC
+        LIMIT ? OFFSET ?
+      `;
+    const jobs = query(sql, [sessionId, limit, offset]).map(formatMessageJob);
+
+    return { jobs, total, limit, offset };
+  } catch (error) {
+    logger.error("Failed to get scheduled messages from database:", error);
+    return { jobs: [], total: 0 };
+  }
+};
+
+const rescheduleMessageJob = async (sessionId, jobId, scheduledAt) => {
+  if (!initialized) {
+    return { success: false, reason: "Database not available" };
+  }
+
+  const sql = `
+      UPDATE message_queue
+      SET scheduled_at = ?, next_attempt_at = ?, updated_at = datetime('now')
+      WHERE session_id = ? AND job_id = ? AND status = 'scheduled'
+    `;
+  const result = query(sql, [scheduledAt, scheduledAt, sessionId, jobId]);
+
+  if (result.changes === 0) {
+    return { success: false, reason: "Scheduled message not found" };
+  }
+  return { success: true };
+};
+
+const cancelMessageJob = async (sessionId, jobId) => {
+  if (!initialized) {
+    return { success: false, reason: "Database not available" };
+  }
+
+  const sql = `
+      UPDATE message_queue
+      SET status = 'cancelled', completed_at = ?, updated_at = datetime('now')
+      WHERE session_id = ? AND job_id = ? AND status = 'scheduled'
+    `;
+  const result = query(sql, [new Date().toISOString(), sessionId, jobId]);
+
+  if (result.changes === 0) {
+    return { success: false, reason: "Scheduled message not found" };
+  }
+  return { success: true };
+};
+
+const requeueInterruptedMessageJobs = async () => {
+  if (!initialized) {
+    return 0;
+  }
+
+  const result = query(
+    "UPDATE message_queue SET status = 'queued', updated_at = datetime('now') WHERE status = 'processing'"
+  );
+  return result.changes;
+};
+
+const formatBroadcast = (row) => ({
+  broadcastId: row.broadcast_id,
+  sessionId: row.session_id,
+  type: row.message_type,
+  status: row.status,
+  payload: JSON.parse(row.payload),
+  options: row.options ? JSON.parse(row.options) : {},
+  total: row.total,
+  counts: {
+    pending: row.pending_count || 0,
+    sent: row.sent_count || 0,
+    failed: row.failed_count || 0,
+    cancelled: row.cancelled_count || 0,
+  },
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+  startedAt: row.started_at,
+  completedAt: row.completed_at,
+});
+
+const BROADCAST_SELECT = `
+    SELECT b.*,
+      (SELECT COUNT(*) FROM broadcast_recipients r WHERE r.broadcast_id = b.broadcast_id AND r.status = 'pending') as pending_count,
+      (SELECT COUNT(*) FROM broadcast_recipients r WHERE r.broadcast_id = b.broadcast_id AND r.status = 'sent') as sent_count,
+      (SELECT COUNT(*) FROM broadcast_recipients r WHERE r.broadcast_id = b.broadcast_id AND r.status = 'failed') as failed_count,
+      (SELECT COUNT(*) FROM broadcast_recipients r WHERE r.broadcast_id = b.broadcast_id AND r.status = 'cancelled') as cancelled_count
+    FROM broadcasts b
+  `;
+
+const createBroadcast = async (broadcastData) => {
+  if (!initialized) {
+    throw new Error("Database service not initialized");
+  }
+
+  const createTransaction = db.transaction(() => {
+    db.prepare(
+      `INSERT INTO broadcasts (
+          broadcast_id, session_id, message_type, payload, options, status,
+          total, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, 'queued', ?, datetime('now'), datetime('now'))`
+    ).run(
+      broadcastData.broadcastId,
+      broadcastData.sessionId,
+      broadcastData.type,
+      JSON.stringify(broadcastData.payload),
+      JSON.stringify(broadcastData.options || {}),
+      broadcastData.recipients.length
+    );
+
+    const insertRecipient = db.prepare(
+      `INSERT INTO broadcast_recipients (broadcast_id, recipient, jid, status)
+        VALUES (?, ?, ?, 'pending')`
+    );
+    for (const recipient of broadcastData.recipients) {
+      insertRecipient.run(
+        broadcastData.broadcastId,
+        recipient.recipient,
+        recipient.jid
+      );
+    }
+  });
+
+  createTransaction();
+  logger.debug(`Broadcast created: ${broadcastData.broadcastId}`);
+  return { success: true, broadcastId: broadcastData.broadcastId };
+};
+
+const getBroadcast = async (sessionId, broadcastId) => {
+  if (!initialized) {
+    return null;
+  }
+
+  try {
+    const result = query(
+      `${BROADCAST_SELECT} WHERE b.session_id = ? AND b.broadcast_id = ?`,
+      [sessionId, broadcastId]
+    );
+    return result.length > 0 ? formatBroadcast(result[0]) : null;
+  } catch (error) {
+    logger.error("Failed to get broadcast from database:", error);
+    return null;
+  }
+};
+
+const getBroadcasts = async (sessionId, limit = 50, offset = 0) => {
+  if (!initialized) {
+    logger.warn("Database not available, skipping broadcasts retrieval");
+    return { broadcasts: [], total: 0 };
+  }
+
+  try {
+    const total = query(
+      "SELECT COUNT(*) as count FROM broadcasts WHERE session_id = ?",
+      [sessionId]
+    )[0].count;
+
+    const result = query(
+      `${BROADCAST_SELECT} WHERE b.session_id = ? ORDER BY b.id DESC LIMIT ? OFFSET ?`,
+      [sessionId, limit, offset]
+    );
+
+    return {
+      broadcasts: result.map(formatBroadcast),
+      total,
+      limit,
+      offset,
+    };
+  } catch (error) {
+    logger.error("Failed to get broadcasts from database:", error);
+    return { broadcasts: [], total: 0 };
+  }
+};
+
+const getBroadcastRecipients = async (
+  broadcastId,
+  status = null,
+  limit = 50,
+  offset = 0
+) => {
+  if (!initialized) {
+    return { recipients: [], total: 0 };
+  }
+
+  try {
+    const where = status
+      ? "WHERE broadcast_id = ? AND status = ?"
+      : "WHERE broadcast_id = ?";
+    const params = status ? [broadcastId, status] : [broadcastId];
+
+    const total = query(
+      `SELECT COUNT(*) as count FROM broadcast_recipients ${where}`,
+      params
+    )[0].count;
+
+    const sql = `
+        SELECT recipient, jid, status, message_id, error, sent_at
+        FROM broadcast_recipients
+        ${where}
+        ORDER BY id ASC
+        LIMIT ? OFFSET ?
+      `;
+    const recipients = query(sql, [...params, limit, offset]).map((row) => ({
+      recipient: row.recipient,
+      jid: row.jid,
+      status: row.status,
+      messageId: row.message_id,
+      error: row.error,
+      sentAt: row.sent_at,
+    }));
+
+    return { recipients, total, limit, offset };
+  } catch (error) {
+    logger.error("Failed to get broadcast recipients from database:", error);
+    return { recipients: [], total: 0 };
+  }
+};
+
+const getActiveBroadcastSessions = async () => {
+  if (!initialized) {
+    return [];
+  }
+
+  try {
+    const result = query(
+      "SELECT DISTINCT session_id FROM broadcasts WHERE status IN ('queued', 'running')"
+    );
+    return result.map((row) => row.session_id);
+  } catch (error) {
+    logger.error("Failed to get sessions with active broadcasts:", error);
+    return [];
+  }
+};
+
+const getNextActiveBroadcast = async (sessionId) => {
+  if (!initialized) {
+    return null;
+  }
+
+  const result = query(
+    `${BROADCAST_SELECT} WHERE b.session_id = ? AND b.status IN ('queued', 'running') ORDER BY b.id ASC LIMIT 1`,
+    [sessionId]
+  );
+  return result.length > 0 ? formatBroadcast(result[0]) : null;
+};
+
+const getNextBroadcastRecipient = async (broadcastId) => {
+  if (!initialized) {
+    return null;
+  }
+
+  const result = query(
+    "SELECT id, recipient, jid FROM broadcast_recipients WHERE broadcast_id = ? AND status = 'pending' ORDER BY id ASC LIMIT 1",
+    [broadcastId]
+  );
+  return result.length > 0 ? result[0] : null;
+};
+
+const updateBroadcastRecipient = async (id, status, fields = {}) => {
+  if (!initialized) {
+    return { success: false, reason: "Database not available" };
+  }
+
+  const sql = `
+      UPDATE broadcast_recipients
+      SET status = ?, message_id = ?, error = ?, sent_at = ?
+      WHERE id = ?
+    `;
+  query(sql, [
+    status,
+    fields.messageId || null,
+    fields.error || null,
+    status === "sent" ? new Date().toISOString() : null,
+    id,
+  ]);
+  return { success: true };
+};
+
+/**
+ * Move a broadcast to a new status, only from the given current statuses
+ * @returns {object} - { success } false when the broadcast was not in fromStatuses
+ */
+const updateBroadcastStatus = async (
+  broadcastId,
+  status,
+  fromStatuses = [],
+  fields = {}
+) => {
+  if (!initialized) {
+    return { success: false, reason: "Database not available" };
+  }
+
+  const updateTransaction = db.transaction(() => {
+    const assignments = ["status = ?", "updated_at = datetime('now')"];
+    const params = [status];
+
+    if (fields.startedAt) {
+      assignments.push("started_at = COALESCE(started_at, ?)");
+      params.push(fields.startedAt);
+    }
+    if (fields.completedAt) {
+      assignments.push("completed_at = ?");
+      params.push(fields.completedAt);
+    }
+
+    let sql = `UPDATE broadcasts SET ${assignments.join(", ")} WHERE broadcast_id = ?`;
+    params.push(broadcastId);
+    if (fromStatuses.length > 0) {
+      sql += ` AND status IN (${fromStatuses.map(() => "?").join(", ")})`;
+      params.push(...fromStatuses);
+    }
+
+    const result = db.prepare(sql).run(params);
+
+    // Cancelling drops every recipient that has not been sent yet
+    if (result.changes > 0 && status === "cancelled") {
+      db.prepare(
+        "UPDATE broadcast_recipients SET status = 'cancelled' WHERE broadcast_id = ? AND status = 'pending'"
+      ).run(broadcastId);
+    }
+
+    return result.changes;
+  });
+
+  const changes = updateTransaction();
+  if (changes === 0) {
+    return { success: false, reason: "Broadcast not in a valid state" };
+  }
+
+  logger.debug(`Broadcast status updated: ${broadcastId} -> ${status}`);
+  return { success: true };
+};
+
+const formatTemplate = (row) => ({
+  templateId: row.template_id,
+  name: row.name,
+  description: row.description,
+  type: row.message_type,
+  content: row.content,
+  mediaUrl: row.media_url,
+  filename: row.filename,
+  variables: row.variables ? JSON.parse(row.variables) : [],
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+const createTemplate = async (templateData) => {
+  if (!initialized) {
+    throw new Error("Database service not initialized");
+  }
+
+  try {
+    // Prepared directly so a duplicate name is not logged as a query error
+    db.prepare(
+      `INSERT INTO message_templates (
+          template_id, name, description, message_type, content, media_url,
+          filename, variables, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))`
+    ).run(
+      templateData.templateId,
+      templateData.name,
+      templateData.description || null,
+      templateData.type,
+      templateData.content || null,
+      templateData.mediaUrl || null,
+      templateData.filename || null,
+      JSON.stringify(templateData.variables || [])
+    );
+  } catch (error) {
+    if (error.code === "SQLITE_CONSTRAINT_UNIQUE") {
+      return { success: false, reason: "Template name already exists" };
+    }
+    throw error;
+  }
+
+  logger.debug(`Template created: ${templateData.templateId}`);
+  return { success: true, templateId: templateData.templateId };
+};
+
+const getTemplate = async (templateId) => {
+  if (!initialized) {
+    return null;
+  }
+
+  try {
+    const result = query(
+      "SELECT * FROM message_templates WHERE template_id = ?",
+      [templateId]
+    );
+    return result.length > 0 ? formatTemplate(result[0]) : null;
+  } catch (error) {
+    logger.error("Failed to get template from database:", error);
+    return null;
+  }
+};
+
+const getTemplates = async (filters = {}, limit = 50, offset = 0) => {
+  if (!initialized) {
+    logger.warn("Database not available, skipping templates retrieval");
+    return { templates: [], total: 0 };
+  }
+
+  try {
+    const where = filters.type ? "WHERE message_type = ?" : "";
+    const params = filters.type ? [filters.type] : [];
+
+    const total = query(
+      `SELECT COUNT(*) as count FROM message_templates ${where}`,
+      params
+    )[0].count;
+
+    const result = query(
+      `SELECT * FROM message_templates ${where} ORDER BY name ASC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    return { templates: result.map(formatTemplate), total };
+  } catch (error) {
+    logger.error("Failed to get templates from database:", error);
+    return { templates: [], total: 0 };
+  }
+};
+
+const updateTemplate = async (templateId, templateData) => {
+  if (!initialized) {
+    return { success: false, reason: "Database not available" };
+  }
+
+  let result;
+  try {
+    result = db
+      .prepare(
+        `UPDATE message_templates
+          SET name = ?, description = ?, message_type = ?, content = ?,
+              media_url = ?, filename = ?, variables = ?,
+              updated_at = datetime('now')
+          WHERE template_id = ?`
+      )
+      .run(
+        templateData.name,
+        templateData.description || null,
+        templateData.type,
+        templateData.content || null,
+        templateData.mediaUrl || null,
+        templateData.filename || null,
+        JSON.stringify(templateData.variables || []),
+        templateId
+      );
+  } catch (error) {
+    if (error.code === "SQLITE_CONSTRAINT_UNIQUE") {
+      return { success: false, reason: "Template name already exists" };
+    }
+    throw error;
+  }
+
+  if (result.changes === 0) {
+    return { success: false, reason: "Template not found" };
+  }
+
+  logger.debug(`Template updated: ${templateId}`);
+  return { success: true };
+};
+
+const deleteTemplate = async (templateId) => {
+  if (!initialized) {
+    return { success: false, reason: "Database not available" };
+  }
+
+  const result = query("DELETE FROM message_templates WHERE template_id = ?", [
+    templateId,
+  ]);
+  if (result.changes === 0) {
+    return { success: false, reason: "Template not found" };
+  }
+
+  logger.debug(`Template deleted: ${templateId}`);
+  return { success: true };
+};
+
+const CHAT_COLUMNS = {
+  name: "name",
+  unreadCount: "unread_count",
+  archived: "archived",
+  pinned: "pinned",
+  mutedUntil: "muted_until",
+  conversationTimestamp: "conversation_timestamp",
+  lastMessageId: "last_message_id",
+  lastMessageFromMe: "last_message_from_me",
+  lastMessageParticipant: "last_message_participant",
+  lastMessageType: "last_message_type",
+  lastMessageText: "last_message_text",
+  lastMessageTimestamp: "last_message_timestamp",
+};
+
+// SQLite has no boolean type
+const toChatValue = (value) =>
+  typeof value === "boolean" ? Number(value) : value;
+
+const toIsoTimestamp = (seconds) =>
+  seconds ? new Date(seconds * 1000).toISOString() : null;
+
+const formatChat = (row) => ({
+  jid: row.jid,
+  name: row.name,
+  isGroup: row.jid.endsWith("@g.us"),
+  // -1 means the chat was marked as unread without a count
+  unreadCount: Math.max(row.unread_count || 0, 0),
+  markedUnread: row.unread_count < 0,
+  archived: !!row.archived,
+  pinned: !!row.pinned,
+  muted: row.muted_until === -1 || row.muted_until > Date.now(),
+  mutedUntil:
+    row.muted_until > Date.now()
+      ? new Date(row.muted_until).toISOString()
+      : null,
+  lastMessage: row.last_message_id
+    ? {
+        messageId: row.last_message_id,
+        fromMe: !!row.last_message_from_me,
+        participant: row.last_message_participant,
+        type: row.last_message_type,
+        text: row.last_message_text,
+        timestamp: toIsoTimestamp(row.last_message_timestamp),
+      }
+    : null,
+  lastActivityAt: toIsoTimestamp(
+    row.last_message_timestamp || row.conversation_timestamp
+  ),
+  updatedAt: row.updated_at,
+});
+
+const buildChatUpsert = (fields) => {
+  const entries = Object.entries(CHAT_COLUMNS).filter(
+    ([field]) => fields[field] !== undefined
+  );
+  const columns = entries.map(([, column]) => column);
+  const assignments = columns.map((column) => `${column} = excluded.${column}`);
+
+  const sql = `
+      INSERT INTO chats (${["session_id", "jid", ...columns].join(", ")})
+      VALUES (${["?", "?", ...columns.map(() => "?")].join(", ")})
+      ON CONFLICT(session_id, jid) DO UPDATE SET
+        ${[...assignments, "updated_at = datetime('now')"].join(", ")}
+    `;
+  const values = entries.map(([field]) => toChatValue(fields[field]));
+
+  return { sql, values };
+};
+
+/**
+ * Insert or update chats. Only the fields present on each chat are written.
+ * @param {string} sessionId - Session ID
+ * @param {Array<object>} chats - [{ jid, ...CHAT_COLUMNS fields }]
+ */
+const upsertChats = async (sessionId, chats) => {
+  if (!initialized) {
+    return { success: false, reason: "Database not available" };
+  }
 
-    logger.info(`Session deleted from database: ${sessionId}`);
+  try {
+    const upsertTransaction = db.transaction(() => {
+      for (const { jid, ...fields } of chats) {
+        const { sql, values } = buildChatUpsert(fields);
+        db.prepare(sql).run(sessionId, jid, ...values);
+      }
+    });
+
+    upsertTransaction();
+    logger.debug(`Chats upserted for ${sessionId}: ${chats.length}`);
     return { success: true };
   } catch (error) {
-    logger.error("Failed to delete session from database:", error);
+    logger.error("Failed to upsert chats:", error);
     return { success: false, error: error.message };
   }
 };
 
-const saveMessage = async (messageData) => {
+/**
+ * Record a new message as the chat's last message, unless a newer one is
+ * already stored (history sync can deliver messages out of order)
+ * @param {string} sessionId - Session ID
+ * @param {string} jid - Chat JID
+ * @param {object} lastMessage - Last message fields (see chat-parser)
+ * @param {boolean} incrementUnread - Count the message as unread
+ */
+const updateChatLastMessage = async (
+  sessionId,
+  jid,
+  lastMessage,
+  incrementUnread = false
+) => {
   if (!initialized) {
-    logger.warn("Database not available, skipping message save");
     return { success: false, reason: "Database not available" };
   }
 
   try {
     const sql = `
-        INSERT INTO worker_messages (
-          message_id, session_id, from_number, to_number, message_type,
-          content, media_url, status, timestamp, created_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+        INSERT INTO chats (
+          session_id, jid, unread_count, last_message_id, last_message_from_me,
+          last_message_participant, last_message_type, last_message_text,
+          last_message_timestamp
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(session_id, jid) DO UPDATE SET
+          unread_count = CASE WHEN ?
+            THEN MAX(COALESCE(chats.unread_count, 0), 0) + 1
+            ELSE chats.unread_count END,
+          last_message_id = excluded.last_message_id,
+          last_message_from_me = excluded.last_message_from_me,
+          last_message_participant = excluded.last_message_participant,
+          last_message_type = excluded.last_message_type,
+          last_message_text = excluded.last_message_text,
+          last_message_timestamp = excluded.last_message_timestamp,
+          updated_at = datetime('now')
+        WHERE chats.last_message_timestamp IS NULL
+          OR excluded.last_message_timestamp >= chats.last_message_timestamp
       `;
 
-    const params = [
-      messageData.messageId || `msg_${Date.now()}`,
-      messageData.sessionId,
-      messageData.from || null,
-      messageData.to || null,
-      messageData.type || "text",
-      messageData.content || messageData.message || "",
-      messageData.mediaUrl || null,
-      messageData.status || "sent",
-      messageData.timestamp || new Date().toISOString(),
-    ];
+    query(sql, [
+      sessionId,
+      jid,
+      incrementUnread ? 1 : 0,
+      lastMessage.lastMessageId,
+      toChatValue(lastMessage.lastMessageFromMe),
+      lastMessage.lastMessageParticipant || null,
+      lastMessage.lastMessageType,
+      lastMessage.lastMessageText || null,
+      lastMessage.lastMessageTimestamp,
+      incrementUnread ? 1 : 0,
+    ]);
+    return { success: true };
+  } catch (error) {
+    logger.error("Failed to update chat last message:", error);
+    return { success: false, error: error.message };
+  }
+};
 
-    query(sql, params);
-    logger.debug(`Message saved to database: ${messageData.messageId}`);
+const getChat = async (sessionId, jid) => {
+  if (!initialized) {
+    return null;
+  }
+
+  try {
+    const result = query(
+      "SELECT * FROM chats WHERE session_id = ? AND jid = ?",
+      [sessionId, jid]
+    );
+    return result.length > 0 ? formatChat(result[0]) : null;
+  } catch (error) {
+    logger.error("Failed to get chat from database:", error);
+    return null;
+  }
+};
+
+/**
+ * List chats, pinned first and then by latest activity
+ * @param {string} sessionId - Session ID
+ * @param {object} filters - { archived, pinned, unread, type: group|user }
+ */
+const getChats = async (sessionId, filters = {}, limit = 50, offset = 0) => {
+  if (!initialized) {
+    logger.warn("Database not available, skipping chats retrieval");
+    return { chats: [], total: 0 };
+  }
+
+  try {
+    const conditions = ["session_id = ?"];
+    const params = [sessionId];
+
+    if (filters.archived !== undefined) {
+      conditions.push("COALESCE(archived, 0) = ?");
+      params.push(Number(filters.archived));
+    }
+    if (filters.pinned !== undefined) {
+      conditions.push("COALESCE(pinned, 0) = ?");
+      params.push(Number(filters.pinned));
+    }
+    if (filters.unread !== undefined) {
+      conditions.push(
+        filters.unread
+          ? "COALESCE(unread_count, 0) != 0"
+          : "COALESCE(unread_count, 0) = 0"
+      );
+    }
+    if (filters.type) {
+      conditions.push(
+        filters.type === "group"
+          ? "jid LIKE '%@g.us'"
+          : "jid NOT LIKE '%@g.us'"
+      );
+    }
+
+    const where = `WHERE ${conditions.join(" AND ")}`;
+    const total = query(
+      `SELECT COUNT(*) as count FROM chats ${where}`,
+      params
+    )[0].count;
+
+    const result = query(
+      `SELECT * FROM chats ${where}
+        ORDER BY COALESCE(pinned, 0) DESC,
+          COALESCE(last_message_timestamp, conversation_timestamp, 0) DESC
+        LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    return { chats: result.map(formatChat), total };
+  } catch (error) {
+    logger.error("Failed to get chats from database:", error);
+    return { chats: [], total: 0 };
+  }
+};
+
+/**
+ * Clear the stored last message of a chat (after the chat is cleared)
+ */
+const clearChatLastMessage = async (sessionId, jid) => {
+  if (!initialized) {
+    return { success: false, reason: "Database not available" };
+  }
+
+  query(
+    `UPDATE chats
+      SET unread_count = 0, last_message_id = NULL,
+          last_message_from_me = NULL, last_message_participant = NULL,
+          last_message_type = NULL, last_message_text = NULL,
+          updated_at = datetime('now')
+      WHERE session_id = ? AND jid = ?`,
+    [sessionId, jid]
+  );
+  return { success: true };
+};
+
+const deleteChat = async (sessionId, jid) => {
+  if (!initialized) {
+    return { success: false, reason: "Database not available" };
+  }
+
+  const result = query("DELETE FROM chats WHERE session_id = ? AND jid = ?", [
+    sessionId,
+    jid,
+  ]);
+  if (result.changes === 0) {
+    return { success: false, reason: "Chat not found" };
+  }
+
+  logger.debug(`Chat deleted: ${sessionId} ${jid}`);
+  return { success: true };
+};
+
+/**
+ * Remember contacts whose presence a session subscribed to, so the
+ * subscriptions can be renewed after a reconnect
+ * @param {string} sessionId - Session ID
+ * @param {Array<string>} jids - Subscribed JIDs
+ */
+const savePresenceSubscriptions = async (sessionId, jids) => {
+  if (!initialized) {
+    return { success: false, reason: "Database not available" };
+  }
+
+  try {
+    const insert = db.prepare(
+      "INSERT OR IGNORE INTO presence_subscriptions (session_id, jid) VALUES (?, ?)"
+    );
+    const saveTransaction = db.transaction(() => {
+      for (const jid of jids) {
+        insert.run(sessionId, jid);
+      }
+    });
+
+    saveTransaction();
     return { success: true };
   } catch (error) {
-    logger.error("Failed to save message to database:", error);
+    logger.error("Failed to save presence subscriptions:", error);
     return { success: false, error: error.message };
   }
 };
 
-const getMessages = async (sessionId, limit = 50, offset = 0) => {
+const getPresenceSubscriptions = async (sessionId) => {
   if (!initialized) {
-    logger.warn("Database not available, skipping messages retrieval");
-    return { messages: [], total: 0 };
+    return [];
+  }
+
+  const rows = query(
+    "SELECT jid FROM presence_subscriptions WHERE session_id = ? ORDER BY created_at",
+    [sessionId]
+  );
+  return rows.map((row) => row.jid);
+};
+
+const enqueueWebhook = async (webhookData) => {
+  if (!initialized) {
+    throw new Error("Database service not initialized");
+  }
+
+  const sql = `
+      INSERT INTO webhook_outbox (
+        session_id, event, endpoint, payload, attempts, next_attempt_at,
+        created_at, updated_at
+      ) VALUES (?, ?, ?, ?, 0, ?, datetime('now'), datetime('now'))
+    `;
+
+  const result = query(sql, [
+    webhookData.sessionId,
+    webhookData.event,
+    webhookData.endpoint,
+    JSON.stringify(webhookData.payload),
+    new Date().toISOString(),
+  ]);
+
+  return { id: result.lastInsertRowid };
+};
+
+const getDueWebhooks = async (limit = 50) => {
+  if (!initialized) {
+    return [];
+  }
+
+  try {
+    // Only the oldest pending event of each session is eligible, so a failing
+    // event blocks later events of the same session until it is delivered or
+    // dead-lettered.
+    const sql = `
+        SELECT id, session_id, event, endpoint, payload, attempts,
+               next_attempt_at, last_error, created_at
+        FROM webhook_outbox
+        WHERE id IN (SELECT MIN(id) FROM webhook_outbox GROUP BY session_id)
+          AND next_attempt_at <= ?
+        ORDER BY id ASC
+        LIMIT ?
+      `;
+
+    return query(sql, [new Date().toISOString(), limit]);
+  } catch (error) {
+    logger.error("Failed to get due webhooks from outbox:", error);
+    return [];
+  }
+};
+
+const deleteWebhook = async (id) => {
+  if (!initialized) {
+    return { success: false, reason: "Database not available" };
+  }
+
+  query("DELETE FROM webhook_outbox WHERE id = ?", [id]);
+  return { success: true };
+};
+
+const scheduleWebhookRetry = async (id, attempts, nextAttemptAt, error) => {
+  if (!initialized) {
+    return { success: false, reason: "Database not available" };
+  }
+
+  const sql = `
+      UPDATE webhook_outbox
+      SET attempts = ?, next_attempt_at = ?, last_error = ?, updated_at = datetime('now')
+      WHERE id = ?
+    `;
+
+  query(sql, [attempts, nextAttemptAt, error, id]);
+  return { success: true };
+};
+
+const moveWebhookToDeadLetter = async (webhook, attempts, error) => {
+  if (!initialized) {
+    return { success: false, reason: "Database not available" };
+  }
+
+  const moveTransaction = db.transaction(() => {
+    db.prepare(
+      `INSERT INTO webhook_dead_letters (
+          outbox_id, session_id, event, endpoint, payload, attempts,
+          last_error, created_at, failed_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))`
+    ).run(
+      webhook.id,
+      webhook.session_id,
+      webhook.event,
+      webhook.endpoint,
+      webhook.payload,
+      attempts,
+      error,
+      webhook.created_at
+    );
+    db.prepare("DELETE FROM webhook_outbox WHERE id = ?").run(webhook.id);
+  });
+
+  moveTransaction();
+  logger.warn(`Webhook ${webhook.id} moved to dead-letter queue`, {
+    sessionId: webhook.session_id,
+    event: webhook.event,
+    attempts,
+  });
+  return { success: true };
+};
+
+const buildDeadLetterFilter = (filters = {}) => {
+  const conditions = [];
+  const params = [];
+
+  if (filters.ids && filters.ids.length > 0) {
+    conditions.push(`id IN (${filters.ids.map(() => "?").join(", ")})`);
+    params.push(...filters.ids);
+  }
+  if (filters.sessionId) {
+    conditions.push("session_id = ?");
+    params.push(filters.sessionId);
+  }
+  if (filters.event) {
+    conditions.push("event = ?");
+    params.push(filters.event);
+  }
+  if (filters.before) {
+    conditions.push("failed_at < datetime(?)");
+    params.push(new Date(filters.before).toISOString());
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "",
+    params,
+  };
+};
+
+const getDeadLetters = async (filters = {}, limit = 50, offset = 0) => {
+  if (!initialized) {
+    logger.warn("Database not available, skipping dead letters retrieval");
+    return { deadLetters: [], total: 0 };
   }
 
   try {
-    // Get total count
-    const countSql =
-      "SELECT COUNT(*) as count FROM worker_messages WHERE session_id = ?";
-    const countResult = query(countSql, [sessionId]);
-    const total = countResult[0].count;
+    const { where, params } = buildDeadLetterFilter(filters);
+
+    const total = query(
+      `SELECT COUNT(*) as count FROM webhook_dead_letters ${where}`,
+      params
+    )[0].count;
 
-    // Get messages
     const sql = `
-        SELECT message_id, session_id, from_number, to_number, message_type,
-               content, media_url, status, timestamp, created_at
-        FROM worker_messages
-        WHERE session_id = ?
-        ORDER BY timestamp DESC
+        SELECT id, outbox_id, session_id, event, endpoint, payload, attempts,
+               last_error, created_at, failed_at
+        FROM webhook_dead_letters
+        ${where}
+        ORDER BY id ASC
         LIMIT ? OFFSET ?
       `;
 
-    const result = query(sql, [sessionId, limit, offset]);
+    const deadLetters = query(sql, [...params, limit, offset]).map((row) => ({
+      ...row,
+      payload: JSON.parse(row.payload),
+    }));
 
-    return {
-      messages: result,
-      total,
-      limit,
-      offset,
-    };
+    return { deadLetters, total, limit, offset };
   } catch (error) {
-    logger.error("Failed to get messages from database:", error);
-    return { messages: [], total: 0 };
+    logger.error("Failed to get dead letters from database:", error);
+    return { deadLetters: [], total: 0 };
   }
 };
 
-const updateMessageStatus = async (messageId, status) => {
+const replayDeadLetters = async (filters = {}) => {
   if (!initialized) {
-    logger.warn("Database not available, skipping message status update");
-    return { success: false, reason: "Database not available" };
+    throw new Error("Database service not initialized");
   }
 
-  try {
-    const sql = "UPDATE worker_messages SET status = ? WHERE message_id = ?";
-    const result = query(sql, [status, messageId]);
+  const { where, params } = buildDeadLetterFilter(filters);
 
-    if (result.changes === 0) {
-      logger.warn(`Message not found for status update: ${messageId}`);
-      return { success: false, reason: "Message not found" };
+  const replayTransaction = db.transaction(() => {
+    const rows = db
+      .prepare(`SELECT * FROM webhook_dead_letters ${where} ORDER BY id ASC`)
+      .all(params);
+    const insert = db.prepare(
+      `INSERT INTO webhook_outbox (
+          session_id, event, endpoint, payload, attempts, next_attempt_at,
+          created_at, updated_at
+        ) VALUES (?, ?, ?, ?, 0, ?, datetime('now'), datetime('now'))`
+    );
+    const remove = db.prepare("DELETE FROM webhook_dead_letters WHERE id = ?");
+    const now = new Date().toISOString();
+
+    for (const row of rows) {
+      insert.run(row.session_id, row.event, row.endpoint, row.payload, now);
+      remove.run(row.id);
     }
 
-    logger.debug(`Message status updated: ${messageId} -> ${status}`);
-    return { success: true };
+    return rows.map((row) => row.id);
+  });
+
+  const replayedIds = replayTransaction();
+  logger.info(`Replayed ${replayedIds.length} dead-lettered webhooks`);
+  return { replayed: replayedIds.length, ids: replayedIds };
+};
+
+const purgeDeadLetters = async (filters = {}) => {
+  if (!initialized) {
+    throw new Error("Database service not initialized");
+  }
+
+  const { where, params } = buildDeadLetterFilter(filters);
+  const result = query(`DELETE FROM webhook_dead_letters ${where}`, params);
+
+  logger.info(`Purged ${result.changes} dead-lettered webhooks`);
+  return { purged: result.changes };
+};
+
+const getWebhookOutboxStats = () => {
+  if (!initialized) {
+    return null;
+  }
+
+  try {
+    const pending = query("SELECT COUNT(*) as count FROM webhook_outbox")[0]
+      .count;
+    const retrying = query(
+      "SELECT COUNT(*) as count FROM webhook_outbox WHERE attempts > 0"
+    )[0].count;
+    const deadLetters = query(
+      "SELECT COUNT(*) as count FROM webhook_dead_letters"
+    )[0].count;
+
+    return { pending, retrying, deadLetters };
   } catch (error) {
-    logger.error("Failed to update message status:", error);
-    return { success: false, error: error.message };
+    logger.error("Failed to get webhook outbox stats:", error);
+    return null;
   }
 };
 
+// Message IDs are only unique per session: the same group message reaches
+// every session that is a member of the group
+const WORKER_MESSAGES_TABLE = `
+    CREATE TABLE IF NOT EXISTS worker_messages (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      message_id TEXT NOT NULL,
+      session_id TEXT NOT NULL,
+      chat_jid TEXT,
+      direction TEXT,
+      from_me INTEGER,
+      from_number TEXT,
+      to_number TEXT,
+      message_type TEXT DEFAULT 'text',
+      content TEXT,
+      media_url TEXT,
+      file_name TEXT,
+      quoted_message_id TEXT,
+      payload TEXT,
+      media_storage TEXT,
+      media_path TEXT,
+      media_mime_type TEXT,
+      media_size INTEGER,
+      status TEXT DEFAULT 'sent',
+      timestamp TEXT DEFAULT (datetime('now')),
+      created_at TEXT DEFAULT (datetime('now')),
+      UNIQUE (session_id, message_id),
+      FOREIGN KEY (session_id) REFERENCES worker_sessions(session_id) ON DELETE CASCADE
+    )
+  `;
+
+const WORKER_MESSAGES_INDEXES = [
+  "CREATE INDEX IF NOT EXISTS idx_worker_messages_session_id ON worker_messages(session_id)",
+  "CREATE INDEX IF NOT EXISTS idx_worker_messages_timestamp ON worker_messages(timestamp)",
+  "CREATE INDEX IF NOT EXISTS idx_worker_messages_status ON worker_messages(status)",
+  "CREATE INDEX IF NOT EXISTS idx_worker_messages_session_chat ON worker_messages(session_id, chat_jid, timestamp)",
+  "CREATE INDEX IF NOT EXISTS idx_worker_messages_session_timestamp ON worker_messages(session_id, timestamp, id)",
+];
+
+// Full-text index over message text / captions and file names. It is an
+// external content table, kept in sync with worker_messages by triggers.
+const WORKER_MESSAGES_FTS = [
+  `CREATE VIRTUAL TABLE IF NOT EXISTS worker_messages_fts USING fts5(
+      content, file_name,
+      content = 'worker_messages', content_rowid = 'id',
+      tokenize = 'unicode61 remove_diacritics 2'
+    )`,
+  `CREATE TRIGGER IF NOT EXISTS worker_messages_fts_insert
+      AFTER INSERT ON worker_messages BEGIN
+        INSERT INTO worker_messages_fts (rowid, content, file_name)
+        VALUES (new.id, new.content, new.file_name);
+      END`,
+  `CREATE TRIGGER IF NOT EXISTS worker_messages_fts_delete
+      AFTER DELETE ON worker_messages BEGIN
+        INSERT INTO worker_messages_fts (
+          worker_messages_fts, rowid, content, file_name
+        ) VALUES ('delete', old.id, old.content, old.file_name);
+      END`,
+  `CREATE TRIGGER IF NOT EXISTS worker_messages_fts_update
+      AFTER UPDATE OF content, file_name ON worker_messages BEGIN
+        INSERT INTO worker_messages_fts (
+          worker_messages_fts, rowid, content, file_name
+        ) VALUES ('delete', old.id, old.content, old.file_name);
+        INSERT INTO worker_messages_fts (rowid, content, file_name)
+        VALUES (new.id, new.content, new.file_name);
+      END`,
+];
+
 const initializeSchema = async () => {
   if (!initialized && !db) {
     logger.warn("Database not available, skipping schema initialization");
@@ -352,32 +1995,170 @@ const initializeSchema = async () => {
     db.exec(sessionsTable);
 
     // Create worker_messages table
-    const messagesTable = `
-        CREATE TABLE IF NOT EXISTS worker_messages (
+    db.exec(WORKER_MESSAGES_TABLE);
+
+    // Create webhook outbox tables
+    const webhookOutboxTable = `
+        CREATE TABLE IF NOT EXISTS webhook_outbox (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          session_id TEXT NOT NULL,
+          event TEXT NOT NULL,
+          endpoint TEXT NOT NULL,
+          payload TEXT NOT NULL,
+          attempts INTEGER DEFAULT 0,
+          next_attempt_at TEXT NOT NULL,
+          last_error TEXT,
+          created_at TEXT DEFAULT (datetime('now')),
+          updated_at TEXT DEFAULT (datetime('now'))
+        )
+      `;
+
+    db.exec(webhookOutboxTable);
+
+    const webhookDeadLettersTable = `
+        CREATE TABLE IF NOT EXISTS webhook_dead_letters (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          outbox_id INTEGER,
+          session_id TEXT NOT NULL,
+          event TEXT NOT NULL,
+          endpoint TEXT NOT NULL,
+          payload TEXT NOT NULL,
+          attempts INTEGER DEFAULT 0,
+          last_error TEXT,
+          created_at TEXT,
+          failed_at TEXT DEFAULT (datetime('now'))
+        )
+      `;
+
+    db.exec(webhookDeadLettersTable);
+
+    // Create outbound message queue table
+    const messageQueueTable = `
+        CREATE TABLE IF NOT EXISTS message_queue (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          job_id TEXT UNIQUE NOT NULL,
+          session_id TEXT NOT NULL,
+          to_jid TEXT NOT NULL,
+          message_type TEXT NOT NULL,
+          payload TEXT NOT NULL,
+          options TEXT,
+          status TEXT DEFAULT 'queued',
+          attempts INTEGER DEFAULT 0,
+          next_attempt_at TEXT,
+          last_error TEXT,
+          message_id TEXT,
+          result TEXT,
+          scheduled_at TEXT,
+          created_at TEXT DEFAULT (datetime('now')),
+          updated_at TEXT DEFAULT (datetime('now')),
+          completed_at TEXT
+        )
+      `;
+
+    db.exec(messageQueueTable);
+
+    // Create broadcast tables
+    const broadcastsTable = `
+        CREATE TABLE IF NOT EXISTS broadcasts (
           id INTEGER PRIMARY KEY AUTOINCREMENT,
-          message_id TEXT UNIQUE NOT NULL,
+          broadcast_id TEXT UNIQUE NOT NULL,
           session_id TEXT NOT NULL,
-          from_number TEXT,
-          to_number TEXT,
-          message_type TEXT DEFAULT 'text',
+          message_type TEXT NOT NULL,
+          payload TEXT NOT NULL,
+          options TEXT,
+          status TEXT DEFAULT 'queued',
+          total INTEGER DEFAULT 0,
+          created_at TEXT DEFAULT (datetime('now')),
+          updated_at TEXT DEFAULT (datetime('now')),
+          started_at TEXT,
+          completed_at TEXT
+        )
+      `;
+
+    db.exec(broadcastsTable);
+
+    const broadcastRecipientsTable = `
+        CREATE TABLE IF NOT EXISTS broadcast_recipients (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          broadcast_id TEXT NOT NULL,
+          recipient TEXT NOT NULL,
+          jid TEXT NOT NULL,
+          status TEXT DEFAULT 'pending',
+          message_id TEXT,
+          error TEXT,
+          sent_at TEXT,
+          FOREIGN KEY (broadcast_id) REFERENCES broadcasts(broadcast_id) ON DELETE CASCADE
+        )
+      `;
+
+    db.exec(broadcastRecipientsTable);
+
+    const messageTemplatesTable = `
+        CREATE TABLE IF NOT EXISTS message_templates (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          template_id TEXT UNIQUE NOT NULL,
+          name TEXT UNIQUE NOT NULL,
+          description TEXT,
+          message_type TEXT NOT NULL,
           content TEXT,
           media_url TEXT,
-          status TEXT DEFAULT 'sent',
-          timestamp TEXT DEFAULT (datetime('now')),
+          filename TEXT,
+          variables TEXT,
+          created_at TEXT DEFAULT (datetime('now')),
+          updated_at TEXT DEFAULT (datetime('now'))
+        )
+      `;
+
+    db.exec(messageTemplatesTable);
+
+    // Create chats table (chat list built from chats.upsert / chats.update)
+    const chatsTable = `
+        CREATE TABLE IF NOT EXISTS chats (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          session_id TEXT NOT NULL,
+          jid TEXT NOT NULL,
+          name TEXT,
+          unread_count INTEGER DEFAULT 0,
+          archived INTEGER DEFAULT 0,
+          pinned INTEGER DEFAULT 0,
+          muted_until INTEGER DEFAULT 0,
+          conversation_timestamp INTEGER,
+          last_message_id TEXT,
+          last_message_from_me INTEGER,
+          last_message_participant TEXT,
+          last_message_type TEXT,
+          last_message_text TEXT,
+          last_message_timestamp INTEGER,
+          created_at TEXT DEFAULT (datetime('now')),
+          updated_at TEXT DEFAULT (datetime('now')),
+          UNIQUE (session_id, jid)
+        )
+      `;
+
+    db.exec(chatsTable);
+
+    // Create presence subscriptions table (renewed on every reconnect)
+    const presenceSubscriptionsTable = `
+        CREATE TABLE IF NOT EXISTS presence_subscriptions (
+          session_id TEXT NOT NULL,
+          jid TEXT NOT NULL,
           created_at TEXT DEFAULT (datetime('now')),
-          FOREIGN KEY (session_id) REFERENCES worker_sessions(session_id) ON DELETE CASCADE
+          PRIMARY KEY (session_id, jid)
         )
       `;
 
-    db.exec(messagesTable);
+    db.exec(presenceSubscriptionsTable);
 
     // Create indexes for better performance
     const indexes = [
       "CREATE INDEX IF NOT EXISTS idx_worker_sessions_user_id ON worker_sessions(user_id)",
       "CREATE INDEX IF NOT EXISTS idx_worker_sessions_status ON worker_sessions(status)",
-      "CREATE INDEX IF NOT EXISTS idx_worker_messages_session_id ON worker_messages(session_id)",
-      "CREATE INDEX IF NOT EXISTS idx_worker_messages_timestamp ON worker_messages(timestamp)",
-      "CREATE INDEX IF NOT EXISTS idx_worker_messages_status ON worker_messages(status)",
+      "CREATE INDEX IF NOT EXISTS idx_webhook_outbox_session_id ON webhook_outbox(session_id, id)",
+      "CREATE INDEX IF NOT EXISTS idx_webhook_dead_letters_session_id ON webhook_dead_letters(session_id)",
+      "CREATE INDEX IF NOT EXISTS idx_message_queue_session_status ON message_queue(session_id, status, id)",
+      "CREATE INDEX IF NOT EXISTS idx_broadcasts_session_status ON broadcasts(session_id, status)",
+      "CREATE INDEX IF NOT EXISTS idx_broadcast_recipients_broadcast_status ON broadcast_recipients(broadcast_id, status, id)",
+      "CREATE INDEX IF NOT EXISTS idx_chats_session_activity ON chats(session_id, last_message_timestamp)",
     ];
 
     for (const indexQuery of indexes) {
@@ -427,6 +2208,124 @@ const runMigrations = async () => {
       logger.error("Migration failed for last_activity column:", error);
     }
 
+    // Migration 2: Add scheduled_at column to message_queue if it doesn't exist
+    try {
+      const tableInfo = db.prepare("PRAGMA table_info(message_queue)").all();
+      const hasScheduledAt = tableInfo.some(
+        (col) => col.name === "scheduled_at"
+      );
+
+      if (!hasScheduledAt) {
+        logger.info(
+          "Migration: Adding scheduled_at column to message_queue table"
+        );
+        db.exec("ALTER TABLE message_queue ADD COLUMN scheduled_at TEXT");
+        logger.info("Migration: scheduled_at column added successfully");
+      } else {
+        logger.debug("Migration: scheduled_at column already exists");
+      }
+    } catch (error) {
+      logger.error("Migration failed for scheduled_at column:", error);
+    }
+
+    // Migration 3: Rebuild worker_messages for the message history store
+    // (chat, direction, quoted message and payload columns; message IDs
+    // unique per session instead of globally)
+    try {
+      const tableInfo = db.prepare("PRAGMA table_info(worker_messages)").all();
+      const hasChatJid = tableInfo.some((col) => col.name === "chat_jid");
+
+      if (!hasChatJid) {
+        logger.info("Migration: Rebuilding worker_messages table");
+
+        db.transaction(() => {
+          db.exec("ALTER TABLE worker_messages RENAME TO worker_messages_old");
+          db.exec(WORKER_MESSAGES_TABLE);
+          db.exec(`
+            INSERT INTO worker_messages (
+              message_id, session_id, from_number, to_number, message_type,
+              content, media_url, status, timestamp, created_at
+            )
+            SELECT message_id, session_id, from_number, to_number,
+                   LOWER(message_type), content, media_url, status, timestamp,
+                   created_at
+            FROM worker_messages_old
+          `);
+          db.exec("DROP TABLE worker_messages_old");
+        })();
+
+        logger.info("Migration: worker_messages table rebuilt successfully");
+      } else {
+        logger.debug("Migration: worker_messages table already up to date");
+      }
+
+      for (const indexQuery of WORKER_MESSAGES_INDEXES) {
+        db.exec(indexQuery);
+      }
+    } catch (error) {
+      logger.error("Migration failed for worker_messages table:", error);
+    }
+
+    // Migration 4: Add file_name column to worker_messages if it doesn't exist
+    try {
+      const tableInfo = db.prepare("PRAGMA table_info(worker_messages)").all();
+      const hasFileName = tableInfo.some((col) => col.name === "file_name");
+
+      if (!hasFileName) {
+        logger.info("Migration: Adding file_name column to worker_messages");
+        db.exec("ALTER TABLE worker_messages ADD COLUMN file_name TEXT");
+        logger.info("Migration: file_name column added successfully");
+      } else {
+        logger.debug("Migration: file_name column already exists");
+      }
+    } catch (error) {
+      logger.error("Migration failed for file_name column:", error);
+    }
+
+    // Migration 5: Create the message search index and fill it with the
+    // messages stored before it existed
+    try {
+      const hasSearchIndex = db
+        .prepare(
+          "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'worker_messages_fts'"
+        )
+        .get();
+
+      db.transaction(() => {
+        for (const statement of WORKER_MESSAGES_FTS) {
+          db.exec(statement);
+        }
+        if (!hasSearchIndex) {
+          logger.info("Migration: Building message search index");
+          db.exec(
+            "INSERT INTO worker_messages_fts (worker_messages_fts) VALUES ('rebuild')"
+          );
+        }
+      })();
+    } catch (error) {
+      logger.error("Migration failed for message search index:", error);
+    }
+
+    // Migration 6: Add downloaded media columns to worker_messages
+    try {
+      const tableInfo = db.prepare("PRAGMA table_info(worker_messages)").all();
+      const mediaColumns = {
+        media_storage: "TEXT",
+        media_path: "TEXT",
+        media_mime_type: "TEXT",
+        media_size: "INTEGER",
+      };
+
+      for (const [column, type] of Object.entries(mediaColumns)) {
+        if (!tableInfo.some((col) => col.name === column)) {
+          logger.info(`Migration: Adding ${column} column to worker_messages`);
+          db.exec(`ALTER TABLE worker_messages ADD COLUMN ${column} ${type}`);
+        }
+      }
+    } catch (error) {
+      logger.error("Migration failed for media columns:", error);
+    }
+
     logger.info("Database migrations completed successfully");
     return { success: true };
   } catch (error) {
@@ -491,8 +2390,57 @@ export default {
   getAllSessions,
   deleteSession,
   saveMessage,
+  saveMessages,
   getMessages,
+  searchMessages,
+  updateMessageContent,
+  deleteMessage,
+  getMessagePayload,
+  getMessageMedia,
+  updateMessageMedia,
   updateMessageStatus,
+  enqueueMessageJob,
+  getMessageJob,
+  getMessageQueueSessions,
+  getNextMessageJob,
+  getMessageQueuePosition,
+  updateMessageJobStatus,
+  promoteDueScheduledJobs,
+  getScheduledMessageJobs,
+  rescheduleMessageJob,
+  cancelMessageJob,
+  requeueInterruptedMessageJobs,
+  createBroadcast,
+  getBroadcast,
+  getBroadcasts,
+  getBroadcastRecipients,
+  getActiveBroadcastSessions,
+  getNextActiveBroadcast,
+  getNextBroadcastRecipient,
+  updateBroadcastRecipient,
+  updateBroadcastStatus,
+  createTemplate,
+  getTemplate,
+  getTemplates,
+  updateTemplate,
+  deleteTemplate,
+  upsertChats,
+  updateChatLastMessage,
+  getChat,
+  getChats,
+  clearChatLastMessage,
+  deleteChat,
+  savePresenceSubscriptions,
+  getPresenceSubscriptions,
+  enqueueWebhook,
+  getDueWebhooks,
+  deleteWebhook,
+  scheduleWebhookRetry,
+  moveWebhookToDeadLetter,
+  getDeadLetters,
+  replayDeadLetters,
+  purgeDeadLetters,
+  getWebhookOutboxStats,
   getStats,
   backup,
 };
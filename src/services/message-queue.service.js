@@ -0,0 +1,335 @@
+import { randomUUID } from "crypto";
+import config from "../config/environment.js";
+import logger from "../utils/logger.js";
+import { RETRY_CONFIG, SESSION_STATUS } from "../utils/constants.js";
+
+/**
+ * Message Queue Service
+ * Persistent per-session FIFO for asynchronous sends. Jobs are delivered one at
+ * a time per session, retried on transient errors and held while the session
+ * is not connected (e.g. reconnecting). Scheduled jobs (sendAt) wait in the
+ * "scheduled" state and join the queue once they are due.
+ */
+
+let databaseService = null;
+let baileysService = null;
+let pollTimer = null;
+let initialized = false;
+let interruptedJobsRecovered = false;
+const activeSessions = new Set(); // sessionIds currently being drained
+
+const queueConfig = {
+  pollInterval: config.messageQueue.pollInterval,
+  maxAttempts: RETRY_CONFIG.WHATSAPP.attempts,
+  baseDelay: RETRY_CONFIG.WHATSAPP.delay,
+  backoff: RETRY_CONFIG.WHATSAPP.backoff,
+};
+
+// Errors worth retrying: dropped sockets, timeouts and rate limits
+const TRANSIENT_ERROR_PATTERN =
+  /connection closed|connection lost|connection was lost|timed out|timeout|not connected|not authenticated|stream errored|rate-overlimit|ECONNRESET|ETIMEDOUT|EAI_AGAIN/i;
+
+const setServices = (services) => {
+  databaseService = services.database;
+  baileysService = services.baileys;
+};
+
+const initialize = async () => {
+  pollTimer = setInterval(() => {
+    processQueues().catch((error) => {
+      logger.error("Message queue processing failed:", error);
+    });
+  }, queueConfig.pollInterval);
+
+  initialized = true;
+  logger.info("Message queue service initialized", {
+    pollInterval: queueConfig.pollInterval,
+    maxAttempts: queueConfig.maxAttempts,
+  });
+};
+
+const isAvailable = () => {
+  return initialized && !!databaseService?.isInitialized();
+};
+
+const isSessionReady = (sessionId) => {
+  return (
+    baileysService?.getSessionStatus(sessionId).status ===
+    SESSION_STATUS.CONNECTED
+  );
+};
+
+const isTransientError = (error) => {
+  return TRANSIENT_ERROR_PATTERN.test(error?.message || "");
+};
+
+const getRetryDelay = (attempts) => {
+  return queueConfig.baseDelay * Math.pow(queueConfig.backoff, attempts - 1);
+};
+
+/**
+ * Queue a message for asynchronous delivery
+ * @param {string} sessionId - Session ID
+ * @param {string} to - Formatted WhatsApp JID
+ * @param {object} payload - Send payload (same shape as /send body)
+ * @param {object} options - { humanSimulation }
+ * @param {Date|null} sendAt - Deliver no earlier than this time
+ * @returns {object} - Queued job with its position in the session queue
+ */
+const enqueue = async (sessionId, to, payload, options = {}, sendAt = null) => {
+  const jobId = randomUUID();
+  const scheduledAt = sendAt ? new Date(sendAt).toISOString() : null;
+
+  await databaseService.enqueueMessageJob({
+    jobId,
+    sessionId,
+    to,
+    type: payload.type,
+    payload,
+    options,
+    scheduledAt,
+  });
+
+  // Scheduled messages join the session queue once they are due
+  if (scheduledAt) {
+    logger.info(`Message job ${jobId} scheduled for ${sessionId}`, {
+      to,
+      type: payload.type,
+      sendAt: scheduledAt,
+    });
+
+    return {
+      jobId,
+      sessionId,
+      to,
+      type: payload.type,
+      status: "scheduled",
+      sendAt: scheduledAt,
+    };
+  }
+
+  const position = await databaseService.getMessageQueuePosition(
+    sessionId,
+    jobId
+  );
+
+  setImmediate(() => {
+    processQueues().catch((error) => {
+      logger.error("Message queue processing failed:", error);
+    });
+  });
+
+  logger.info(`Message job ${jobId} queued for ${sessionId}`, {
+    to,
+    type: payload.type,
+    position,
+  });
+
+  return {
+    jobId,
+    sessionId,
+    to,
+    type: payload.type,
+    status: "queued",
+    position,
+  };
+};
+
+const getJob = async (sessionId, jobId) => {
+  const job = await databaseService.getMessageJob(sessionId, jobId);
+  if (!job) {
+    return null;
+  }
+
+  if (["queued", "retrying", "processing"].includes(job.status)) {
+    job.position = await databaseService.getMessageQueuePosition(
+      sessionId,
+      jobId
+    );
+    job.sessionReady = isSessionReady(sessionId);
+  }
+
+  return job;
+};
+
+const listScheduled = async (sessionId, limit, offset) => {
+  return await databaseService.getScheduledMessageJobs(
+    sessionId,
+    limit,
+    offset
+  );
+};
+
+const reschedule = async (sessionId, jobId, sendAt) => {
+  const result = await databaseService.rescheduleMessageJob(
+    sessionId,
+    jobId,
+    new Date(sendAt).toISOString()
+  );
+  if (!result.success) {
+    return null;
+  }
+
+  logger.info(`Message job ${jobId} rescheduled for ${sessionId}`, {
+    sendAt: new Date(sendAt).toISOString(),
+  });
+  return await databaseService.getMessageJob(sessionId, jobId);
+};
+
+const cancel = async (sessionId, jobId) => {
+  const result = await databaseService.cancelMessageJob(sessionId, jobId);
+  if (!result.success) {
+    return null;
+  }
+
+  logger.info(`Scheduled message job ${jobId} cancelled for ${sessionId}`);
+  return await databaseService.getMessageJob(sessionId, jobId);
+};
+
+const processJob = async (job) => {
+  await databaseService.updateMessageJobStatus(job.jobId, "processing");
+
+  try {
+    const { result } = await baileysService.sendByType(
+      job.sessionId,
+      job.to,
+      job.payload,
+      job.options
+    );
+
+    await databaseService.updateMessageJobStatus(job.jobId, "sent", {
+      attempts: job.attempts + 1,
+      messageId: result.messageId,
+      result,
+      completedAt: new Date().toISOString(),
+    });
+
+    logger.info(`Message job ${job.jobId} delivered`, {
+      sessionId: job.sessionId,
+      messageId: result.messageId,
+    });
+  } catch (error) {
+    const attempts = job.attempts + 1;
+
+    // Session dropped mid-flight: hold the job without using up an attempt
+    if (!isSessionReady(job.sessionId)) {
+      await databaseService.updateMessageJobStatus(job.jobId, "queued", {
+        lastError: error.message,
+      });
+      logger.warn(
+        `Message job ${job.jobId} paused, session ${job.sessionId} not connected`
+      );
+      return;
+    }
+
+    if (isTransientError(error) && attempts < queueConfig.maxAttempts) {
+      const nextAttemptAt = new Date(
+        Date.now() + getRetryDelay(attempts)
+      ).toISOString();
+      await databaseService.updateMessageJobStatus(job.jobId, "retrying", {
+        attempts,
+        nextAttemptAt,
+        lastError: error.message,
+      });
+      logger.warn(`Message job ${job.jobId} failed, retry scheduled`, {
+        sessionId: job.sessionId,
+        attempts,
+        nextAttemptAt,
+        error: error.message,
+      });
+      return;
+    }
+
+    await databaseService.updateMessageJobStatus(job.jobId, "failed", {
+      attempts,
+      lastError: error.message,
+      completedAt: new Date().toISOString(),
+    });
+    logger.error(`Message job ${job.jobId} failed permanently`, {
+      sessionId: job.sessionId,
+      attempts,
+      error: error.message,
+    });
+  }
+};
+
+const drainSession = async (sessionId) => {
+  while (isAvailable()) {
+    // Paused until the session is connected again
+    if (!isSessionReady(sessionId)) {
+      return;
+    }
+
+    const job = await databaseService.getNextMessageJob(sessionId);
+    if (!job) {
+      return;
+    }
+
+    // Head of the queue is backing off; later jobs wait to keep ordering
+    if (job.nextAttemptAt && new Date(job.nextAttemptAt) > new Date()) {
+      return;
+    }
+
+    await processJob(job);
+  }
+};
+
+const processQueues = async () => {
+  if (!isAvailable()) {
+    return;
+  }
+
+  // Jobs left in "processing" by a crash or restart go back to the queue.
+  // Delivery is at-least-once: such a job may already have been sent.
+  if (!interruptedJobsRecovered) {
+    interruptedJobsRecovered = true;
+    const requeued = await databaseService.requeueInterruptedMessageJobs();
+    if (requeued > 0) {
+      logger.warn(`Requeued ${requeued} interrupted message jobs`);
+    }
+  }
+
+  const promoted = await databaseService.promoteDueScheduledJobs();
+  if (promoted > 0) {
+    logger.info(`${promoted} scheduled messages are due and queued`);
+  }
+
+  const sessionIds = await databaseService.getMessageQueueSessions();
+
+  for (const sessionId of sessionIds) {
+    if (activeSessions.has(sessionId)) {
+      continue;
+    }
+
+    activeSessions.add(sessionId);
+    drainSession(sessionId)
+      .catch((error) => {
+        logger.error(`Failed to drain message queue for ${sessionId}:`, error);
+      })
+      .finally(() => {
+        activeSessions.delete(sessionId);
+      });
+  }
+};
+
+const shutdown = async () => {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+  initialized = false;
+  logger.info("Message queue service shutdown complete");
+};
+
+export default {
+  setServices,
+  initialize,
+  isAvailable,
+  enqueue,
+  getJob,
+  listScheduled,
+  reschedule,
+  cancel,
+  processQueues,
+  shutdown,
+};
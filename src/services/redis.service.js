@@ -1,6 +1,7 @@
 import Redis from "ioredis";
 import config from "../config/environment.js";
 import logger from "../utils/logger.js";
+import { CACHE_TTL } from "../utils/constants.js";
 
 let client = null;
 let initialized = false;
@@ -158,6 +159,20 @@ const deleteQRCode = async (sessionId) => {
   await del(`qr:${sessionId}`);
 };
 
+// Contact profile parts (picture, about, business) are cached per session,
+// since privacy settings can hide them from some accounts
+const setContactProfile = async (sessionId, jid, part, data) => {
+  await set(
+    `contact:${sessionId}:${jid}:${part}`,
+    data,
+    CACHE_TTL.CONTACT_PROFILE
+  );
+};
+
+const getContactProfile = async (sessionId, jid, part) => {
+  return await get(`contact:${sessionId}:${jid}:${part}`);
+};
+
 export default {
   initialize,
   set,
@@ -174,4 +189,6 @@ export default {
   setQRCode,
   getQRCode,
   deleteQRCode,
+  setContactProfile,
+  getContactProfile,
 };
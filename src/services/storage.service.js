@@ -2,6 +2,7 @@ import { Client } from "minio";
 import { fileURLToPath } from "url";
 import { dirname, join } from "path";
 import fs from "fs/promises";
+import { createReadStream } from "fs";
 import config from "../config/environment.js";
 import logger from "../utils/logger.js";
 
@@ -15,6 +16,9 @@ const mediaBucket = minioConfig.buckets.media;
 const backupsBucket = minioConfig.buckets.backups;
 let initialized = false;
 
+// Media is kept on the local filesystem when MinIO is not available
+const localMediaPath = join(__dirname, "../../", config.whatsapp.mediaPath);
+
 const initialize = async () => {
   try {
     logger.info("Initializing MinIO storage service...");
@@ -213,6 +217,55 @@ const uploadMedia = async (sessionId, mediaBuffer, fileName, mimeType) => {
   }
 };
 
+const getMediaObject = async (objectName) => {
+  if (!initialized) {
+    throw new Error("Storage service not initialized");
+  }
+
+  try {
+    return await client.getObject(mediaBucket, objectName);
+  } catch (error) {
+    if (error.code === "NoSuchKey") {
+      const notFound = new Error(`Media object not found: ${objectName}`);
+      notFound.code = "MEDIA_NOT_FOUND";
+      throw notFound;
+    }
+    logger.error(`Failed to get media object ${objectName}:`, error);
+    throw new Error(`Failed to get media: ${error.message}`);
+  }
+};
+
+// Local fallback for uploadMedia, laid out like the media bucket
+const saveLocalMedia = async (sessionId, mediaBuffer, fileName) => {
+  try {
+    const relativePath = join(sessionId, `${Date.now()}-${fileName}`);
+    const filePath = join(localMediaPath, relativePath);
+
+    await fs.mkdir(dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, mediaBuffer);
+
+    logger.info(`Media saved locally: ${filePath}`);
+    return { path: relativePath };
+  } catch (error) {
+    logger.error(`Failed to save media locally for ${sessionId}:`, error);
+    throw new Error(`Failed to save media: ${error.message}`);
+  }
+};
+
+const getLocalMedia = async (relativePath) => {
+  const filePath = join(localMediaPath, relativePath);
+
+  try {
+    await fs.access(filePath);
+  } catch (error) {
+    const notFound = new Error(`Media file not found: ${relativePath}`);
+    notFound.code = "MEDIA_NOT_FOUND";
+    throw notFound;
+  }
+
+  return createReadStream(filePath);
+};
+
 const isInitialized = () => {
   return initialized;
 };
@@ -232,6 +285,9 @@ export default {
   downloadSessionFiles,
   deleteSessionFiles,
   uploadMedia,
+  getMediaObject,
+  saveLocalMedia,
+  getLocalMedia,
   isInitialized,
   close,
 };
@@ -0,0 +1,183 @@
+import config from "../config/environment.js";
+import logger from "../utils/logger.js";
+import { RETRY_CONFIG } from "../utils/constants.js";
+
+/**
+ * Webhook Outbox Service
+ * Persists backend webhooks in SQLite and delivers them in order per session,
+ * retrying with exponential backoff and dead-lettering exhausted events
+ */
+
+let databaseService = null;
+let workerRegistryService = null;
+let pollTimer = null;
+let processing = false;
+let initialized = false;
+
+const outboxConfig = {
+  enabled: config.webhook.outboxEnabled,
+  pollInterval: config.webhook.pollInterval,
+  batchSize: config.webhook.batchSize,
+  maxAttempts: RETRY_CONFIG.WEBHOOK.attempts,
+  baseDelay: RETRY_CONFIG.WEBHOOK.delay,
+  backoff: RETRY_CONFIG.WEBHOOK.backoff,
+  maxDelay: RETRY_CONFIG.WEBHOOK.maxDelay,
+};
+
+const setServices = (services) => {
+  databaseService = services.database;
+  workerRegistryService = services.workerRegistry;
+};
+
+const initialize = async () => {
+  if (!outboxConfig.enabled) {
+    logger.info("Webhook outbox disabled, webhooks will be sent directly");
+    return;
+  }
+
+  pollTimer = setInterval(() => {
+    processOutbox().catch((error) => {
+      logger.error("Webhook outbox processing failed:", error);
+    });
+  }, outboxConfig.pollInterval);
+
+  initialized = true;
+  logger.info("Webhook outbox service initialized", {
+    pollInterval: outboxConfig.pollInterval,
+    maxAttempts: outboxConfig.maxAttempts,
+  });
+};
+
+const isEnabled = () => {
+  return initialized && !!databaseService?.isInitialized();
+};
+
+const getRetryDelay = (attempts) => {
+  const delay =
+    outboxConfig.baseDelay * Math.pow(outboxConfig.backoff, attempts - 1);
+  return Math.min(delay, outboxConfig.maxDelay);
+};
+
+/**
+ * Store a webhook for delivery
+ * @param {object} webhook - { sessionId, event, endpoint, payload }
+ */
+const enqueue = async (webhook) => {
+  const { id } = await databaseService.enqueueWebhook(webhook);
+  logger.debug(`Webhook ${id} queued for delivery`, {
+    sessionId: webhook.sessionId,
+    event: webhook.event,
+  });
+
+  // Deliver right away instead of waiting for the next poll
+  setImmediate(() => {
+    processOutbox().catch((error) => {
+      logger.error("Webhook outbox processing failed:", error);
+    });
+  });
+
+  return id;
+};
+
+const deliver = async (webhook) => {
+  const attempts = webhook.attempts + 1;
+
+  try {
+    await workerRegistryService.deliverWebhook({
+      sessionId: webhook.session_id,
+      event: webhook.event,
+      endpoint: webhook.endpoint,
+      payload: JSON.parse(webhook.payload),
+    });
+    await databaseService.deleteWebhook(webhook.id);
+  } catch (error) {
+    // Client errors other than timeouts / throttling will not succeed on retry
+    const httpStatus = error.response?.status;
+    const retryable =
+      !httpStatus ||
+      httpStatus >= 500 ||
+      httpStatus === 408 ||
+      httpStatus === 429;
+
+    if (!retryable || attempts >= outboxConfig.maxAttempts) {
+      await databaseService.moveWebhookToDeadLetter(
+        webhook,
+        attempts,
+        error.message
+      );
+      return;
+    }
+
+    const nextAttemptAt = new Date(
+      Date.now() + getRetryDelay(attempts)
+    ).toISOString();
+    await databaseService.scheduleWebhookRetry(
+      webhook.id,
+      attempts,
+      nextAttemptAt,
+      error.message
+    );
+    logger.warn(`Webhook ${webhook.id} delivery failed, retry scheduled`, {
+      sessionId: webhook.session_id,
+      event: webhook.event,
+      attempts,
+      nextAttemptAt,
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Deliver every due webhook. Each pass sends at most the head event of each
+ * session, so per-session ordering is preserved.
+ */
+const processOutbox = async () => {
+  if (processing || !isEnabled()) {
+    return;
+  }
+  // Hold events until the worker is registered with the backend
+  if (!workerRegistryService?.isInitialized()) {
+    return;
+  }
+
+  processing = true;
+  try {
+    let webhooks = await databaseService.getDueWebhooks(
+      outboxConfig.batchSize
+    );
+
+    while (webhooks.length > 0) {
+      await Promise.all(webhooks.map((webhook) => deliver(webhook)));
+      webhooks = await databaseService.getDueWebhooks(outboxConfig.batchSize);
+    }
+  } finally {
+    processing = false;
+  }
+};
+
+const getStats = () => {
+  return {
+    enabled: isEnabled(),
+    maxAttempts: outboxConfig.maxAttempts,
+    ...(databaseService?.getWebhookOutboxStats() || {}),
+  };
+};
+
+const shutdown = async () => {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+  initialized = false;
+  logger.info("Webhook outbox service shutdown complete");
+};
+
+export default {
+  setServices,
+  initialize,
+  isEnabled,
+  enqueue,
+  processOutbox,
+  getStats,
+  shutdown,
+};
@@ -3,11 +3,16 @@ import config from "../config/environment.js";
 import logger from "../utils/logger.js";
 
 let baileysService = null;
+let webhookOutboxService = null;
 let heartbeatInterval = null;
 let initialized = false;
 let registrationRetries = 0;
 let recoveryRequired = false;
 
+// Short-lived events are sent once and never queued: a "typing" event
+// replayed after a retry delay would show stale state
+const EPHEMERAL_EVENTS = ["presence_update"];
+
 const serviceConfig = {
   backendUrl: config.backend.url,
   workerId: config.server.workerId,
@@ -17,20 +22,23 @@ const serviceConfig = {
   heartbeatIntervalMs: config.backend.heartbeatInterval,
   maxRegistrationRetries: config.backend.maxRegistrationRetries,
   registrationRetryInterval: config.backend.registrationRetryInterval,
+  webhookTimeout: config.webhook.timeout,
 };
 
 const setServices = (services) => {
   baileysService = services.baileys;
+  webhookOutboxService = services.webhookOutbox;
 };
 
+const isRegistrationDisabled = () =>
+  process.env.BACKEND_REGISTRATION_ENABLED === "false" ||
+  process.env.STANDALONE_MODE === "true";
+
 const initialize = async () => {
   try {
     logger.info("Initializing Worker Registry service...");
 
-    if (
-      process.env.BACKEND_REGISTRATION_ENABLED === "false" ||
-      process.env.STANDALONE_MODE === "true"
-    ) {
+    if (isRegistrationDisabled()) {
       logger.info(
         "Backend registration disabled (standalone mode), worker registry will be disabled"
       );
@@ -57,10 +65,7 @@ const startRegistration = async () => {
   try {
     logger.info("Starting worker registration process...");
 
-    if (
-      process.env.BACKEND_REGISTRATION_ENABLED === "false" ||
-      process.env.STANDALONE_MODE === "true"
-    ) {
+    if (isRegistrationDisabled()) {
       logger.info("Backend registration disabled, skipping registration");
       return;
     }
@@ -225,6 +230,7 @@ const getEnhancedHeartbeatPayload = async () => {
             status = "CONNECTED";
             break;
           case "qr_ready":
+          case "pairing_code_ready":
             status = "QR_REQUIRED";
             break;
           case "reconnecting":
@@ -299,11 +305,54 @@ const formatPhoneNumber = (whatsappId) => {
   }
 };
 
+/**
+ * POST a webhook to the backend. Throws when delivery fails so callers
+ * (the webhook outbox) can schedule a retry.
+ * @param {object} webhook - { sessionId, event, endpoint, payload }
+ */
+const deliverWebhook = async ({ sessionId, event, endpoint, payload }) => {
+  logger.info("Sending webhook to backend:", {
+    sessionId,
+    event,
+    endpoint,
+    method: "POST",
+    payload: JSON.stringify(payload, null, 2),
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${serviceConfig.workerAuthToken ? serviceConfig.workerAuthToken.substring(0, 10) + "..." : "NOT_SET"}`,
+    },
+    timeout: serviceConfig.webhookTimeout,
+  });
+
+  if (!serviceConfig.workerAuthToken) {
+    throw new Error("Worker auth token not configured");
+  }
+
+  const response = await axios.post(endpoint, payload, {
+    timeout: serviceConfig.webhookTimeout,
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${serviceConfig.workerAuthToken}`,
+    },
+  });
+
+  logger.info("Webhook sent successfully:", {
+    sessionId,
+    event,
+    status: payload.status || event,
+    endpoint,
+    method: "POST",
+    responseStatus: response.status,
+    responseData: response.data,
+    phoneNumber: payload.phoneNumber || "N/A",
+    displayName: payload.displayName || "N/A",
+  });
+
+  return response;
+};
+
 const notifyBackend = async (event, sessionId, data = {}) => {
-  if (!initialized) {
-    logger.warn(
-      "Worker Registry not initialized, skipping backend notification"
-    );
+  if (isRegistrationDisabled()) {
     return;
   }
   if (!event || !sessionId) {
@@ -332,6 +381,34 @@ const notifyBackend = async (event, sessionId, data = {}) => {
         timestamp: new Date().toISOString(),
         ...data,
       };
+    } else if (event === "message_received") {
+      endpoint = `${serviceConfig.backendUrl}/api/webhooks/message-received`;
+      payload = {
+        sessionId,
+        workerId: serviceConfig.workerId,
+        timestamp: new Date().toISOString(),
+        message: data,
+      };
+    } else if (event === "presence_update") {
+      endpoint = `${serviceConfig.backendUrl}/api/webhooks/presence`;
+      payload = {
+        sessionId,
+        workerId: serviceConfig.workerId,
+        timestamp: new Date().toISOString(),
+        ...data,
+      };
+    } else if (
+      event === "group_updated" ||
+      event === "group_participants_updated"
+    ) {
+      endpoint = `${serviceConfig.backendUrl}/api/webhooks/group-event`;
+      payload = {
+        sessionId,
+        workerId: serviceConfig.workerId,
+        event,
+        timestamp: new Date().toISOString(),
+        ...data,
+      };
     } else {
       endpoint = `${serviceConfig.backendUrl}/api/webhooks/session-status`;
       let status;
@@ -340,9 +417,11 @@ const notifyBackend = async (event, sessionId, data = {}) => {
           status = "INIT";
           break;
         case "qr_ready":
+        case "pairing_code_ready":
           status = "QR_REQUIRED";
           break;
         case "connected":
+        case "profile_updated":
           status = "CONNECTED";
           break;
         case "disconnected":
@@ -370,6 +449,13 @@ const notifyBackend = async (event, sessionId, data = {}) => {
       if (status === "QR_REQUIRED" && data.qrString) {
         payload.qrCode = data.qrString; // Send raw QR string instead of Base64 image
         payload.workerId = serviceConfig.workerId; // Add workerId as required by backend
+      } else if (status === "QR_REQUIRED" && data.pairingCode) {
+        // Pairing code login: the code is typed on the phone instead of a scan
+        payload.pairingMethod = "code";
+        payload.pairingCode = data.pairingCode;
+        payload.phoneNumber = formatPhoneNumber(data.phoneNumber);
+        payload.expiresAt = data.expiresAt;
+        payload.workerId = serviceConfig.workerId;
       } else if (status === "CONNECTED" && data.phoneNumber) {
         const formattedPhoneNumber = formatPhoneNumber(data.phoneNumber);
         if (formattedPhoneNumber) {
@@ -403,47 +489,42 @@ const notifyBackend = async (event, sessionId, data = {}) => {
       }
     }
 
-    logger.info("Sending webhook to backend:", {
-      sessionId,
-      event,
-      endpoint,
-      method: "POST",
-      payload: JSON.stringify(payload, null, 2),
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${serviceConfig.workerAuthToken ? serviceConfig.workerAuthToken.substring(0, 10) + "..." : "NOT_SET"}`,
-      },
-      timeout: 5000,
-    });
-
     if (!endpoint || !payload) {
       throw new Error(
         `Invalid webhook configuration: endpoint=${endpoint}, payload=${!!payload}`
       );
     }
-    if (!serviceConfig.workerAuthToken) {
-      throw new Error("Worker auth token not configured");
+
+    // Queued webhooks wait in the outbox until the worker is registered, so
+    // events raised during startup or a backend outage are not lost
+    if (
+      webhookOutboxService?.isEnabled() &&
+      !EPHEMERAL_EVENTS.includes(event)
+    ) {
+      try {
+        await webhookOutboxService.enqueue({
+          sessionId,
+          event,
+          endpoint,
+          payload,
+        });
+        return;
+      } catch (error) {
+        logger.error(
+          "Failed to queue webhook in outbox, sending directly:",
+          error
+        );
+      }
     }
 
-    const response = await axios.post(endpoint, payload, {
-      timeout: 5000,
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${serviceConfig.workerAuthToken}`,
-      },
-    });
+    if (!initialized) {
+      logger.warn(
+        "Worker Registry not initialized, skipping backend notification"
+      );
+      return;
+    }
 
-    logger.info("Webhook sent successfully:", {
-      sessionId,
-      event,
-      status: payload.status || event,
-      endpoint,
-      method: "POST",
-      responseStatus: response.status,
-      responseData: response.data,
-      phoneNumber: payload.phoneNumber || "N/A",
-      displayName: payload.displayName || "N/A",
-    });
+    await deliverWebhook({ sessionId, event, endpoint, payload });
   } catch (error) {
     logger.error("Failed to send webhook:", {
       sessionId,
@@ -456,7 +537,7 @@ const notifyBackend = async (event, sessionId, data = {}) => {
       httpStatus: error.response?.status,
       responseData: error.response?.data,
       requestConfig: {
-        timeout: 5000,
+        timeout: serviceConfig.webhookTimeout,
         headers: {
           "Content-Type": "application/json",
           Authorization: `Bearer ${serviceConfig.workerAuthToken ? serviceConfig.workerAuthToken.substring(0, 10) + "..." : "NOT_SET"}`,
@@ -657,6 +738,7 @@ export default {
   initialize,
   startRegistration,
   notifyBackend,
+  deliverWebhook,
   getAssignedSessions,
   reportRecoveryStatus,
   notifySessionsPreserved,
@@ -0,0 +1,85 @@
+import { normalizeMessage, toNumber } from "./message-parser.js";
+
+/**
+ * Chat Parser Utilities
+ * Normalize Baileys chats.upsert / chats.update entries and chat messages
+ * into the fields stored for the chat list
+ */
+
+// Message types that do not move a chat to the top of the list
+const SILENT_MESSAGE_TYPES = ["reaction", "poll_vote", "protocol", "unknown"];
+
+// WhatsApp sends mute end times in seconds (history sync) or milliseconds
+// (app state sync); -1 means muted until unmuted
+const toMuteEndTime = (value) => {
+  const muteEndTime = toNumber(value);
+  if (!muteEndTime) {
+    return 0;
+  }
+  if (muteEndTime < 0) {
+    return -1;
+  }
+  return muteEndTime < 1e12 ? muteEndTime * 1000 : muteEndTime;
+};
+
+/**
+ * Normalize one chats.upsert / chats.update entry (a partial Chat). Only the
+ * fields present in the entry are returned, so a partial update does not
+ * reset the stored values of the others.
+ * @param {object} chat - Partial Chat
+ * @returns {object} - Chat fields (name, unreadCount, archived, pinned,
+ * mutedUntil, conversationTimestamp)
+ */
+export const normalizeChatUpdate = (chat) => {
+  const fields = {};
+
+  if (chat.name !== undefined) {
+    fields.name = chat.name || null;
+  }
+  if (chat.unreadCount !== undefined && chat.unreadCount !== null) {
+    fields.unreadCount = chat.unreadCount;
+  }
+  if (chat.archived !== undefined) {
+    fields.archived = !!chat.archived;
+  }
+  // pinned is the pin timestamp, or null / 0 once unpinned
+  if (chat.pinned !== undefined) {
+    fields.pinned = !!toNumber(chat.pinned);
+  }
+  if (chat.muteEndTime !== undefined) {
+    fields.mutedUntil = toMuteEndTime(chat.muteEndTime);
+  }
+  if (chat.conversationTimestamp) {
+    fields.conversationTimestamp = toNumber(chat.conversationTimestamp);
+  }
+
+  return fields;
+};
+
+/**
+ * Get the last message fields of a chat from a WAMessage
+ * @param {object} message - WAMessage
+ * @returns {object|null} - Last message fields, or null if the message does
+ * not count as the chat's last message (reactions, protocol messages)
+ */
+export const getChatLastMessage = (message) => {
+  const normalized = normalizeMessage(message);
+  if (SILENT_MESSAGE_TYPES.includes(normalized.type)) {
+    return null;
+  }
+
+  return {
+    lastMessageId: normalized.messageId,
+    lastMessageFromMe: normalized.fromMe,
+    lastMessageParticipant: normalized.participant,
+    lastMessageType: normalized.type,
+    lastMessageText: normalized.text,
+    lastMessageTimestamp:
+      toNumber(message.messageTimestamp) || Math.floor(Date.now() / 1000),
+  };
+};
+
+export default {
+  normalizeChatUpdate,
+  getChatLastMessage,
+};
@@ -74,9 +74,15 @@ export const ERROR_CODES = {
   INVALID_PHONE_NUMBER: "INVALID_PHONE_NUMBER",
   RECIPIENT_NOT_FOUND: "RECIPIENT_NOT_FOUND",
 
+  // Group Errors
+  GROUP_NOT_FOUND: "GROUP_NOT_FOUND",
+  GROUP_PERMISSION_DENIED: "GROUP_PERMISSION_DENIED",
+  INVALID_INVITE_CODE: "INVALID_INVITE_CODE",
+
   // File Upload Errors
   FILE_TOO_LARGE: "FILE_TOO_LARGE",
   INVALID_FILE_TYPE: "INVALID_FILE_TYPE",
+  MEDIA_DOWNLOAD_FAILED: "MEDIA_DOWNLOAD_FAILED",
   FILE_UPLOAD_FAILED: "FILE_UPLOAD_FAILED",
   FILE_NOT_FOUND: "FILE_NOT_FOUND",
 
@@ -113,8 +119,10 @@ export const ERROR_CODES = {
 export const SESSION_STATUS = {
   INITIALIZING: "initializing",
   QR_READY: "qr_ready",
+  PAIRING_CODE_READY: "pairing_code_ready",
   CONNECTING: "connecting",
   CONNECTED: "connected",
+  RECONNECTING: "reconnecting",
   DISCONNECTED: "disconnected",
   FAILED: "failed",
   DESTROYED: "destroyed",
@@ -129,6 +137,7 @@ export const MESSAGE_TYPES = {
   IMAGE: "image",
   DOCUMENT: "document",
   AUDIO: "audio",
+  VOICE: "voice", // Audio sent as a PTT voice note
   VIDEO: "video",
   STICKER: "sticker",
   LOCATION: "location",
@@ -150,6 +159,29 @@ export const MESSAGE_ACTIONS = {
   EDIT: "edit",
   REACTION: "reaction",
   READ: "read",
+  FORWARD: "forward",
+};
+
+// Chat actions (synced to every linked device through app state)
+export const CHAT_ACTIONS = {
+  ARCHIVE: "archive",
+  UNARCHIVE: "unarchive",
+  PIN: "pin",
+  UNPIN: "unpin",
+  MUTE: "mute",
+  UNMUTE: "unmute",
+  MARK_READ: "mark_read",
+  MARK_UNREAD: "mark_unread",
+  DELETE: "delete",
+  CLEAR: "clear",
+};
+
+// Group participant actions
+export const GROUP_PARTICIPANT_ACTIONS = {
+  ADD: "add",
+  REMOVE: "remove",
+  PROMOTE: "promote",
+  DEMOTE: "demote",
 };
 
 /**
@@ -162,6 +194,29 @@ export const MESSAGE_STATUS = {
   DELIVERED: "delivered",
   READ: "read",
   FAILED: "failed",
+  RECEIVED: "received", // Inbound messages
+};
+
+/**
+ * Message Direction
+ * Whether a stored message was received or sent by the session account
+ */
+export const MESSAGE_DIRECTION = {
+  INBOUND: "inbound",
+  OUTBOUND: "outbound",
+};
+
+/**
+ * Message Ack Status
+ * Baileys WAMessageStatus ack codes mapped to MESSAGE_STATUS
+ */
+export const MESSAGE_ACK_STATUS = {
+  0: MESSAGE_STATUS.FAILED, // ERROR
+  1: MESSAGE_STATUS.PENDING, // PENDING
+  2: MESSAGE_STATUS.SENT, // SERVER_ACK
+  3: MESSAGE_STATUS.DELIVERED, // DELIVERY_ACK
+  4: MESSAGE_STATUS.READ, // READ
+  5: MESSAGE_STATUS.READ, // PLAYED (voice notes / videos)
 };
 
 /**
@@ -199,6 +254,24 @@ export const FILE_UPLOAD = {
     "video/quicktime",
     "video/webm",
   ],
+  get ALLOWED_TYPES() {
+    return [
+      ...this.ALLOWED_IMAGE_TYPES,
+      ...this.ALLOWED_DOCUMENT_TYPES,
+      ...this.ALLOWED_AUDIO_TYPES,
+      ...this.ALLOWED_VIDEO_TYPES,
+    ];
+  },
+  // Largest file WhatsApp accepts per message type, applied to media sent
+  // from a URL (voice notes and stickers: the source file before conversion)
+  MAX_MEDIA_SIZE: {
+    [MESSAGE_TYPES.IMAGE]: 16 * 1024 * 1024, // 16MB
+    [MESSAGE_TYPES.VIDEO]: 64 * 1024 * 1024, // 64MB
+    [MESSAGE_TYPES.AUDIO]: 16 * 1024 * 1024, // 16MB
+    [MESSAGE_TYPES.VOICE]: 16 * 1024 * 1024, // 16MB
+    [MESSAGE_TYPES.STICKER]: 16 * 1024 * 1024, // 16MB
+    [MESSAGE_TYPES.DOCUMENT]: 100 * 1024 * 1024, // 100MB
+  },
 };
 
 /**
@@ -244,6 +317,7 @@ export const CACHE_TTL = {
   WORKER_METRICS: 60, // 1 minute
   MESSAGE_HISTORY: 300, // 5 minutes
   USER_SESSION: 3600, // 1 hour
+  CONTACT_PROFILE: 3600, // 1 hour (picture URLs expire after a few hours)
 };
 
 /**
@@ -271,6 +345,12 @@ export const RETRY_CONFIG = {
     delay: 1000,
     backoff: 2,
   },
+  WEBHOOK: {
+    attempts: 10,
+    delay: 2000,
+    backoff: 2,
+    maxDelay: 10 * 60 * 1000, // 10 minutes
+  },
 };
 
 /**
@@ -284,13 +364,41 @@ export const VALIDATION = {
     PATTERN: /^[a-zA-Z0-9_-]+$/,
   },
   PHONE_NUMBER: {
-    PATTERN: /^(\+?62|62|0)8[1-9][0-9]{6,11}$/,
-    MIN_LENGTH: 10,
+    PATTERN: /^\+[1-9][0-9]{6,14}$/, // E.164
+    MIN_LENGTH: 7,
     MAX_LENGTH: 15,
   },
   MESSAGE: {
     MAX_LENGTH: 4096,
     MIN_LENGTH: 1,
+    MAX_MENTIONS: 1024, // WhatsApp group size limit
+    MAX_FORWARD_TARGETS: 20,
+  },
+  BULK_MESSAGE: {
+    MAX_RECIPIENTS: 5000,
+    MAX_DELAY: 5 * 60 * 1000, // 5 minutes between recipients
+  },
+  CONTACT_CHECK: {
+    MAX_NUMBERS: 500,
+  },
+  PRESENCE: {
+    MAX_SUBSCRIPTIONS: 100,
+  },
+  PROFILE: {
+    DISPLAY_NAME_MAX_LENGTH: 25,
+    ABOUT_MAX_LENGTH: 139,
+  },
+  GROUP: {
+    SUBJECT_MAX_LENGTH: 100,
+    DESCRIPTION_MAX_LENGTH: 2048,
+    MAX_PARTICIPANTS: 1024,
+  },
+  MESSAGE_SEARCH: {
+    QUERY_MAX_LENGTH: 200,
+  },
+  CHAT: {
+    MUTE_MIN_DURATION: 60, // seconds
+    MUTE_MAX_DURATION: 365 * 24 * 60 * 60, // seconds
   },
   API_KEY: {
     MIN_LENGTH: 32,
@@ -362,13 +470,15 @@ export const DEFAULTS = {
  * Common regex patterns used throughout the application
  */
 export const REGEX = {
-  PHONE_NUMBER: /^(\+?62|62|0)8[1-9][0-9]{6,11}$/,
+  PHONE_NUMBER: /^\+[1-9][0-9]{6,14}$/, // E.164
   SESSION_ID: /^[a-zA-Z0-9_-]+$/,
   API_KEY: /^[a-zA-Z0-9]{32,}$/,
   EMAIL: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
   UUID: /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i,
   FILENAME: /^[a-zA-Z0-9._-]+$/,
-  WHATSAPP_ID: /^[0-9]{10,15}@s\.whatsapp\.net$/,
+  WHATSAPP_ID: /^[0-9]{7,15}@s\.whatsapp\.net$/,
+  GROUP_JID: /^[0-9]{5,}(-[0-9]+)?@g\.us$/,
+  LID_JID: /^[0-9]+@lid$/,
 };
 
 /**
@@ -389,8 +499,26 @@ export const TIME = {
  * Order in which services should be initialized and shut down
  */
 export const SERVICE_ORDER = {
-  INIT: ["storage", "database", "redis", "baileys", "workerRegistry"],
-  SHUTDOWN: ["workerRegistry", "baileys", "redis", "storage", "database"],
+  INIT: [
+    "storage",
+    "database",
+    "redis",
+    "webhookOutbox",
+    "messageQueue",
+    "broadcast",
+    "baileys",
+    "workerRegistry",
+  ],
+  SHUTDOWN: [
+    "messageQueue",
+    "broadcast",
+    "workerRegistry",
+    "baileys",
+    "webhookOutbox",
+    "redis",
+    "storage",
+    "database",
+  ],
 };
 
 /**
@@ -402,6 +530,7 @@ export default {
   SESSION_STATUS,
   MESSAGE_TYPES,
   MESSAGE_STATUS,
+  MESSAGE_ACK_STATUS,
   WORKER_STATUS,
   FILE_UPLOAD,
   RATE_LIMITS,
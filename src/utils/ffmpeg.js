@@ -0,0 +1,54 @@
+import { spawn } from "child_process";
+import ffmpegStatic from "ffmpeg-static";
+import config from "../config/environment.js";
+
+const FFMPEG_TIMEOUT = 60 * 1000;
+const MAX_STDERR_LENGTH = 16 * 1024;
+
+// FFMPEG_PATH wins over the bundled binary; ffmpeg on the PATH is the last
+// resort (ffmpeg-static has no binary for some platforms)
+export const getFfmpegPath = () =>
+  config.whatsapp.ffmpegPath || ffmpegStatic || "ffmpeg";
+
+/**
+ * Run ffmpeg and collect its output
+ * @param {string[]} args - ffmpeg arguments
+ * @returns {Promise<object>} - { stdout: Buffer, stderr: string } (stderr
+ * holds the input details unless the log level is lowered)
+ */
+export const runFfmpeg = (args) =>
+  new Promise((resolve, reject) => {
+    const ffmpeg = spawn(getFfmpegPath(), args);
+    const stdout = [];
+    let stderr = "";
+
+    const timeout = setTimeout(() => {
+      ffmpeg.kill("SIGKILL");
+      reject(new Error("ffmpeg timed out"));
+    }, FFMPEG_TIMEOUT);
+
+    ffmpeg.stdout.on("data", (chunk) => stdout.push(chunk));
+    ffmpeg.stderr.on("data", (chunk) => {
+      if (stderr.length < MAX_STDERR_LENGTH) {
+        stderr += chunk;
+      }
+    });
+    ffmpeg.on("error", (error) => {
+      clearTimeout(timeout);
+      reject(new Error(`Failed to run ffmpeg: ${error.message}`));
+    });
+    ffmpeg.on("close", (code) => {
+      clearTimeout(timeout);
+      if (code === 0) {
+        resolve({ stdout: Buffer.concat(stdout), stderr });
+      } else {
+        const lastLine = stderr.trim().split("\n").pop();
+        reject(new Error(`ffmpeg exited with code ${code}: ${lastLine}`));
+      }
+    });
+  });
+
+export default {
+  getFfmpegPath,
+  runFfmpeg,
+};
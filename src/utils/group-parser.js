@@ -0,0 +1,69 @@
+/**
+ * Group Event Parser Utilities
+ * Normalize Baileys groups.update / group-participants.update events into
+ * plain webhook payloads
+ */
+
+// GroupMetadata keys -> normalized change names
+const GROUP_CHANGE_MAP = {
+  subject: "subject",
+  desc: "description",
+  announce: "announce",
+  restrict: "locked",
+  ephemeralDuration: "ephemeralDuration",
+  memberAddMode: "memberAddMode",
+  joinApprovalMode: "joinApprovalMode",
+};
+
+/**
+ * Normalize one groups.update entry (a partial GroupMetadata)
+ * @param {object} update - Partial GroupMetadata with the changed fields
+ * @returns {object|null} - { groupId, author, changes }, or null if nothing
+ * the backend tracks has changed
+ */
+export const normalizeGroupUpdate = (update) => {
+  const changes = {};
+  for (const [key, name] of Object.entries(GROUP_CHANGE_MAP)) {
+    if (update[key] !== undefined) {
+      changes[name] = update[key];
+    }
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return null;
+  }
+
+  return {
+    groupId: update.id,
+    author: update.author || null,
+    changes,
+  };
+};
+
+/**
+ * Normalize a group-participants.update event
+ * @param {object} update - { id, author, participants, action }
+ * @param {string|null} ownJid - JID of the session account
+ * @returns {object} - { groupId, author, action, participants, includesSelf }
+ */
+export const normalizeGroupParticipantsUpdate = (update, ownJid = null) => {
+  // Participants are JIDs, or { id } objects in newer Baileys versions
+  const participants = (update.participants || []).map((participant) =>
+    typeof participant === "string" ? participant : participant.id
+  );
+  const ownUser = ownJid ? ownJid.split(":")[0].split("@")[0] : null;
+
+  return {
+    groupId: update.id,
+    author: update.author || null,
+    action: update.action,
+    participants,
+    includesSelf:
+      !!ownUser && participants.some((jid) => jid.split("@")[0] === ownUser),
+  };
+};
+
+export default {
+  normalizeGroupUpdate,
+  normalizeGroupParticipantsUpdate,
+};
@@ -1,4 +1,10 @@
 import { HTTP_STATUS, ERROR_CODES, REGEX, VALIDATION } from "./constants.js";
+import {
+  toWhatsAppId,
+  normalizePhoneNumber,
+  isValidRecipient,
+  isUserJid,
+} from "./phone-number.js";
 
 class ApiResponse {
   /**
@@ -171,61 +177,33 @@ class Utils {
   }
 
   /**
-   * Format phone number for WhatsApp
-   * @param {string} phoneNumber - Phone number in any format
-   * @returns {string} - Formatted WhatsApp ID (number@s.whatsapp.net)
+   * Format a recipient for WhatsApp
+   * @param {string} phoneNumber - Phone number in any format, or a user / group / LID JID
+   * @returns {string} - WhatsApp JID (number@s.whatsapp.net, id@g.us or id@lid)
    */
   static formatWhatsAppId(phoneNumber) {
-    // If already in WhatsApp format, return as is
-    if (phoneNumber.includes("@s.whatsapp.net")) {
-      return phoneNumber;
-    }
-
-    // Remove all non-numeric characters except +
-    let cleaned = phoneNumber.replace(/[^\d+]/g, "");
-
-    // Handle different input formats
-    if (cleaned.startsWith("+")) {
-      // International format: +6287733760363 -> 6287733760363
-      cleaned = cleaned.substring(1);
-    } else if (cleaned.startsWith("0")) {
-      // Local format: 087733760363 -> 6287733760363 (assuming Indonesian)
-      cleaned = "62" + cleaned.substring(1);
-    } else if (cleaned.length >= 10 && !cleaned.startsWith("62")) {
-      // Assume it's a local number without leading 0: 87733760363 -> 6287733760363
-      cleaned = "62" + cleaned;
-    }
-
-    // Ensure we have at least a valid length (minimum 10 digits after country code)
-    if (cleaned.length < 10) {
-      throw new Error("Invalid phone number: too short");
-    }
-
-    return `${cleaned}@s.whatsapp.net`;
+    return toWhatsAppId(phoneNumber);
   }
 
   /**
-   * Validate phone number format (accepts any reasonable phone number format)
-   * @param {string} phoneNumber - Phone number to validate
+   * Validate phone number format (international, or national for the default country)
+   * @param {string} phoneNumber - Phone number or user JID to validate
    * @returns {boolean} - Is valid phone number
    */
   static isValidPhoneNumber(phoneNumber) {
-    // If already in WhatsApp format, validate the number part
-    if (phoneNumber.includes("@s.whatsapp.net")) {
-      const numberPart = phoneNumber.split("@")[0];
-      return /^\d{10,15}$/.test(numberPart);
+    if (typeof phoneNumber === "string" && phoneNumber.includes("@")) {
+      return isUserJid(phoneNumber);
     }
+    return normalizePhoneNumber(phoneNumber) !== null;
+  }
 
-    // Remove all non-numeric characters except +
-    const cleaned = phoneNumber.replace(/[^\d+]/g, "");
-
-    // Check various formats:
-    // International: +1234567890 to +123456789012345
-    // Local with country code: 1234567890 to 123456789012345
-    // Local format: 0123456789 to 012345678901234
-    const phoneRegex = /^(\+?\d{10,15}|0\d{9,14})$/;
-
-    return phoneRegex.test(cleaned) && cleaned.length >= 10;
+  /**
+   * Validate a message recipient (phone number, user JID, group JID or LID JID)
+   * @param {string} recipient - Recipient to validate
+   * @returns {boolean} - Is valid recipient
+   */
+  static isValidRecipient(recipient) {
+    return isValidRecipient(recipient);
   }
 
   /**
@@ -342,6 +320,31 @@ class Utils {
 
     return result;
   }
+
+  /**
+   * Encode a pagination cursor as an opaque URL-safe string
+   * @param {object} position - Position of the last item of a page
+   * @returns {string} - Cursor
+   */
+  static encodeCursor(position) {
+    return Buffer.from(JSON.stringify(position)).toString("base64url");
+  }
+
+  /**
+   * Decode a cursor created by encodeCursor
+   * @param {string} cursor - Cursor
+   * @returns {object|null} - Position, or null if the cursor is malformed
+   */
+  static decodeCursor(cursor) {
+    try {
+      const position = JSON.parse(
+        Buffer.from(cursor, "base64url").toString("utf8")
+      );
+      return position && typeof position === "object" ? position : null;
+    } catch (error) {
+      return null;
+    }
+  }
 }
 
 export { ApiResponse, Utils };
@@ -0,0 +1,168 @@
+import { tmpdir } from "os";
+import { join } from "path";
+import { createReadStream } from "fs";
+import fs from "fs/promises";
+import { fileTypeFromBuffer } from "file-type";
+import sharp from "sharp";
+import { runFfmpeg } from "./ffmpeg.js";
+
+// WhatsApp shows jpegThumbnail as a blurred placeholder while media loads
+const THUMBNAIL_WIDTH = 32;
+
+// Bytes file-type needs to recognise any format it supports
+export const SNIFF_LENGTH = 4100;
+
+// file-type reports old Office files only as their container format, so the
+// declared mimetype is more specific
+const CONTAINER_TYPES = ["application/x-cfb"];
+
+/**
+ * Detect a file's mimetype from its content
+ * @param {Buffer} buffer - File content
+ * @param {string|null} declaredMimetype - Mimetype from the upload or the
+ * HTTP response, used for formats without a signature (text, CSV)
+ * @returns {string|null} - Mimetype
+ */
+export const detectMimetype = async (buffer, declaredMimetype = null) => {
+  const detected = await fileTypeFromBuffer(buffer);
+  if (!detected || CONTAINER_TYPES.includes(detected.mime)) {
+    return declaredMimetype;
+  }
+  return detected.mime;
+};
+
+/**
+ * Read image dimensions and build a JPEG thumbnail
+ * @param {Buffer|string} input - Image, or the path of an image file
+ * @returns {object} - { width, height, jpegThumbnail }
+ */
+export const getImageInfo = async (input) => {
+  const { width, height, orientation } = await sharp(input).metadata();
+  const jpegThumbnail = await sharp(input)
+    .rotate()
+    .resize(THUMBNAIL_WIDTH)
+    .jpeg({ quality: 50 })
+    .toBuffer();
+
+  // EXIF orientations 5-8 are rotated by 90 degrees
+  const rotated = orientation >= 5;
+  return {
+    width: rotated ? height : width,
+    height: rotated ? width : height,
+    jpegThumbnail,
+  };
+};
+
+const parseDuration = (stderr) => {
+  const match = stderr.match(/Duration: (\d+):(\d+):(\d+(?:\.\d+)?)/);
+  if (!match) {
+    return null;
+  }
+  const [, hours, minutes, seconds] = match.map(Number);
+  return Math.round(hours * 3600 + minutes * 60 + seconds);
+};
+
+const parseDimensions = (stderr) => {
+  const match = stderr.match(/Video:.*?\b(\d{2,5})x(\d{2,5})\b/);
+  return match
+    ? { width: Number(match[1]), height: Number(match[2]) }
+    : { width: null, height: null };
+};
+
+const readVideoInfo = async (inputPath) => {
+  // ffmpeg prints the input details (duration, stream sizes) to stderr
+  const { stdout, stderr } = await runFfmpeg([
+    "-hide_banner",
+    "-i",
+    inputPath,
+    "-frames:v",
+    "1",
+    "-vf",
+    `scale=${THUMBNAIL_WIDTH}:-2`,
+    "-c:v",
+    "mjpeg",
+    "-f",
+    "image2pipe",
+    "pipe:1",
+  ]);
+
+  return {
+    ...parseDimensions(stderr),
+    seconds: parseDuration(stderr),
+    jpegThumbnail: stdout.length > 0 ? stdout : null,
+  };
+};
+
+/**
+ * Read video duration and dimensions and build a JPEG thumbnail of the first
+ * frame
+ * @param {Buffer|string} input - Video, or the path of a video file
+ * @returns {object} - { width, height, seconds, jpegThumbnail }
+ */
+export const getVideoInfo = async (input) => {
+  if (!Buffer.isBuffer(input)) {
+    return readVideoInfo(input);
+  }
+
+  // Files go to disk because MP4 / QuickTime cannot be read from a pipe
+  const workDir = await fs.mkdtemp(join(tmpdir(), "video-info-"));
+  const inputPath = join(workDir, "input");
+
+  try {
+    await fs.writeFile(inputPath, input);
+    return await readVideoInfo(inputPath);
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+const PDF_PAGE_PATTERN = /\/Type\s*\/Page\b/g;
+
+// Characters kept between chunks so a page object split across two chunks
+// is still found, and "/Page" at a chunk end is not taken for "/Pages"
+const PDF_CHUNK_OVERLAP = 64;
+
+const countPdfPages = async (path) => {
+  let count = 0;
+  let pending = "";
+
+  for await (const chunk of createReadStream(path, { encoding: "latin1" })) {
+    pending += chunk;
+    let consumed = 0;
+    for (const match of pending.matchAll(PDF_PAGE_PATTERN)) {
+      const end = match.index + match[0].length;
+      if (end > pending.length - PDF_CHUNK_OVERLAP / 2) {
+        break;
+      }
+      count++;
+      consumed = end;
+    }
+    pending = pending.slice(
+      Math.max(consumed, pending.length - PDF_CHUNK_OVERLAP)
+    );
+  }
+
+  return count + (pending.match(PDF_PAGE_PATTERN) || []).length;
+};
+
+/**
+ * Count the pages of a PDF from its page objects
+ * @param {Buffer|string} input - PDF, or the path of a PDF file (read in
+ * chunks, so large files are not loaded into memory)
+ * @returns {number|null} - Page count, or null when the page objects are
+ * compressed and cannot be counted without a PDF parser
+ */
+export const getPdfPageCount = async (input) => {
+  const count = Buffer.isBuffer(input)
+    ? (input.toString("latin1").match(PDF_PAGE_PATTERN) || []).length
+    : await countPdfPages(input);
+  return count > 0 ? count : null;
+};
+
+export default {
+  SNIFF_LENGTH,
+  detectMimetype,
+  getImageInfo,
+  getVideoInfo,
+  getPdfPageCount,
+};
@@ -0,0 +1,299 @@
+import {
+  getContentType,
+  normalizeMessageContent,
+  getAggregateVotesInPollMessage,
+  getKeyAuthor,
+  isJidGroup,
+  isJidStatusBroadcast,
+} from "@whiskeysockets/baileys";
+
+/**
+ * Message Parser Utilities
+ * Normalize raw Baileys WAMessage objects into plain payloads
+ */
+
+// Baileys content keys -> normalized message type
+const CONTENT_TYPE_MAP = {
+  conversation: "text",
+  extendedTextMessage: "text",
+  imageMessage: "image",
+  videoMessage: "video",
+  audioMessage: "audio",
+  documentMessage: "document",
+  stickerMessage: "sticker",
+  locationMessage: "location",
+  liveLocationMessage: "location",
+  contactMessage: "contact",
+  contactsArrayMessage: "contact",
+  reactionMessage: "reaction",
+  pollCreationMessage: "poll",
+  pollCreationMessageV2: "poll",
+  pollCreationMessageV3: "poll",
+  pollUpdateMessage: "poll_vote",
+  protocolMessage: "protocol",
+};
+
+/**
+ * Convert protobuf Long / number / string values to a plain number
+ * @param {*} value - Value to convert
+ * @returns {number|null} - Numeric value
+ */
+export const toNumber = (value) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (typeof value === "object" && typeof value.toNumber === "function") {
+    return value.toNumber();
+  }
+  const number = Number(value);
+  return Number.isNaN(number) ? null : number;
+};
+
+/**
+ * Unwrap ephemeral / view-once / document-with-caption containers
+ * @param {object} message - WAMessage
+ * @returns {{ content: object|null, contentType: string|null }}
+ */
+export const getMessageContent = (message) => {
+  const content = normalizeMessageContent(message?.message);
+  const contentType = content ? getContentType(content) : null;
+  return { content: content || null, contentType: contentType || null };
+};
+
+/**
+ * Get normalized message type for a WAMessage
+ * @param {object} message - WAMessage
+ * @returns {string} - Normalized message type
+ */
+export const getMessageType = (message) => {
+  const { contentType } = getMessageContent(message);
+  return CONTENT_TYPE_MAP[contentType] || "unknown";
+};
+
+/**
+ * Extract the text body (or caption) of a message
+ * @param {object} content - Unwrapped message content
+ * @param {string} contentType - Baileys content type key
+ * @returns {string|null} - Text or caption
+ */
+export const extractText = (content, contentType) => {
+  if (!content || !contentType) {
+    return null;
+  }
+  const inner = content[contentType];
+  if (contentType === "conversation") {
+    return inner || null;
+  }
+  return inner?.text || inner?.caption || null;
+};
+
+const parseMedia = (inner) => ({
+  mimetype: inner.mimetype || null,
+  fileName: inner.fileName || null,
+  fileLength: toNumber(inner.fileLength),
+  seconds: toNumber(inner.seconds),
+  width: inner.width || null,
+  height: inner.height || null,
+  pageCount: inner.pageCount || null,
+  ptt: inner.ptt || false,
+  gifPlayback: inner.gifPlayback || false,
+  isAnimated: inner.isAnimated || false,
+});
+
+const parseContextInfo = (inner) => {
+  const contextInfo = inner?.contextInfo;
+  if (!contextInfo) {
+    return { quoted: null, mentions: [], isForwarded: false };
+  }
+
+  let quoted = null;
+  if (contextInfo.stanzaId) {
+    const quotedContent = normalizeMessageContent(contextInfo.quotedMessage);
+    const quotedType = quotedContent ? getContentType(quotedContent) : null;
+    quoted = {
+      messageId: contextInfo.stanzaId,
+      participant: contextInfo.participant || null,
+      remoteJid: contextInfo.remoteJid || null,
+      type: CONTENT_TYPE_MAP[quotedType] || "unknown",
+      text: extractText(quotedContent, quotedType),
+    };
+  }
+
+  return {
+    quoted,
+    mentions: contextInfo.mentionedJid || [],
+    isForwarded: contextInfo.isForwarded || false,
+  };
+};
+
+/**
+ * Normalize a Baileys WAMessage into a webhook-friendly payload
+ * @param {object} message - WAMessage from messages.upsert
+ * @returns {object} - Normalized message
+ */
+export const normalizeMessage = (message) => {
+  const { key } = message;
+  const { content, contentType } = getMessageContent(message);
+  const type = CONTENT_TYPE_MAP[contentType] || "unknown";
+  const inner = content?.[contentType] || {};
+  const isGroup = isJidGroup(key.remoteJid) || false;
+  const timestamp = toNumber(message.messageTimestamp);
+
+  const normalized = {
+    messageId: key.id,
+    remoteJid: key.remoteJid,
+    from: isGroup ? key.participant || null : key.remoteJid,
+    participant: key.participant || null,
+    fromMe: key.fromMe || false,
+    isGroup,
+    pushName: message.pushName || null,
+    timestamp: timestamp
+      ? new Date(timestamp * 1000).toISOString()
+      : new Date().toISOString(),
+    type,
+    rawType: contentType,
+    text: extractText(content, contentType),
+    ...parseContextInfo(typeof inner === "object" ? inner : null),
+  };
+
+  switch (type) {
+    case "image":
+    case "video":
+    case "audio":
+    case "document":
+    case "sticker":
+      normalized.media = parseMedia(inner);
+      normalized.caption = inner.caption || null;
+      break;
+
+    case "location":
+      normalized.location = {
+        latitude: inner.degreesLatitude,
+        longitude: inner.degreesLongitude,
+        name: inner.name || null,
+        address: inner.address || null,
+        isLive: contentType === "liveLocationMessage",
+      };
+      break;
+
+    case "contact":
+      normalized.contacts =
+        contentType === "contactsArrayMessage"
+          ? (inner.contacts || []).map((contact) => ({
+              displayName: contact.displayName || null,
+              vcard: contact.vcard || null,
+            }))
+          : [{ displayName: inner.displayName || null, vcard: inner.vcard }];
+      break;
+
+    case "reaction":
+      normalized.reaction = {
+        emoji: inner.text || null,
+        removed: !inner.text,
+        messageId: inner.key?.id || null,
+        fromMe: inner.key?.fromMe || false,
+      };
+      break;
+
+    case "poll":
+      normalized.poll = {
+        question: inner.name || null,
+        options: (inner.options || []).map((option) => option.optionName),
+        selectableCount: inner.selectableOptionsCount || 0,
+      };
+      break;
+
+    case "poll_vote":
+      // Vote contents are encrypted here; the decrypted vote arrives in
+      // messages.update and is normalized by normalizePollVote
+      normalized.pollVote = {
+        pollMessageId: inner.pollCreationMessageKey?.id || null,
+        senderTimestampMs: toNumber(inner.senderTimestampMs),
+      };
+      break;
+
+    default:
+      break;
+  }
+
+  return normalized;
+};
+
+/**
+ * Normalize a decrypted poll vote (from messages.update pollUpdates) into a
+ * poll_vote message payload
+ * @param {object} pollMessage - Stored WAMessage of the poll
+ * @param {object} pollUpdate - Entry of update.pollUpdates
+ * @param {string} ownJid - JID of the session, to resolve own votes
+ * @returns {object} - Normalized poll_vote message
+ */
+export const normalizePollVote = (pollMessage, pollUpdate, ownJid) => {
+  const { pollUpdateMessageKey: key } = pollUpdate;
+  const { content, contentType } = getMessageContent(pollMessage);
+  const isGroup = isJidGroup(pollMessage.key.remoteJid) || false;
+  const senderTimestampMs = toNumber(pollUpdate.senderTimestampMs);
+
+  // Aggregating this single update yields the options the voter picked; an
+  // empty list means the vote was withdrawn
+  const selectedOptions = getAggregateVotesInPollMessage(
+    { message: pollMessage.message, pollUpdates: [pollUpdate] },
+    ownJid
+  )
+    .filter((option) => option.voters.length > 0)
+    .map((option) => option.name);
+
+  return {
+    messageId: key.id,
+    remoteJid: pollMessage.key.remoteJid,
+    from: getKeyAuthor(key, ownJid) || null,
+    participant: key.participant || null,
+    fromMe: key.fromMe || false,
+    isGroup,
+    pushName: null,
+    timestamp: senderTimestampMs
+      ? new Date(senderTimestampMs).toISOString()
+      : new Date().toISOString(),
+    type: "poll_vote",
+    rawType: "pollUpdateMessage",
+    text: null,
+    quoted: null,
+    mentions: [],
+    isForwarded: false,
+    pollVote: {
+      pollMessageId: pollMessage.key.id,
+      question: content?.[contentType]?.name || null,
+      selectedOptions,
+      senderTimestampMs,
+    },
+  };
+};
+
+/**
+ * Check whether a message should be forwarded to the backend
+ * @param {object} message - WAMessage
+ * @returns {boolean} - True for user-visible chat messages
+ */
+export const isDeliverableMessage = (message) => {
+  if (!message?.message || !message.key?.remoteJid) {
+    return false;
+  }
+  if (isJidStatusBroadcast(message.key.remoteJid)) {
+    return false;
+  }
+  const { contentType } = getMessageContent(message);
+  return (
+    !!contentType &&
+    contentType !== "protocolMessage" &&
+    contentType !== "senderKeyDistributionMessage"
+  );
+};
+
+export default {
+  toNumber,
+  getMessageContent,
+  getMessageType,
+  extractText,
+  normalizeMessage,
+  normalizePollVote,
+  isDeliverableMessage,
+};
@@ -0,0 +1,117 @@
+import {
+  parsePhoneNumberFromString,
+  getCountryCallingCode,
+} from "libphonenumber-js";
+import config from "../config/environment.js";
+import { REGEX } from "./constants.js";
+
+/**
+ * Phone Number Utilities
+ * Parse recipients into E.164 numbers and WhatsApp JIDs
+ */
+
+const USER_JID_SUFFIX = "@s.whatsapp.net";
+
+export const isUserJid = (value) => REGEX.WHATSAPP_ID.test(value);
+export const isGroupJid = (value) => REGEX.GROUP_JID.test(value);
+export const isLidJid = (value) => REGEX.LID_JID.test(value);
+
+const parseValid = (value, country) => {
+  const parsed = parsePhoneNumberFromString(value, country);
+  return parsed?.isValid() ? parsed.number : null;
+};
+
+/**
+ * Normalize a phone number to E.164
+ *
+ * Numbers with "+" or "00" are international. Numbers with a leading 0 are
+ * national numbers of the default country. Bare digits are read as
+ * international when they start with the default country's calling code
+ * (e.g. 6281234567890), then as a national number of the default country
+ * (e.g. 81234567890), then as international (e.g. 60123456789).
+ *
+ * @param {string} phoneNumber - Phone number in any common format
+ * @param {string} defaultCountry - ISO 3166-1 alpha-2 country code
+ * @returns {string|null} - E.164 number (+6281234567890) or null if invalid
+ */
+export const normalizePhoneNumber = (
+  phoneNumber,
+  defaultCountry = config.whatsapp.defaultCountry
+) => {
+  if (typeof phoneNumber !== "string") {
+    return null;
+  }
+
+  const trimmed = phoneNumber.trim();
+  const digits = trimmed.replace(/\D/g, "");
+  if (!digits) {
+    return null;
+  }
+
+  if (trimmed.startsWith("+")) {
+    return parseValid(`+${digits}`);
+  }
+  if (digits.startsWith("00")) {
+    return parseValid(`+${digits.slice(2)}`);
+  }
+  if (digits.startsWith("0")) {
+    return parseValid(digits, defaultCountry);
+  }
+
+  const international = parseValid(`+${digits}`);
+  if (
+    international &&
+    digits.startsWith(getCountryCallingCode(defaultCountry))
+  ) {
+    return international;
+  }
+
+  return parseValid(digits, defaultCountry) || international;
+};
+
+/**
+ * Check whether a value can be used as a message recipient
+ * @param {string} recipient - Phone number, user JID, group JID or LID JID
+ * @returns {boolean} - True when the recipient can be resolved to a JID
+ */
+export const isValidRecipient = (recipient) => {
+  if (typeof recipient !== "string") {
+    return false;
+  }
+  if (recipient.includes("@")) {
+    return isUserJid(recipient) || isGroupJid(recipient) || isLidJid(recipient);
+  }
+  return normalizePhoneNumber(recipient) !== null;
+};
+
+/**
+ * Resolve a recipient to a WhatsApp JID
+ * @param {string} recipient - Phone number, user JID, group JID or LID JID
+ * @returns {string} - JID (number@s.whatsapp.net, id@g.us or id@lid)
+ * @throws {Error} - code INVALID_PHONE_NUMBER when the recipient is invalid
+ */
+export const toWhatsAppId = (recipient) => {
+  if (typeof recipient === "string" && recipient.includes("@")) {
+    if (isValidRecipient(recipient)) {
+      return recipient;
+    }
+  } else {
+    const e164 = normalizePhoneNumber(recipient);
+    if (e164) {
+      return `${e164.substring(1)}${USER_JID_SUFFIX}`;
+    }
+  }
+
+  const error = new Error(`Invalid phone number or JID: ${recipient}`);
+  error.code = "INVALID_PHONE_NUMBER";
+  throw error;
+};
+
+export default {
+  isUserJid,
+  isGroupJid,
+  isLidJid,
+  normalizePhoneNumber,
+  isValidRecipient,
+  toWhatsAppId,
+};
@@ -0,0 +1,98 @@
+import { randomUUID } from "crypto";
+import sharp from "sharp";
+import webpmux from "node-webpmux";
+
+export const STICKER_MIMETYPE = "image/webp";
+
+const STICKER_SIZE = 512;
+const INPUT_FORMATS = ["jpeg", "png", "gif", "webp"];
+
+// WhatsApp rejects stickers above these sizes, so quality is lowered until
+// the sticker fits
+const MAX_STATIC_SIZE = 100 * 1024;
+const MAX_ANIMATED_SIZE = 500 * 1024;
+const QUALITY_STEPS = [80, 60, 40, 20];
+
+// TIFF header with a single IFD entry (tag 0x5741) that points at the
+// sticker JSON appended after it
+const EXIF_HEADER = Buffer.from([
+  0x49, 0x49, 0x2a, 0x00, 0x08, 0x00, 0x00, 0x00, 0x01, 0x00, 0x41, 0x57,
+  0x07, 0x00, 0x00, 0x00, 0x00, 0x00, 0x16, 0x00, 0x00, 0x00,
+]);
+
+/**
+ * Build the EXIF block WhatsApp reads sticker pack details from
+ * @param {object} metadata - { pack, author, emojis }
+ * @returns {Buffer} - EXIF data
+ */
+export const buildStickerExif = ({ pack, author, emojis = [] }) => {
+  const json = Buffer.from(
+    JSON.stringify({
+      "sticker-pack-id": randomUUID(),
+      "sticker-pack-name": pack || "",
+      "sticker-pack-publisher": author || "",
+      emojis,
+    }),
+    "utf8"
+  );
+
+  const exif = Buffer.concat([EXIF_HEADER, json]);
+  exif.writeUInt32LE(json.length, 14);
+  return exif;
+};
+
+const encodeWebp = async (input, animated) => {
+  const maxSize = animated ? MAX_ANIMATED_SIZE : MAX_STATIC_SIZE;
+  let webp;
+
+  for (const quality of QUALITY_STEPS) {
+    webp = await sharp(input, { animated })
+      .resize(STICKER_SIZE, STICKER_SIZE, {
+        fit: "contain",
+        background: { r: 0, g: 0, b: 0, alpha: 0 },
+      })
+      .webp({ quality, loop: 0 })
+      .toBuffer();
+
+    if (webp.length <= maxSize) {
+      break;
+    }
+  }
+
+  return webp;
+};
+
+/**
+ * Convert an image to a 512x512 WebP sticker with pack metadata
+ * @param {Buffer} input - PNG, JPEG, GIF or WebP image (animated GIF / WebP
+ * give an animated sticker)
+ * @param {object} metadata - { pack, author, emojis }
+ * @returns {object} - { sticker, mimetype, animated }
+ */
+export const convertToSticker = async (input, metadata = {}) => {
+  const { format, pages = 1 } = await sharp(input, {
+    animated: true,
+  }).metadata();
+  if (!INPUT_FORMATS.includes(format)) {
+    throw new Error(`Unsupported sticker image format: ${format}`);
+  }
+
+  const animated = pages > 1;
+  const webp = await encodeWebp(input, animated);
+
+  const image = new webpmux.Image();
+  await image.load(webp);
+  image.exif = buildStickerExif(metadata);
+
+  return {
+    sticker: await image.save(null),
+    mimetype: STICKER_MIMETYPE,
+    animated,
+  };
+};
+
+export default {
+  STICKER_MIMETYPE,
+  buildStickerExif,
+  convertToSticker,
+};
@@ -0,0 +1,98 @@
+import { MESSAGE_TYPES } from "./constants.js";
+
+/**
+ * Template Renderer Utilities
+ * Substitute {{placeholders}} in message templates
+ */
+
+// {{name}}, {{ order_id }}, {{customer.name}}
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z_][a-zA-Z0-9_.]*)\s*\}\}/g;
+
+/**
+ * List the distinct placeholder names used in one or more strings
+ * @param {...string} texts - Template strings (null / undefined are skipped)
+ * @returns {Array<string>} - Variable names in order of first appearance
+ */
+export const extractVariables = (...texts) => {
+  const names = new Set();
+  for (const text of texts) {
+    if (typeof text !== "string") {
+      continue;
+    }
+    for (const match of text.matchAll(PLACEHOLDER_PATTERN)) {
+      names.add(match[1]);
+    }
+  }
+  return [...names];
+};
+
+/**
+ * Replace placeholders in a string
+ * @param {string} text - Template string
+ * @param {object} variables - Variable values by name
+ * @returns {string|null} - Rendered string
+ */
+export const renderText = (text, variables = {}) => {
+  if (typeof text !== "string") {
+    return null;
+  }
+  return text.replace(PLACEHOLDER_PATTERN, (_, name) => String(variables[name]));
+};
+
+/**
+ * Render a stored template into /send payload fields
+ * @param {object} template - Template from the database
+ * @param {object} variables - Variable values by name
+ * @returns {object} - { type, message | caption, mediaUrl, filename }
+ * @throws {Error} - code TEMPLATE_VARIABLES_MISSING when a variable has no value
+ */
+export const renderTemplate = (template, variables = {}) => {
+  const missing = template.variables.filter(
+    (name) => variables[name] === undefined || variables[name] === null
+  );
+  if (missing.length > 0) {
+    const error = new Error(
+      `Template "${template.name}" is missing variables: ${missing.join(", ")}`
+    );
+    error.code = "TEMPLATE_VARIABLES_MISSING";
+    error.missingVariables = missing;
+    throw error;
+  }
+
+  const fields = { type: template.type };
+
+  if (template.type === MESSAGE_TYPES.TEXT) {
+    fields.message = renderText(template.content, variables);
+    return fields;
+  }
+
+  fields.mediaUrl = template.mediaUrl;
+  if (template.content) {
+    fields.caption = renderText(template.content, variables);
+  }
+  if (template.filename) {
+    fields.filename = renderText(template.filename, variables);
+  }
+  return fields;
+};
+
+/**
+ * Replace templateId / variables in a send payload with the rendered template
+ * @param {object} template - Template from the database
+ * @param {object} body - Request body containing templateId and variables
+ * @returns {object} - Send payload without template fields
+ */
+export const applyTemplate = (template, body) => {
+  const payload = { ...body };
+  delete payload.templateId;
+  delete payload.variables;
+
+  return { ...payload, ...renderTemplate(template, body.variables) };
+};
+
+export default {
+  extractVariables,
+  renderText,
+  renderTemplate,
+  applyTemplate,
+};
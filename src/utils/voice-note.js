@@ -0,0 +1,98 @@
+import { tmpdir } from "os";
+import { join } from "path";
+import fs from "fs/promises";
+import { runFfmpeg } from "./ffmpeg.js";
+
+// WhatsApp voice notes are mono Opus in an OGG container
+export const VOICE_NOTE_MIMETYPE = "audio/ogg; codecs=opus";
+
+const WAVEFORM_LENGTH = 64; // Bars shown by WhatsApp, each 0-100
+const PCM_SAMPLE_RATE = 8000; // Enough resolution for duration and waveform
+
+/**
+ * Compute a voice note waveform from 16-bit mono PCM
+ * @param {Buffer} pcm - Signed 16-bit little-endian samples
+ * @returns {Uint8Array} - 64 levels from 0 to 100, relative to the loudest
+ */
+export const computeWaveform = (pcm) => {
+  const sampleCount = Math.floor(pcm.length / 2);
+  const blockSize = Math.max(1, Math.floor(sampleCount / WAVEFORM_LENGTH));
+  const levels = [];
+
+  for (let block = 0; block < WAVEFORM_LENGTH; block++) {
+    const start = block * blockSize;
+    const end = Math.min(start + blockSize, sampleCount);
+    let sum = 0;
+    for (let sample = start; sample < end; sample++) {
+      sum += Math.abs(pcm.readInt16LE(sample * 2));
+    }
+    levels.push(end > start ? sum / (end - start) : 0);
+  }
+
+  const peak = Math.max(...levels) || 1;
+  return Uint8Array.from(levels, (level) => Math.round((level / peak) * 100));
+};
+
+/**
+ * Convert any audio (or video) file to a WhatsApp voice note
+ * @param {Buffer} input - Source file
+ * @returns {object} - { audio, mimetype, seconds, waveform }
+ */
+export const convertToVoiceNote = async (input) => {
+  // Files go to disk because formats like MP4 / M4A cannot be read from a pipe
+  const workDir = await fs.mkdtemp(join(tmpdir(), "voice-note-"));
+  const inputPath = join(workDir, "input");
+  const outputPath = join(workDir, "voice.ogg");
+
+  try {
+    await fs.writeFile(inputPath, input);
+
+    // One pass: the Opus file, plus low-rate PCM on stdout for the duration
+    // and waveform
+    const { stdout: pcm } = await runFfmpeg([
+      "-hide_banner",
+      "-loglevel",
+      "error",
+      "-y",
+      "-i",
+      inputPath,
+      "-map",
+      "0:a:0",
+      "-ac",
+      "1",
+      "-ar",
+      "48000",
+      "-c:a",
+      "libopus",
+      "-b:a",
+      "32k",
+      "-application",
+      "voip",
+      outputPath,
+      "-map",
+      "0:a:0",
+      "-ac",
+      "1",
+      "-ar",
+      String(PCM_SAMPLE_RATE),
+      "-f",
+      "s16le",
+      "pipe:1",
+    ]);
+
+    return {
+      audio: await fs.readFile(outputPath),
+      mimetype: VOICE_NOTE_MIMETYPE,
+      seconds: Math.max(1, Math.round(pcm.length / 2 / PCM_SAMPLE_RATE)),
+      waveform: computeWaveform(pcm),
+    };
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+export default {
+  VOICE_NOTE_MIMETYPE,
+  computeWaveform,
+  convertToVoiceNote,
+};
@@ -0,0 +1,163 @@
+import Joi from "joi";
+import { MESSAGE_TYPES, VALIDATION, PAGINATION } from "../utils/constants.js";
+import {
+  phoneNumberSchema,
+  sessionIdSchema,
+  sessionIdParamSchema,
+  sendMessageSchema,
+  sendValidationError,
+} from "./message.validation.js";
+
+// Message types that can be broadcast (receipts and typing indicators cannot)
+const BROADCAST_TYPES = [
+  MESSAGE_TYPES.TEXT,
+  MESSAGE_TYPES.IMAGE,
+  MESSAGE_TYPES.DOCUMENT,
+  MESSAGE_TYPES.VIDEO,
+  MESSAGE_TYPES.AUDIO,
+  MESSAGE_TYPES.LOCATION,
+  MESSAGE_TYPES.CONTACT,
+  MESSAGE_TYPES.LINK,
+  MESSAGE_TYPES.POLL,
+];
+
+// Broadcast creation validation schema: the /send payload with a recipient
+// list instead of `to`
+export const createBroadcastSchema = sendMessageSchema.keys({
+  to: Joi.forbidden(),
+  async: Joi.forbidden(),
+  sendAt: Joi.forbidden(),
+  verifyRecipient: Joi.forbidden(),
+  type: Joi.when("templateId", {
+    is: Joi.exist(),
+    then: Joi.forbidden().messages({
+      "any.unknown": "type cannot be combined with templateId",
+    }),
+    otherwise: Joi.string()
+      .valid(...BROADCAST_TYPES)
+      .required()
+      .messages({
+        "any.only": `Broadcast type must be one of: ${BROADCAST_TYPES.join(", ")}`,
+        "any.required": "Message type is required",
+      }),
+  }),
+  recipients: Joi.array()
+    .items(phoneNumberSchema)
+    .min(1)
+    .max(VALIDATION.BULK_MESSAGE.MAX_RECIPIENTS)
+    .unique()
+    .required()
+    .messages({
+      "array.min": "At least one recipient is required",
+      "array.max": `Maximum ${VALIDATION.BULK_MESSAGE.MAX_RECIPIENTS} recipients allowed per broadcast`,
+      "array.unique": "Recipients must be unique",
+      "any.required": "Recipients are required",
+    }),
+
+  // Pacing: random delay between recipients, in milliseconds
+  minDelay: Joi.number()
+    .integer()
+    .min(0)
+    .max(VALIDATION.BULK_MESSAGE.MAX_DELAY)
+    .optional(),
+  maxDelay: Joi.number()
+    .integer()
+    .min(Joi.ref("minDelay", { adjust: (value) => value || 0 }))
+    .max(VALIDATION.BULK_MESSAGE.MAX_DELAY)
+    .optional()
+    .messages({
+      "number.min": "maxDelay must be greater than or equal to minDelay",
+    }),
+});
+
+// Broadcast parameter validation schema
+export const broadcastParamSchema = Joi.object({
+  sessionId: sessionIdSchema,
+  broadcastId: Joi.string().guid().required().messages({
+    "string.guid": "Broadcast ID must be a valid UUID",
+    "any.required": "Broadcast ID is required",
+  }),
+});
+
+// Pagination query validation schema
+export const broadcastListQuerySchema = Joi.object({
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .max(PAGINATION.MAX_PAGE)
+    .default(PAGINATION.DEFAULT_PAGE),
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(PAGINATION.MAX_LIMIT)
+    .default(PAGINATION.DEFAULT_LIMIT),
+});
+
+// Recipient list query validation schema
+export const broadcastRecipientsQuerySchema = broadcastListQuerySchema.keys({
+  status: Joi.string()
+    .valid("pending", "sent", "failed", "cancelled")
+    .optional()
+    .messages({
+      "any.only": "Status must be one of: pending, sent, failed, cancelled",
+    }),
+});
+
+// Validation middleware functions
+export const validateCreateBroadcast = (req, res, next) => {
+  const paramsValidation = sessionIdParamSchema.validate(req.params);
+  if (paramsValidation.error) {
+    return sendValidationError(res, paramsValidation.error);
+  }
+
+  const bodyValidation = createBroadcastSchema.validate(req.body);
+  if (bodyValidation.error) {
+    return sendValidationError(res, bodyValidation.error);
+  }
+
+  req.params = paramsValidation.value;
+  req.body = bodyValidation.value;
+  next();
+};
+
+export const validateListBroadcasts = (req, res, next) => {
+  const paramsValidation = sessionIdParamSchema.validate(req.params);
+  if (paramsValidation.error) {
+    return sendValidationError(res, paramsValidation.error);
+  }
+
+  const queryValidation = broadcastListQuerySchema.validate(req.query);
+  if (queryValidation.error) {
+    return sendValidationError(res, queryValidation.error);
+  }
+
+  req.params = paramsValidation.value;
+  req.query = queryValidation.value;
+  next();
+};
+
+export const validateBroadcastId = (req, res, next) => {
+  const paramsValidation = broadcastParamSchema.validate(req.params);
+  if (paramsValidation.error) {
+    return sendValidationError(res, paramsValidation.error);
+  }
+
+  req.params = paramsValidation.value;
+  next();
+};
+
+export const validateBroadcastRecipients = (req, res, next) => {
+  const paramsValidation = broadcastParamSchema.validate(req.params);
+  if (paramsValidation.error) {
+    return sendValidationError(res, paramsValidation.error);
+  }
+
+  const queryValidation = broadcastRecipientsQuerySchema.validate(req.query);
+  if (queryValidation.error) {
+    return sendValidationError(res, queryValidation.error);
+  }
+
+  req.params = paramsValidation.value;
+  req.query = queryValidation.value;
+  next();
+};
@@ -0,0 +1,106 @@
+import Joi from "joi";
+import { VALIDATION, PAGINATION, CHAT_ACTIONS } from "../utils/constants.js";
+import {
+  phoneNumberSchema,
+  sessionIdSchema,
+  sessionIdParamSchema,
+  sendValidationError,
+} from "./message.validation.js";
+
+// Chat list query validation schema
+export const chatListQuerySchema = Joi.object({
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .max(PAGINATION.MAX_PAGE)
+    .default(PAGINATION.DEFAULT_PAGE),
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(PAGINATION.MAX_LIMIT)
+    .default(PAGINATION.DEFAULT_LIMIT),
+  archived: Joi.boolean().optional(),
+  pinned: Joi.boolean().optional(),
+  unread: Joi.boolean().optional(),
+  type: Joi.string().valid("user", "group").optional().messages({
+    "any.only": "Type must be one of: user, group",
+  }),
+});
+
+// Chat parameter validation schema
+export const chatParamSchema = Joi.object({
+  sessionId: sessionIdSchema,
+  jid: phoneNumberSchema,
+});
+
+// Chat action validation schema
+export const chatActionSchema = Joi.object({
+  action: Joi.string()
+    .lowercase()
+    .valid(...Object.values(CHAT_ACTIONS))
+    .required()
+    .messages({
+      "any.only": `Action must be one of: ${Object.values(CHAT_ACTIONS).join(", ")}`,
+      "any.required": "Action is required",
+    }),
+  duration: Joi.when("action", {
+    is: CHAT_ACTIONS.MUTE,
+    then: Joi.number()
+      .integer()
+      .min(VALIDATION.CHAT.MUTE_MIN_DURATION)
+      .max(VALIDATION.CHAT.MUTE_MAX_DURATION)
+      .required(),
+    otherwise: Joi.forbidden(),
+  }).messages({
+    "number.base": "Duration must be a number of seconds",
+    "number.min": `Duration must be at least ${VALIDATION.CHAT.MUTE_MIN_DURATION} seconds`,
+    "number.max": `Duration cannot exceed ${VALIDATION.CHAT.MUTE_MAX_DURATION} seconds`,
+    "any.required": "Duration (seconds) is required to mute a chat",
+    "any.unknown": "Duration is only allowed with the mute action",
+  }),
+}).messages({
+  "object.unknown": "Unknown field: {#label}",
+});
+
+// Validation middleware functions
+export const validateListChats = (req, res, next) => {
+  const paramsValidation = sessionIdParamSchema.validate(req.params);
+  if (paramsValidation.error) {
+    return sendValidationError(res, paramsValidation.error);
+  }
+
+  const queryValidation = chatListQuerySchema.validate(req.query);
+  if (queryValidation.error) {
+    return sendValidationError(res, queryValidation.error);
+  }
+
+  req.params = paramsValidation.value;
+  req.query = queryValidation.value;
+  next();
+};
+
+export const validateGetChat = (req, res, next) => {
+  const paramsValidation = chatParamSchema.validate(req.params);
+  if (paramsValidation.error) {
+    return sendValidationError(res, paramsValidation.error);
+  }
+
+  req.params = paramsValidation.value;
+  next();
+};
+
+export const validateChatAction = (req, res, next) => {
+  const paramsValidation = chatParamSchema.validate(req.params);
+  if (paramsValidation.error) {
+    return sendValidationError(res, paramsValidation.error);
+  }
+
+  const bodyValidation = chatActionSchema.validate(req.body);
+  if (bodyValidation.error) {
+    return sendValidationError(res, bodyValidation.error);
+  }
+
+  req.params = paramsValidation.value;
+  req.body = bodyValidation.value;
+  next();
+};
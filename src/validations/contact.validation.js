@@ -0,0 +1,97 @@
+import Joi from "joi";
+import { VALIDATION } from "../utils/constants.js";
+import { isGroupJid } from "../utils/phone-number.js";
+import {
+  phoneNumberSchema,
+  sessionIdSchema,
+  sessionIdParamSchema,
+  sendValidationError,
+} from "./message.validation.js";
+
+const CONTACT_PROFILE_PARTS = ["picture", "about", "business"];
+
+// Registration check validation schema. Malformed numbers are reported per
+// entry (valid: false) instead of failing the whole batch.
+export const checkContactsSchema = Joi.object({
+  numbers: Joi.array()
+    .items(
+      Joi.string().trim().min(1).max(64).messages({
+        "string.base": "Each number must be a string",
+        "string.empty": "Numbers cannot be empty",
+        "string.max": "Each number cannot exceed 64 characters",
+      })
+    )
+    .min(1)
+    .max(VALIDATION.CONTACT_CHECK.MAX_NUMBERS)
+    .unique()
+    .required()
+    .messages({
+      "array.min": "At least one number is required",
+      "array.max": `Maximum ${VALIDATION.CONTACT_CHECK.MAX_NUMBERS} numbers allowed per request`,
+      "array.unique": "Numbers must be unique",
+      "any.required": "Numbers are required",
+    }),
+}).messages({
+  "object.unknown": "Unknown field: {#label}",
+});
+
+// Contact parameter validation schema. Groups have no about or business
+// profile, so only phone numbers and user / LID JIDs are accepted.
+export const contactParamSchema = Joi.object({
+  sessionId: sessionIdSchema,
+  jid: phoneNumberSchema
+    .custom((value, helpers) => {
+      if (isGroupJid(value)) {
+        return helpers.error("any.invalid");
+      }
+      return value;
+    })
+    .messages({
+      "any.invalid": "Contact must be a phone number or user JID",
+    }),
+  part: Joi.string()
+    .valid(...CONTACT_PROFILE_PARTS)
+    .optional()
+    .messages({
+      "any.only": `Profile part must be one of: ${CONTACT_PROFILE_PARTS.join(", ")}`,
+    }),
+});
+
+export const contactProfileQuerySchema = Joi.object({
+  refresh: Joi.boolean().default(false).messages({
+    "boolean.base": "Refresh must be a boolean",
+  }),
+});
+
+// Validation middleware functions
+export const validateCheckContacts = (req, res, next) => {
+  const paramsValidation = sessionIdParamSchema.validate(req.params);
+  if (paramsValidation.error) {
+    return sendValidationError(res, paramsValidation.error);
+  }
+
+  const bodyValidation = checkContactsSchema.validate(req.body);
+  if (bodyValidation.error) {
+    return sendValidationError(res, bodyValidation.error);
+  }
+
+  req.params = paramsValidation.value;
+  req.body = bodyValidation.value;
+  next();
+};
+
+export const validateContactProfile = (req, res, next) => {
+  const paramsValidation = contactParamSchema.validate(req.params);
+  if (paramsValidation.error) {
+    return sendValidationError(res, paramsValidation.error);
+  }
+
+  const queryValidation = contactProfileQuerySchema.validate(req.query);
+  if (queryValidation.error) {
+    return sendValidationError(res, queryValidation.error);
+  }
+
+  req.params = paramsValidation.value;
+  req.query = queryValidation.value;
+  next();
+};
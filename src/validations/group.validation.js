@@ -0,0 +1,192 @@
+import Joi from "joi";
+import {
+  VALIDATION,
+  REGEX,
+  GROUP_PARTICIPANT_ACTIONS,
+} from "../utils/constants.js";
+import { isGroupJid } from "../utils/phone-number.js";
+import {
+  phoneNumberSchema,
+  sessionIdSchema,
+  sessionIdParamSchema,
+  sendValidationError,
+} from "./message.validation.js";
+
+// Group ID validation schema. Accepts the full JID or just the ID part
+// (120363025246125486) and normalizes it to the JID.
+export const groupIdSchema = Joi.string()
+  .trim()
+  .custom((value, helpers) => {
+    const jid = value.endsWith("@g.us") ? value : `${value}@g.us`;
+    if (!REGEX.GROUP_JID.test(jid)) {
+      return helpers.error("string.pattern.base");
+    }
+    return jid;
+  })
+  .required()
+  .messages({
+    "string.pattern.base":
+      "Invalid group ID. Expected a group JID (120363025246125486@g.us) or its ID part",
+    "any.required": "Group ID is required",
+  });
+
+// Participants are users; group JIDs cannot be added to a group
+const participantSchema = phoneNumberSchema
+  .custom((value, helpers) => {
+    if (isGroupJid(value)) {
+      return helpers.error("any.invalid");
+    }
+    return value;
+  })
+  .messages({
+    "any.invalid": "Participants must be phone numbers or user JIDs",
+  });
+
+const participantsSchema = Joi.array()
+  .items(participantSchema)
+  .min(1)
+  .max(VALIDATION.GROUP.MAX_PARTICIPANTS)
+  .unique()
+  .messages({
+    "array.min": "At least one participant is required",
+    "array.max": `Maximum ${VALIDATION.GROUP.MAX_PARTICIPANTS} participants allowed per request`,
+    "array.unique": "Participants must be unique",
+    "any.required": "Participants are required",
+  });
+
+const subjectSchema = Joi.string()
+  .trim()
+  .min(1)
+  .max(VALIDATION.GROUP.SUBJECT_MAX_LENGTH)
+  .messages({
+    "string.empty": "Subject cannot be empty",
+    "string.max": `Subject cannot exceed ${VALIDATION.GROUP.SUBJECT_MAX_LENGTH} characters`,
+    "any.required": "Subject is required",
+  });
+
+// Group parameter validation schema
+export const groupParamSchema = Joi.object({
+  sessionId: sessionIdSchema,
+  groupId: groupIdSchema,
+});
+
+// Create group validation schema
+export const createGroupSchema = Joi.object({
+  subject: subjectSchema.required(),
+  participants: participantsSchema.required(),
+}).messages({
+  "object.unknown": "Unknown field: {#label}",
+});
+
+// Update group validation schema (subject, description and settings)
+export const updateGroupSchema = Joi.object({
+  subject: subjectSchema.optional(),
+  description: Joi.string()
+    .allow("")
+    .max(VALIDATION.GROUP.DESCRIPTION_MAX_LENGTH)
+    .optional()
+    .messages({
+      "string.max": `Description cannot exceed ${VALIDATION.GROUP.DESCRIPTION_MAX_LENGTH} characters`,
+    }),
+  announce: Joi.boolean().optional().messages({
+    "boolean.base": "Announce must be a boolean (only admins can send)",
+  }),
+  locked: Joi.boolean().optional().messages({
+    "boolean.base":
+      "Locked must be a boolean (only admins can edit group info)",
+  }),
+})
+  .or("subject", "description", "announce", "locked")
+  .messages({
+    "object.missing":
+      "At least one of subject, description, announce or locked is required",
+    "object.unknown": "Unknown field: {#label}",
+  });
+
+// Participant update validation schema
+export const updateParticipantsSchema = Joi.object({
+  action: Joi.string()
+    .valid(...Object.values(GROUP_PARTICIPANT_ACTIONS))
+    .required()
+    .messages({
+      "any.only": `Action must be one of: ${Object.values(GROUP_PARTICIPANT_ACTIONS).join(", ")}`,
+      "any.required": "Action is required",
+    }),
+  participants: participantsSchema.required(),
+}).messages({
+  "object.unknown": "Unknown field: {#label}",
+});
+
+// Accept invite validation schema
+export const acceptInviteSchema = Joi.object({
+  inviteCode: Joi.string()
+    .trim()
+    .pattern(/^(https:\/\/chat\.whatsapp\.com\/)?[A-Za-z0-9]{10,32}$/)
+    .required()
+    .messages({
+      "string.pattern.base":
+        "Invite code must be a code or a https://chat.whatsapp.com/ link",
+      "any.required": "Invite code is required",
+    }),
+}).messages({
+  "object.unknown": "Unknown field: {#label}",
+});
+
+const validateParamsAndBody = (paramsSchema, bodySchema) => {
+  return (req, res, next) => {
+    const paramsValidation = paramsSchema.validate(req.params);
+    if (paramsValidation.error) {
+      return sendValidationError(res, paramsValidation.error);
+    }
+
+    const bodyValidation = bodySchema.validate(req.body);
+    if (bodyValidation.error) {
+      return sendValidationError(res, bodyValidation.error);
+    }
+
+    req.params = paramsValidation.value;
+    req.body = bodyValidation.value;
+    next();
+  };
+};
+
+// Validation middleware functions
+export const validateGroupSession = (req, res, next) => {
+  const paramsValidation = sessionIdParamSchema.validate(req.params);
+  if (paramsValidation.error) {
+    return sendValidationError(res, paramsValidation.error);
+  }
+
+  req.params = paramsValidation.value;
+  next();
+};
+
+export const validateGroupId = (req, res, next) => {
+  const paramsValidation = groupParamSchema.validate(req.params);
+  if (paramsValidation.error) {
+    return sendValidationError(res, paramsValidation.error);
+  }
+
+  req.params = paramsValidation.value;
+  next();
+};
+
+export const validateCreateGroup = validateParamsAndBody(
+  sessionIdParamSchema,
+  createGroupSchema
+);
+
+export const validateUpdateGroup = validateParamsAndBody(
+  groupParamSchema,
+  updateGroupSchema
+);
+
+export const validateUpdateParticipants = validateParamsAndBody(
+  groupParamSchema,
+  updateParticipantsSchema
+);
+
+export const validateAcceptInvite = validateParamsAndBody(
+  sessionIdParamSchema,
+  acceptInviteSchema
+);
@@ -0,0 +1,145 @@
+import Joi from "joi";
+import {
+  VALIDATION,
+  PAGINATION,
+  MESSAGE_DIRECTION,
+} from "../utils/constants.js";
+import { Utils } from "../utils/helpers.js";
+import {
+  phoneNumberSchema,
+  sessionIdSchema,
+  sessionIdParamSchema,
+  sendValidationError,
+} from "./message.validation.js";
+
+// Cursor returned as pagination.nextCursor by the previous page
+const cursorSchema = Joi.string()
+  .custom((value, helpers) => {
+    const position = Utils.decodeCursor(value);
+    if (
+      typeof position?.timestamp !== "string" ||
+      !Number.isInteger(position?.id)
+    ) {
+      return helpers.error("any.invalid");
+    }
+    return position;
+  })
+  .messages({
+    "any.invalid":
+      "Invalid cursor. Use pagination.nextCursor from a previous page",
+  });
+
+// Message history query validation schema
+export const messageHistoryQuerySchema = Joi.object({
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(PAGINATION.MAX_LIMIT)
+    .default(PAGINATION.DEFAULT_LIMIT),
+  cursor: cursorSchema.optional(),
+  chatJid: phoneNumberSchema.optional(),
+  direction: Joi.string()
+    .valid(...Object.values(MESSAGE_DIRECTION))
+    .optional()
+    .messages({
+      "any.only": `Direction must be one of: ${Object.values(MESSAGE_DIRECTION).join(", ")}`,
+    }),
+  type: Joi.string()
+    .lowercase()
+    .pattern(/^[a-z_]+$/)
+    .optional()
+    .messages({
+      "string.pattern.base":
+        "Type must be a message type such as text or image",
+    }),
+  since: Joi.date().iso().optional().messages({
+    "date.format": "since must be an ISO 8601 timestamp",
+  }),
+  until: Joi.date()
+    .iso()
+    .when("since", { is: Joi.exist(), then: Joi.date().min(Joi.ref("since")) })
+    .optional()
+    .messages({
+      "date.format": "until must be an ISO 8601 timestamp",
+      "date.min": "until must not be before since",
+    }),
+  includePayload: Joi.boolean().default(false),
+});
+
+// Message search query validation schema
+export const messageSearchQuerySchema = Joi.object({
+  q: Joi.string()
+    .trim()
+    .min(1)
+    .max(VALIDATION.MESSAGE_SEARCH.QUERY_MAX_LENGTH)
+    .required()
+    .messages({
+      "string.empty": "Search query (q) cannot be empty",
+      "string.max": `Search query cannot exceed ${VALIDATION.MESSAGE_SEARCH.QUERY_MAX_LENGTH} characters`,
+      "any.required": "Search query (q) is required",
+    }),
+  chatJid: phoneNumberSchema.optional(),
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .max(PAGINATION.MAX_PAGE)
+    .default(PAGINATION.DEFAULT_PAGE),
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(PAGINATION.MAX_LIMIT)
+    .default(PAGINATION.DEFAULT_LIMIT),
+});
+
+// Message media parameter validation schema
+export const messageMediaParamSchema = Joi.object({
+  sessionId: sessionIdSchema,
+  messageId: Joi.string().trim().max(128).required().messages({
+    "string.empty": "Message ID cannot be empty",
+    "string.max": "Message ID cannot exceed 128 characters",
+    "any.required": "Message ID is required",
+  }),
+});
+
+// Validation middleware functions
+export const validateMessageHistory = (req, res, next) => {
+  const paramsValidation = sessionIdParamSchema.validate(req.params);
+  if (paramsValidation.error) {
+    return sendValidationError(res, paramsValidation.error);
+  }
+
+  const queryValidation = messageHistoryQuerySchema.validate(req.query);
+  if (queryValidation.error) {
+    return sendValidationError(res, queryValidation.error);
+  }
+
+  req.params = paramsValidation.value;
+  req.query = queryValidation.value;
+  next();
+};
+
+export const validateMessageSearch = (req, res, next) => {
+  const paramsValidation = sessionIdParamSchema.validate(req.params);
+  if (paramsValidation.error) {
+    return sendValidationError(res, paramsValidation.error);
+  }
+
+  const queryValidation = messageSearchQuerySchema.validate(req.query);
+  if (queryValidation.error) {
+    return sendValidationError(res, queryValidation.error);
+  }
+
+  req.params = paramsValidation.value;
+  req.query = queryValidation.value;
+  next();
+};
+
+export const validateMessageMedia = (req, res, next) => {
+  const paramsValidation = messageMediaParamSchema.validate(req.params);
+  if (paramsValidation.error) {
+    return sendValidationError(res, paramsValidation.error);
+  }
+
+  req.params = paramsValidation.value;
+  next();
+};
@@ -1,18 +1,31 @@
 import Joi from "joi";
-import { MESSAGE_TYPES, VALIDATION, PAGINATION } from "../utils/constants.js";
-
-// Phone number validation schema
-const phoneNumberSchema = Joi.string()
-  .pattern(/^(\+?62|62|0)?[8][0-9]{8,11}$|^[0-9]{10,15}@s\.whatsapp\.net$/)
+import {
+  MESSAGE_TYPES,
+  MESSAGE_ACTIONS,
+  VALIDATION,
+  PAGINATION,
+} from "../utils/constants.js";
+import { isValidRecipient } from "../utils/phone-number.js";
+
+// Recipient validation schema: phone number (E.164, or national for the
+// default country) or a user, group (@g.us) or LID (@lid) JID
+export const phoneNumberSchema = Joi.string()
+  .trim()
+  .custom((value, helpers) => {
+    if (!isValidRecipient(value)) {
+      return helpers.error("string.pattern.base");
+    }
+    return value;
+  })
   .required()
   .messages({
     "string.pattern.base":
-      "Invalid phone number format. Supported formats: +6287733760363, 087733760363, 87733760363, or 6287733760363@s.whatsapp.net",
+      "Invalid phone number format. Supported formats: +60123456789, 0060123456789, 60123456789, a local number for the default country (e.g. 087733760363), or a JID (6287733760363@s.whatsapp.net, 120363025246125486@g.us, 123456789012345@lid)",
     "any.required": "Phone number is required",
   });
 
 // Session ID validation schema
-const sessionIdSchema = Joi.string()
+export const sessionIdSchema = Joi.string()
   .min(VALIDATION.SESSION_ID.MIN_LENGTH)
   .pattern(/^[a-zA-Z0-9_-]+$/)
   .required()
@@ -154,10 +167,102 @@ const pollSchema = Joi.object({
   }),
 });
 
+// Types that can reply to a message, and those with a text or caption that
+// can mention people
+const QUOTABLE_TYPES = [
+  MESSAGE_TYPES.TEXT,
+  MESSAGE_TYPES.IMAGE,
+  MESSAGE_TYPES.DOCUMENT,
+  MESSAGE_TYPES.VIDEO,
+  MESSAGE_TYPES.AUDIO,
+  MESSAGE_TYPES.VOICE,
+  MESSAGE_TYPES.STICKER,
+];
+const MENTIONABLE_TYPES = [
+  MESSAGE_TYPES.TEXT,
+  MESSAGE_TYPES.IMAGE,
+  MESSAGE_TYPES.DOCUMENT,
+  MESSAGE_TYPES.VIDEO,
+];
+
+// Quoted message: the ID of a stored message, or its full key
+const quotedMessageSchema = Joi.alternatives()
+  .try(
+    Joi.string().trim().max(128),
+    Joi.object({
+      id: Joi.string().trim().max(128).required().messages({
+        "any.required": "Quoted message key must include its id",
+      }),
+      remoteJid: phoneNumberSchema.optional(),
+      fromMe: Joi.boolean().default(false),
+      participant: phoneNumberSchema.optional(),
+    })
+  )
+  .messages({
+    "alternatives.types":
+      "quotedMessageId must be a message ID or a message key object",
+  });
+
+// Sticker pack details (optional, defaults from config)
+const stickerPackSchema = Joi.string()
+  .max(100)
+  .allow("")
+  .optional()
+  .messages({
+    "string.max": "Sticker pack name cannot exceed 100 characters",
+  });
+const stickerAuthorSchema = Joi.string()
+  .max(100)
+  .allow("")
+  .optional()
+  .messages({
+    "string.max": "Sticker author cannot exceed 100 characters",
+  });
+
+// Mentioned users (phone numbers or JIDs)
+const mentionsSchema = Joi.array()
+  .items(phoneNumberSchema)
+  .max(VALIDATION.MESSAGE.MAX_MENTIONS)
+  .unique()
+  .messages({
+    "array.max": `Cannot mention more than ${VALIDATION.MESSAGE.MAX_MENTIONS} users`,
+    "array.unique": "Mentions must not contain duplicates",
+  });
+
+// Scheduled delivery time validation schema
+export const sendAtSchema = Joi.date().iso().greater("now").messages({
+  "date.base": "sendAt must be a valid ISO 8601 timestamp",
+  "date.format": "sendAt must be a valid ISO 8601 timestamp",
+  "date.greater": "sendAt must be in the future",
+});
+
 // Send message validation schema
 export const sendMessageSchema = Joi.object({
   to: phoneNumberSchema,
-  type: messageTypeSchema,
+
+  // Type comes from the template when templateId is given
+  type: Joi.when("templateId", {
+    is: Joi.exist(),
+    then: Joi.forbidden().messages({
+      "any.unknown": "type cannot be combined with templateId",
+    }),
+    otherwise: messageTypeSchema,
+  }),
+
+  // Message template and the values for its {{placeholders}}
+  templateId: Joi.string().guid().optional().messages({
+    "string.guid": "Template ID must be a valid UUID",
+  }),
+  variables: Joi.object()
+    .pattern(
+      Joi.string(),
+      Joi.alternatives().try(Joi.string().allow(""), Joi.number())
+    )
+    .optional()
+    .messages({
+      "object.base": "variables must be an object",
+      "alternatives.types": "Template variables must be strings or numbers",
+    }),
 
   // Text message fields
   message: Joi.when("type", {
@@ -166,13 +271,15 @@ export const sendMessageSchema = Joi.object({
     otherwise: Joi.optional(),
   }),
 
-  // Media message fields (image, document, video, audio)
+  // Media message fields (image, document, video, audio, voice, sticker)
   mediaUrl: Joi.when("type", {
     is: Joi.valid(
       MESSAGE_TYPES.IMAGE,
       MESSAGE_TYPES.DOCUMENT,
       MESSAGE_TYPES.VIDEO,
-      MESSAGE_TYPES.AUDIO
+      MESSAGE_TYPES.AUDIO,
+      MESSAGE_TYPES.VOICE,
+      MESSAGE_TYPES.STICKER
     ),
     then: mediaUrlSchema,
     otherwise: Joi.optional(),
@@ -196,6 +303,18 @@ export const sendMessageSchema = Joi.object({
     otherwise: Joi.optional(),
   }),
 
+  // Sticker-specific fields
+  stickerPack: Joi.when("type", {
+    is: MESSAGE_TYPES.STICKER,
+    then: stickerPackSchema,
+    otherwise: Joi.optional(),
+  }),
+  stickerAuthor: Joi.when("type", {
+    is: MESSAGE_TYPES.STICKER,
+    then: stickerAuthorSchema,
+    otherwise: Joi.optional(),
+  }),
+
   // Location message fields
   location: Joi.when("type", {
     is: MESSAGE_TYPES.LOCATION,
@@ -224,6 +343,24 @@ export const sendMessageSchema = Joi.object({
     otherwise: Joi.optional(),
   }),
 
+  // Reply to a message and @mention people
+  quotedMessageId: Joi.when("type", {
+    is: Joi.exist().invalid(...QUOTABLE_TYPES),
+    then: Joi.forbidden().messages({
+      "any.unknown":
+        "quotedMessageId is only supported for text and media messages",
+    }),
+    otherwise: quotedMessageSchema.optional(),
+  }),
+  mentions: Joi.when("type", {
+    is: Joi.exist().invalid(...MENTIONABLE_TYPES),
+    then: Joi.forbidden().messages({
+      "any.unknown":
+        "mentions are only supported for text, image, video and document messages",
+    }),
+    otherwise: mentionsSchema.optional(),
+  }),
+
   // Message ID for seen receipts
   messageId: Joi.when("type", {
     is: MESSAGE_TYPES.SEEN,
@@ -238,6 +375,69 @@ export const sendMessageSchema = Joi.object({
   humanSimulation: Joi.boolean().optional().default(true).messages({
     "boolean.base": "humanSimulation must be a boolean value",
   }),
+
+  // Check the recipient is on WhatsApp before sending (ignored for groups / LIDs)
+  verifyRecipient: Joi.boolean().optional().default(false).messages({
+    "boolean.base": "verifyRecipient must be a boolean value",
+  }),
+
+  // Queue the message and return 202 with a job ID instead of waiting
+  async: Joi.boolean().optional().default(false).messages({
+    "boolean.base": "async must be a boolean value",
+  }),
+
+  // Schedule the message for later delivery (implies async)
+  sendAt: sendAtSchema.optional(),
+})
+  .with("variables", "templateId")
+  .without("templateId", [
+    "message",
+    "mediaUrl",
+    "caption",
+    "filename",
+    "location",
+    "contact",
+    "link",
+    "poll",
+    "messageId",
+  ])
+  .messages({
+    "object.unknown": "Unknown field: {#label}",
+    "object.with": "{#peer} is required when {#main} is given",
+    "object.without": "{#peer} cannot be combined with {#main}",
+  });
+
+// Send media (multipart upload) validation schema
+export const sendMediaSchema = Joi.object({
+  to: phoneNumberSchema,
+  type: Joi.string()
+    .valid(
+      MESSAGE_TYPES.IMAGE,
+      MESSAGE_TYPES.DOCUMENT,
+      MESSAGE_TYPES.VIDEO,
+      MESSAGE_TYPES.AUDIO,
+      MESSAGE_TYPES.VOICE,
+      MESSAGE_TYPES.STICKER
+    )
+    .optional()
+    .messages({
+      "any.only": `Media type must be one of: ${MESSAGE_TYPES.IMAGE}, ${MESSAGE_TYPES.DOCUMENT}, ${MESSAGE_TYPES.VIDEO}, ${MESSAGE_TYPES.AUDIO}, ${MESSAGE_TYPES.VOICE}, ${MESSAGE_TYPES.STICKER}`,
+    }),
+  caption: captionSchema,
+  filename: Joi.string().max(255).optional().messages({
+    "string.max": "Filename cannot exceed 255 characters",
+  }),
+  stickerPack: stickerPackSchema,
+  stickerAuthor: stickerAuthorSchema,
+
+  // Keep a copy of the file in the media bucket
+  store: Joi.boolean().optional().default(false).messages({
+    "boolean.base": "store must be a boolean value",
+  }),
+
+  humanSimulation: Joi.boolean().optional().default(true).messages({
+    "boolean.base": "humanSimulation must be a boolean value",
+  }),
 }).messages({
   "object.unknown": "Unknown field: {#label}",
 });
@@ -247,6 +447,15 @@ export const sessionIdParamSchema = Joi.object({
   sessionId: sessionIdSchema,
 });
 
+// Message job parameter validation schema
+export const jobParamSchema = Joi.object({
+  sessionId: sessionIdSchema,
+  jobId: Joi.string().guid().required().messages({
+    "string.guid": "Job ID must be a valid UUID",
+    "any.required": "Job ID is required",
+  }),
+});
+
 // Message stats query validation schema
 export const messageStatsQuerySchema = Joi.object({
   period: Joi.string().valid("1h", "24h", "7d", "30d").default("24h").messages({
@@ -271,11 +480,10 @@ export const typingSchema = Joi.object({
 // Message management validation schema
 export const messageManagementSchema = Joi.object({
   action: Joi.string()
-    .valid("delete", "unsend", "star", "unstar", "edit", "reaction", "read")
+    .valid(...Object.values(MESSAGE_ACTIONS))
     .required()
     .messages({
-      "any.only":
-        "Action must be one of: delete, unsend, star, unstar, edit, reaction, read",
+      "any.only": `Action must be one of: ${Object.values(MESSAGE_ACTIONS).join(", ")}`,
       "any.required": "Action is required",
     }),
 
@@ -285,9 +493,10 @@ export const messageManagementSchema = Joi.object({
     "string.base": "Message ID must be a string",
   }),
 
-  // Recipient phone number (required for all actions except read)
+  // Recipient phone number (required for all actions except read and
+  // forward)
   phone: Joi.when("action", {
-    is: "read",
+    is: Joi.valid("read", "forward"),
     then: Joi.optional(),
     otherwise: phoneNumberSchema.messages({
       "any.required":
@@ -325,6 +534,24 @@ export const messageManagementSchema = Joi.object({
     otherwise: Joi.optional(),
   }),
 
+  // For forward action
+  targets: Joi.when("action", {
+    is: "forward",
+    then: Joi.array()
+      .items(phoneNumberSchema)
+      .min(1)
+      .max(VALIDATION.MESSAGE.MAX_FORWARD_TARGETS)
+      .unique()
+      .required()
+      .messages({
+        "array.min": "At least one target is required for forward action",
+        "array.max": `Cannot forward to more than ${VALIDATION.MESSAGE.MAX_FORWARD_TARGETS} chats at once`,
+        "array.unique": "Targets must not contain duplicates",
+        "any.required": "Targets are required for forward action",
+      }),
+    otherwise: Joi.optional(),
+  }),
+
   // For read action
   jid: Joi.when("action", {
     is: "read",
@@ -349,6 +576,18 @@ export const messageManagementSchema = Joi.object({
   "object.unknown": "Unknown field: {#label}",
 });
 
+// Send a 400 response listing Joi validation errors
+export const sendValidationError = (res, error) => {
+  return res.status(400).json({
+    success: false,
+    error: "Validation error",
+    details: error.details.map((detail) => ({
+      field: detail.path.join("."),
+      message: detail.message,
+    })),
+  });
+};
+
 // Validation middleware functions
 export const validateSendMessage = (req, res, next) => {
   const paramsValidation = sessionIdParamSchema.validate(req.params);
@@ -380,6 +619,66 @@ export const validateSendMessage = (req, res, next) => {
   next();
 };
 
+export const validateSendMedia = (req, res, next) => {
+  const paramsValidation = sessionIdParamSchema.validate(req.params);
+  if (paramsValidation.error) {
+    return res.status(400).json({
+      success: false,
+      error: "Validation error",
+      details: paramsValidation.error.details.map((detail) => ({
+        field: detail.path.join("."),
+        message: detail.message,
+      })),
+    });
+  }
+
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      error: "Validation error",
+      details: [
+        {
+          field: "file",
+          message: "A file is required (multipart field: file)",
+        },
+      ],
+    });
+  }
+
+  const bodyValidation = sendMediaSchema.validate(req.body);
+  if (bodyValidation.error) {
+    return res.status(400).json({
+      success: false,
+      error: "Validation error",
+      details: bodyValidation.error.details.map((detail) => ({
+        field: detail.path.join("."),
+        message: detail.message,
+      })),
+    });
+  }
+
+  req.params = paramsValidation.value;
+  req.body = bodyValidation.value;
+  next();
+};
+
+export const validateJobStatus = (req, res, next) => {
+  const paramsValidation = jobParamSchema.validate(req.params);
+  if (paramsValidation.error) {
+    return res.status(400).json({
+      success: false,
+      error: "Validation error",
+      details: paramsValidation.error.details.map((detail) => ({
+        field: detail.path.join("."),
+        message: detail.message,
+      })),
+    });
+  }
+
+  req.params = paramsValidation.value;
+  next();
+};
+
 export const validateSendSeen = (req, res, next) => {
   const paramsValidation = sessionIdParamSchema.validate(req.params);
   if (paramsValidation.error) {
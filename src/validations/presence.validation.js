@@ -0,0 +1,69 @@
+import Joi from "joi";
+import { VALIDATION } from "../utils/constants.js";
+import {
+  phoneNumberSchema,
+  sessionIdSchema,
+  sessionIdParamSchema,
+  sendValidationError,
+} from "./message.validation.js";
+
+// Presence subscription validation schema
+export const subscribePresenceSchema = Joi.object({
+  jids: Joi.array()
+    .items(phoneNumberSchema)
+    .min(1)
+    .max(VALIDATION.PRESENCE.MAX_SUBSCRIPTIONS)
+    .unique()
+    .required()
+    .messages({
+      "array.min": "At least one JID is required",
+      "array.max": `Maximum ${VALIDATION.PRESENCE.MAX_SUBSCRIPTIONS} JIDs allowed per request`,
+      "array.unique": "JIDs must be unique",
+      "any.required": "JIDs are required",
+    }),
+}).messages({
+  "object.unknown": "Unknown field: {#label}",
+});
+
+// Presence parameter validation schema
+export const presenceParamSchema = Joi.object({
+  sessionId: sessionIdSchema,
+  jid: phoneNumberSchema,
+});
+
+// Validation middleware functions
+export const validateSubscribePresence = (req, res, next) => {
+  const paramsValidation = sessionIdParamSchema.validate(req.params);
+  if (paramsValidation.error) {
+    return sendValidationError(res, paramsValidation.error);
+  }
+
+  const bodyValidation = subscribePresenceSchema.validate(req.body);
+  if (bodyValidation.error) {
+    return sendValidationError(res, bodyValidation.error);
+  }
+
+  req.params = paramsValidation.value;
+  req.body = bodyValidation.value;
+  next();
+};
+
+export const validateListPresence = (req, res, next) => {
+  const paramsValidation = sessionIdParamSchema.validate(req.params);
+  if (paramsValidation.error) {
+    return sendValidationError(res, paramsValidation.error);
+  }
+
+  req.params = paramsValidation.value;
+  next();
+};
+
+export const validateGetPresence = (req, res, next) => {
+  const paramsValidation = presenceParamSchema.validate(req.params);
+  if (paramsValidation.error) {
+    return sendValidationError(res, paramsValidation.error);
+  }
+
+  req.params = paramsValidation.value;
+  next();
+};
@@ -0,0 +1,99 @@
+import Joi from "joi";
+import { VALIDATION, FILE_UPLOAD } from "../utils/constants.js";
+import {
+  sessionIdParamSchema,
+  sendValidationError,
+} from "./message.validation.js";
+
+// Image types WhatsApp accepts as a profile picture (GIFs are not)
+const PROFILE_PICTURE_TYPES = FILE_UPLOAD.ALLOWED_IMAGE_TYPES.filter(
+  (type) => type !== "image/gif"
+);
+
+// Profile update validation schema
+export const updateProfileSchema = Joi.object({
+  displayName: Joi.string()
+    .trim()
+    .min(1)
+    .max(VALIDATION.PROFILE.DISPLAY_NAME_MAX_LENGTH)
+    .optional()
+    .messages({
+      "string.empty": "Display name cannot be empty",
+      "string.max": `Display name cannot exceed ${VALIDATION.PROFILE.DISPLAY_NAME_MAX_LENGTH} characters`,
+    }),
+  about: Joi.string()
+    .allow("")
+    .max(VALIDATION.PROFILE.ABOUT_MAX_LENGTH)
+    .optional()
+    .messages({
+      "string.max": `About cannot exceed ${VALIDATION.PROFILE.ABOUT_MAX_LENGTH} characters`,
+    }),
+})
+  .or("displayName", "about")
+  .messages({
+    "object.missing": "At least one of displayName or about is required",
+    "object.unknown": "Unknown field: {#label}",
+  });
+
+// Validation middleware functions
+export const validateProfileSession = (req, res, next) => {
+  const paramsValidation = sessionIdParamSchema.validate(req.params);
+  if (paramsValidation.error) {
+    return sendValidationError(res, paramsValidation.error);
+  }
+
+  req.params = paramsValidation.value;
+  next();
+};
+
+export const validateUpdateProfile = (req, res, next) => {
+  const paramsValidation = sessionIdParamSchema.validate(req.params);
+  if (paramsValidation.error) {
+    return sendValidationError(res, paramsValidation.error);
+  }
+
+  const bodyValidation = updateProfileSchema.validate(req.body);
+  if (bodyValidation.error) {
+    return sendValidationError(res, bodyValidation.error);
+  }
+
+  req.params = paramsValidation.value;
+  req.body = bodyValidation.value;
+  next();
+};
+
+export const validateProfilePicture = (req, res, next) => {
+  const paramsValidation = sessionIdParamSchema.validate(req.params);
+  if (paramsValidation.error) {
+    return sendValidationError(res, paramsValidation.error);
+  }
+
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      error: "Validation error",
+      details: [
+        {
+          field: "file",
+          message: "An image is required (multipart field: file)",
+        },
+      ],
+    });
+  }
+
+  if (!PROFILE_PICTURE_TYPES.includes(req.file.mimetype)) {
+    return res.status(400).json({
+      success: false,
+      error: "Validation error",
+      details: [
+        {
+          field: "file",
+          message: `Profile picture must be one of: ${PROFILE_PICTURE_TYPES.join(", ")}`,
+        },
+      ],
+    });
+  }
+
+  req.params = paramsValidation.value;
+  next();
+};
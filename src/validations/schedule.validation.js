@@ -0,0 +1,74 @@
+import Joi from "joi";
+import { PAGINATION } from "../utils/constants.js";
+import {
+  sendAtSchema,
+  sessionIdParamSchema,
+  jobParamSchema,
+  sendValidationError,
+} from "./message.validation.js";
+
+// Scheduled message list query validation schema
+export const scheduledListQuerySchema = Joi.object({
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .max(PAGINATION.MAX_PAGE)
+    .default(PAGINATION.DEFAULT_PAGE),
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(PAGINATION.MAX_LIMIT)
+    .default(PAGINATION.DEFAULT_LIMIT),
+});
+
+// Reschedule validation schema
+export const rescheduleSchema = Joi.object({
+  sendAt: sendAtSchema.required().messages({
+    "any.required": "sendAt is required",
+  }),
+}).messages({
+  "object.unknown": "Unknown field: {#label}",
+});
+
+// Validation middleware functions
+export const validateListScheduled = (req, res, next) => {
+  const paramsValidation = sessionIdParamSchema.validate(req.params);
+  if (paramsValidation.error) {
+    return sendValidationError(res, paramsValidation.error);
+  }
+
+  const queryValidation = scheduledListQuerySchema.validate(req.query);
+  if (queryValidation.error) {
+    return sendValidationError(res, queryValidation.error);
+  }
+
+  req.params = paramsValidation.value;
+  req.query = queryValidation.value;
+  next();
+};
+
+export const validateScheduledJob = (req, res, next) => {
+  const paramsValidation = jobParamSchema.validate(req.params);
+  if (paramsValidation.error) {
+    return sendValidationError(res, paramsValidation.error);
+  }
+
+  req.params = paramsValidation.value;
+  next();
+};
+
+export const validateReschedule = (req, res, next) => {
+  const paramsValidation = jobParamSchema.validate(req.params);
+  if (paramsValidation.error) {
+    return sendValidationError(res, paramsValidation.error);
+  }
+
+  const bodyValidation = rescheduleSchema.validate(req.body);
+  if (bodyValidation.error) {
+    return sendValidationError(res, bodyValidation.error);
+  }
+
+  req.params = paramsValidation.value;
+  req.body = bodyValidation.value;
+  next();
+};
@@ -0,0 +1,160 @@
+import Joi from "joi";
+import { MESSAGE_TYPES, VALIDATION, PAGINATION } from "../utils/constants.js";
+import { sendValidationError } from "./message.validation.js";
+
+// Message types a template can produce
+export const TEMPLATE_TYPES = [
+  MESSAGE_TYPES.TEXT,
+  MESSAGE_TYPES.IMAGE,
+  MESSAGE_TYPES.DOCUMENT,
+  MESSAGE_TYPES.VIDEO,
+  MESSAGE_TYPES.AUDIO,
+];
+
+const templateTypeSchema = Joi.string()
+  .valid(...TEMPLATE_TYPES)
+  .messages({
+    "any.only": `Template type must be one of: ${TEMPLATE_TYPES.join(", ")}`,
+  });
+
+const templateContentSchema = Joi.string()
+  .max(VALIDATION.MESSAGE.MAX_LENGTH)
+  .messages({
+    "string.max": `Content cannot exceed ${VALIDATION.MESSAGE.MAX_LENGTH} characters`,
+  });
+
+// Template create / replace validation schema
+export const templateSchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .min(1)
+    .max(100)
+    .pattern(/^[a-zA-Z0-9 _.-]+$/)
+    .required()
+    .messages({
+      "string.max": "Template name cannot exceed 100 characters",
+      "string.pattern.base":
+        "Template name can only contain letters, numbers, spaces, dots, hyphens, and underscores",
+      "any.required": "Template name is required",
+    }),
+  description: Joi.string().max(500).allow("").optional().messages({
+    "string.max": "Description cannot exceed 500 characters",
+  }),
+  type: templateTypeSchema.required().messages({
+    "any.required": "Template type is required",
+  }),
+
+  // Message text (text) or caption (image, document, video) with {{placeholders}}
+  content: Joi.when("type", {
+    switch: [
+      {
+        is: MESSAGE_TYPES.TEXT,
+        then: templateContentSchema.required().messages({
+          "any.required": "Content is required for text templates",
+        }),
+      },
+      {
+        is: MESSAGE_TYPES.AUDIO,
+        then: Joi.forbidden().messages({
+          "any.unknown": "Audio templates cannot have content",
+        }),
+      },
+    ],
+    otherwise: templateContentSchema.optional(),
+  }),
+
+  mediaUrl: Joi.when("type", {
+    is: MESSAGE_TYPES.TEXT,
+    then: Joi.forbidden().messages({
+      "any.unknown": "Text templates cannot have a media URL",
+    }),
+    otherwise: Joi.string().uri().required().messages({
+      "string.uri": "Media URL must be a valid URL",
+      "any.required": "Media URL is required for media templates",
+    }),
+  }),
+
+  // Document filename, may contain {{placeholders}}
+  filename: Joi.when("type", {
+    is: MESSAGE_TYPES.DOCUMENT,
+    then: Joi.string().max(255).required().messages({
+      "string.max": "Filename cannot exceed 255 characters",
+      "any.required": "Filename is required for document templates",
+    }),
+    otherwise: Joi.forbidden().messages({
+      "any.unknown": "Filename is only allowed for document templates",
+    }),
+  }),
+}).messages({
+  "object.unknown": "Unknown field: {#label}",
+});
+
+// Template parameter validation schema
+export const templateParamSchema = Joi.object({
+  templateId: Joi.string().guid().required().messages({
+    "string.guid": "Template ID must be a valid UUID",
+    "any.required": "Template ID is required",
+  }),
+});
+
+// Template list query validation schema
+export const templateListQuerySchema = Joi.object({
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .max(PAGINATION.MAX_PAGE)
+    .default(PAGINATION.DEFAULT_PAGE),
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(PAGINATION.MAX_LIMIT)
+    .default(PAGINATION.DEFAULT_LIMIT),
+  type: templateTypeSchema.optional(),
+});
+
+// Validation middleware functions
+export const validateCreateTemplate = (req, res, next) => {
+  const bodyValidation = templateSchema.validate(req.body);
+  if (bodyValidation.error) {
+    return sendValidationError(res, bodyValidation.error);
+  }
+
+  req.body = bodyValidation.value;
+  next();
+};
+
+export const validateListTemplates = (req, res, next) => {
+  const queryValidation = templateListQuerySchema.validate(req.query);
+  if (queryValidation.error) {
+    return sendValidationError(res, queryValidation.error);
+  }
+
+  req.query = queryValidation.value;
+  next();
+};
+
+export const validateTemplateId = (req, res, next) => {
+  const paramsValidation = templateParamSchema.validate(req.params);
+  if (paramsValidation.error) {
+    return sendValidationError(res, paramsValidation.error);
+  }
+
+  req.params = paramsValidation.value;
+  next();
+};
+
+export const validateUpdateTemplate = (req, res, next) => {
+  const paramsValidation = templateParamSchema.validate(req.params);
+  if (paramsValidation.error) {
+    return sendValidationError(res, paramsValidation.error);
+  }
+
+  const bodyValidation = templateSchema.validate(req.body);
+  if (bodyValidation.error) {
+    return sendValidationError(res, bodyValidation.error);
+  }
+
+  req.params = paramsValidation.value;
+  req.body = bodyValidation.value;
+  next();
+};
@@ -0,0 +1,79 @@
+import Joi from "joi";
+import { PAGINATION } from "../utils/constants.js";
+import { sendValidationError } from "./message.validation.js";
+
+// Dead-letter ID parameter validation schema
+export const deadLetterIdParamSchema = Joi.object({
+  id: Joi.number().integer().positive().required().messages({
+    "number.base": "Dead letter ID must be a number",
+    "any.required": "Dead letter ID is required",
+  }),
+});
+
+// Dead-letter filter fields shared by list, replay and purge
+const deadLetterFilterFields = {
+  sessionId: Joi.string().optional(),
+  event: Joi.string().optional(),
+  before: Joi.date().iso().optional().messages({
+    "date.format": "before must be an ISO 8601 date",
+  }),
+};
+
+// Dead-letter list query validation schema
+export const deadLetterQuerySchema = Joi.object({
+  ...deadLetterFilterFields,
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .max(PAGINATION.MAX_PAGE)
+    .default(PAGINATION.DEFAULT_PAGE),
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(PAGINATION.MAX_LIMIT)
+    .default(PAGINATION.DEFAULT_LIMIT),
+});
+
+// Bulk replay / purge body validation schema
+export const deadLetterBulkSchema = Joi.object({
+  ...deadLetterFilterFields,
+  ids: Joi.array().items(Joi.number().integer().positive()).min(1).optional(),
+  all: Joi.boolean().valid(true).optional(),
+})
+  .or("ids", "sessionId", "event", "before", "all")
+  .messages({
+    "object.missing":
+      "Provide ids, a filter (sessionId, event, before) or all: true",
+    "object.unknown": "Unknown field: {#label}",
+  });
+
+// Validation middleware functions
+export const validateDeadLetterQuery = (req, res, next) => {
+  const queryValidation = deadLetterQuerySchema.validate(req.query);
+  if (queryValidation.error) {
+    return sendValidationError(res, queryValidation.error);
+  }
+
+  req.query = queryValidation.value;
+  next();
+};
+
+export const validateDeadLetterId = (req, res, next) => {
+  const paramsValidation = deadLetterIdParamSchema.validate(req.params);
+  if (paramsValidation.error) {
+    return sendValidationError(res, paramsValidation.error);
+  }
+
+  req.params = paramsValidation.value;
+  next();
+};
+
+export const validateDeadLetterBulk = (req, res, next) => {
+  const bodyValidation = deadLetterBulkSchema.validate(req.body || {});
+  if (bodyValidation.error) {
+    return sendValidationError(res, bodyValidation.error);
+  }
+
+  req.body = bodyValidation.value;
+  next();
+};